@@ -8,17 +8,39 @@
  *   start [--port]  - Start daemon in background
  *   stop            - Stop background daemon
  *   status          - Check if running
- *   fix "message"   - Manual one-shot (no daemon needed)
- *   install         - Install launchd service
- *   uninstall       - Uninstall launchd service
+ *   fix "message"   - Manual one-shot (no daemon needed; --file, --line, --repo, --stdin, --agent)
+ *   history         - Show past spawns
+ *   config          - Show/set config values
+ *   repos           - Inspect/pin/forget cached repo locations
+ *   worktrees       - List/prune per-recommendation worktrees
+ *   jobs            - List headless jobs, show their output
+ *   templates       - Show/initialise prompt templates
+ *   token           - Show/rotate the API token, sign URLs
+ *   install         - Install login service (launchd on macOS, systemd on Linux)
+ *   uninstall       - Uninstall login service
  */
 
 const fs = require('fs');
 const path = require('path');
-const { spawn, execSync } = require('child_process');
+const { spawn } = require('child_process');
 const { createServer, DEFAULT_PORT } = require('../src/server');
 const { buildPrompt } = require('../src/prompt-builder');
-const { spawnTerminal } = require('../src/terminal');
+const { spawnTerminal, getTerminalName, getAvailableTerminals } = require('../src/terminal');
+const { getServiceManager } = require('../src/service-manager');
+const { resolveSite, DD_SITES } = require('../src/providers/datadog');
+const { generateToken, signUrl, TOKEN_HEADER } = require('../src/auth');
+const { recordSpawn, readHistory, parseSince } = require('../src/history');
+const {
+  resolveRepo, resolveOrCloneRepo, normalizeRepoUrl, getRepoRemotes, getCurrentBranch, getRepoRoot,
+  findCheckouts, listCache, pinRepo, forgetRepo, clearCache, CACHE_FILE
+} = require('../src/repo-resolver');
+const { parseStackTrace, extractErrorMessage, findTopRepoFrame } = require('../src/stack-trace');
+const { getGitContext } = require('../src/git-context');
+const { listWorktrees, pruneWorktrees, getWorktreeRoot } = require('../src/worktrees');
+const { readJob, listJobs, getJobsDir } = require('../src/jobs');
+const { resolveAgentOptions, OPTION_KEYS, LIST_KEYS, PERMISSION_MODES } = require('../src/agent-options');
+const { getAgent, listAgents, resolveContextFiles, unenforcedOptions } = require('../src/agents');
+const { loadTemplate, templateCandidates, initTemplates, DEFAULT_TEMPLATES, TEMPLATES_DIR } = require('../src/templates');
 
 const bold = (s) => `\x1b[1m${s}\x1b[0m`;
 const green = (s) => `\x1b[32m${s}\x1b[0m`;
@@ -27,9 +49,6 @@ const dim = (s) => `\x1b[2m${s}\x1b[0m`;
 const red = (s) => `\x1b[31m${s}\x1b[0m`;
 
 const PID_FILE = '/tmp/claude-fix.pid';
-const PLIST_NAME = 'com.jp.claude-fix.plist';
-const PLIST_SRC = path.join(__dirname, '..', 'launchd', PLIST_NAME);
-const PLIST_DEST = path.join(process.env.HOME, 'Library', 'LaunchAgents', PLIST_NAME);
 const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
 
 function loadConfig() {
@@ -41,13 +60,26 @@ function loadConfig() {
   return {};
 }
 
+function saveConfig(config) {
+  const configDir = path.dirname(CONFIG_FILE);
+  if (!fs.existsSync(configDir)) {
+    fs.mkdirSync(configDir, { recursive: true });
+  }
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2) + '\n');
+  fs.chmodSync(CONFIG_FILE, 0o600);
+}
+
+// Options that never take a value, so `--stdin "message"` keeps the message as an argument
+const FLAG_OPTIONS = new Set(['stdin', 'json', 'force', 'all']);
+
 function parseArgs(args) {
   const result = { command: args[0], args: [], options: {} };
 
   for (let i = 1; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const key = args[i].slice(2);
-      const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
+      const takesValue = !FLAG_OPTIONS.has(key) && args[i + 1] && !args[i + 1].startsWith('--');
+      const value = takesValue ? args[++i] : true;
       result.options[key] = value;
     } else {
       result.args.push(args[i]);
@@ -99,15 +131,28 @@ async function cmdServe(options) {
   createServer(port);
 }
 
+/**
+ * Service backend for this platform, or exit with an error if there is none
+ */
+function requireServiceManager() {
+  const service = getServiceManager();
+  if (!service) {
+    console.error(`No service manager support for ${process.platform}. Use: claude-fix serve`);
+    process.exit(1);
+  }
+  return service;
+}
+
 function cmdStart(options) {
   if (isRunning()) {
     console.log('claude-fix is already running (PID: ' + getPid() + ')');
     return;
   }
 
+  const service = requireServiceManager();
   try {
-    execSync('launchctl start com.jp.claude-fix', { stdio: 'pipe' });
-    console.log('claude-fix started via launchctl');
+    service.start();
+    console.log(`claude-fix started via ${service.tool}`);
   } catch (err) {
     console.error('Failed to start service. Is it installed?');
     console.error('  Run: claude-fix install');
@@ -115,15 +160,21 @@ function cmdStart(options) {
 }
 
 function cmdStop() {
+  const service = requireServiceManager();
   try {
-    execSync('launchctl stop com.jp.claude-fix', { stdio: 'pipe' });
-    console.log('Stopped claude-fix via launchctl');
+    service.stop();
+    console.log(`Stopped claude-fix via ${service.tool}`);
   } catch (err) {
     console.error('Failed to stop service:', err.message);
   }
 }
 
 function cmdStatus() {
+  const service = getServiceManager();
+  if (service && service.isInstalled()) {
+    console.log(`Service: ${service.isActive() ? 'active' : 'inactive'} (${service.name})`);
+  }
+
   if (isRunning()) {
     const pid = getPid();
     console.log(`claude-fix is running (PID: ${pid})`);
@@ -148,26 +199,155 @@ function cmdStatus() {
   }
 }
 
-async function cmdFix(args) {
-  const message = args.join(' ');
-  if (!message) {
-    console.error('Usage: claude-fix fix "error message"');
+// Keep piped output to a size that still fits comfortably in a prompt
+const MAX_OUTPUT_CHARS = 20000;
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => data += chunk);
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Directory to run in for --repo: an existing path, or a repo URL resolved like the daemon does
+ */
+async function resolveFixDir(repo) {
+  if (!repo) return process.cwd();
+
+  const asPath = path.resolve(repo.replace(/^~/, process.env.HOME));
+  if (fs.existsSync(asPath) && fs.statSync(asPath).isDirectory()) {
+    return asPath;
+  }
+
+  const { path: resolved } = await resolveOrCloneRepo(repo);
+  if (!resolved) {
+    console.error(`Could not find a local checkout of ${repo}`);
+    console.error('Check GIT_SEARCH_PATHS, or pass a directory to --repo');
+    process.exit(1);
+  }
+  return resolved;
+}
+
+async function cmdFix(args, options) {
+  const usage = 'Usage: claude-fix fix "error message" [--file FILE] [--line N] [--repo URL|DIR] [--stdin] [--agent NAME]';
+  if (typeof options.agent === 'string' && !getAgent(options.agent)) {
+    console.error(`Unknown agent: ${options.agent}`);
+    console.error('Valid agents: ' + listAgents().map(a => a.name).join(', '));
     process.exit(1);
   }
+  const cwd = await resolveFixDir(typeof options.repo === 'string' ? options.repo : null);
+  const context = {
+    message: args.join(' '),
+    file: typeof options.file === 'string' ? options.file : null,
+    line: options.line ? parseInt(options.line, 10) || null : null
+  };
+
+  if (options.stdin) {
+    const input = await readStdin();
+
+    // Stack traces: the top frame inside the repo becomes file/line
+    if (!context.file) {
+      const root = getRepoRoot(cwd) || cwd;
+      const frame = findTopRepoFrame(parseStackTrace(input), root);
+      if (frame) {
+        context.file = path.relative(cwd, path.join(root, frame.file));
+        context.line = frame.line;
+      }
+    }
+    if (!context.message) {
+      context.message = extractErrorMessage(input);
+    }
+
+    const output = input.trim();
+    context.output = output.length > MAX_OUTPUT_CHARS
+      ? '...\n' + output.slice(-MAX_OUTPUT_CHARS)
+      : output;
+  }
+
+  if (!context.message && !context.file && !context.output) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  const repoRoot = getRepoRoot(cwd);
+  const repo = normalizeRepoUrl(getRepoRemotes(cwd)[0]);
+  const prompt = buildPrompt({
+    ...context,
+    repo,
+    path: cwd,
+    branch: getCurrentBranch(cwd),
+    git: repoRoot ? await getGitContext(repoRoot, { files: [context.file], cwd }) : null
+  });
+
+  if (context.file) {
+    console.log(dim(`Target: ${context.file}${context.line ? `:${context.line}` : ''}`));
+  }
 
-  const prompt = buildPrompt({ message });
-  await spawnTerminal(prompt, process.cwd());
+  const agent = resolveAgentOptions({ repo, agent: typeof options.agent === 'string' ? options.agent : null });
+  const unenforced = unenforcedOptions(agent);
+  if (unenforced.length) {
+    console.error(`Agent ${agent.agent} can't apply ${unenforced.join(', ')} set for this repo; use an agent that can`);
+    process.exit(1);
+  }
+  const files = resolveContextFiles([context.file], [cwd, repoRoot]);
+  const record = { source: 'cli', repoPath: cwd, terminal: getTerminalName(), agent: agent.agent, prompt };
+  try {
+    await spawnTerminal(prompt, cwd, agent, files);
+    recordSpawn({ ...record, outcome: 'spawned' });
+  } catch (err) {
+    recordSpawn({ ...record, outcome: 'failed', error: err.message });
+    throw err;
+  }
 }
 
-const TERMINALS = ['Terminal', 'iTerm', 'Kitty', 'Alacritty', 'WezTerm'];
+function cmdHistory(options) {
+  const entries = readHistory({
+    source: options.source,
+    repo: options.repo,
+    recommendationId: options.id,
+    outcome: options.outcome,
+    since: options.since,
+    limit: options.limit || 20
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log('No matching history');
+    return;
+  }
+
+  for (const entry of entries) {
+    const outcome = entry.outcome === 'spawned' ? green(entry.outcome) : red(entry.outcome);
+    const id = entry.recommendationId ? ` ${cyan(entry.recommendationId)}` : '';
+    console.log(`${dim(entry.timestamp)}  ${outcome}  ${entry.source}${id}`);
+    console.log(dim(`    ${entry.repo || '(no repo)'} \u2192 ${entry.repoPath || '(no path)'}  [${entry.terminal}${entry.agent && entry.agent !== 'claude' ? `, ${entry.agent}` : ''}]`));
+    if (entry.error) {
+      console.log(red(`    ${entry.error}`));
+    }
+  }
+}
 
 function promptTerminal(current) {
+  const terminals = getAvailableTerminals();
+  if (terminals.length === 0) {
+    console.log(red('\u274C No supported terminal found on $PATH') + dim(`  keeping ${current}`));
+    return Promise.resolve(current);
+  }
+
   const { createInterface } = require('readline');
   const rl = createInterface({ input: process.stdin, output: process.stdout });
 
   return new Promise((resolve) => {
     console.log(bold('\n\uD83D\uDDA5  Select terminal:'));
-    TERMINALS.forEach((t, i) => {
+    terminals.forEach((t, i) => {
       if (t === current) {
         console.log(cyan(`   \u25C9 ${i + 1}) ${t}  (current)`));
       } else {
@@ -175,11 +355,11 @@ function promptTerminal(current) {
       }
     });
 
-    const defaultIndex = Math.max(0, TERMINALS.indexOf(current)) + 1;
+    const defaultIndex = Math.max(0, terminals.indexOf(current)) + 1;
     rl.question(`Choice [${defaultIndex}]: `, (answer) => {
       rl.close();
       const choice = parseInt(answer) || defaultIndex;
-      resolve(TERMINALS[choice - 1] || current);
+      resolve(terminals[choice - 1] || current);
     });
   });
 }
@@ -192,8 +372,9 @@ async function cmdInstall() {
     console.log(bold('\n\uD83D\uDD27 claude-fix install\n'));
   }
 
-  if (!fs.existsSync(PLIST_SRC)) {
-    console.error(red(`\u274C Plist file not found: ${PLIST_SRC}`));
+  const service = requireServiceManager();
+  if (!fs.existsSync(service.templatePath)) {
+    console.error(red(`\u274C ${service.unitKind} template not found: ${service.templatePath}`));
     console.error('   Run this command from the claude-fix directory');
     process.exit(1);
   }
@@ -203,73 +384,67 @@ async function cmdInstall() {
   if (calledFromInstallSh) {
     config.CLAUDE_FIX_TERMINAL = process.env.CLAUDE_FIX_TERMINAL;
   } else {
-    const current = config.CLAUDE_FIX_TERMINAL || 'Terminal';
+    const current = config.CLAUDE_FIX_TERMINAL || getTerminalName();
     config.CLAUDE_FIX_TERMINAL = await promptTerminal(current);
   }
-  const configDir = path.dirname(CONFIG_FILE);
-  if (!fs.existsSync(configDir)) {
-    fs.mkdirSync(configDir, { recursive: true });
-  }
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2) + '\n');
-  fs.chmodSync(CONFIG_FILE, 0o600);
-  console.log(green('\u2705 Config saved') + dim(`         ${CONFIG_FILE}`));
 
-  // Read and update plist with correct paths
-  let plist = fs.readFileSync(PLIST_SRC, 'utf8');
-  plist = plist.replace(/\$\{NODE_PATH\}/g, process.execPath);
-  plist = plist.replace(/\$\{SCRIPT_PATH\}/g, __filename);
+  // Per-install shared secret for the HTTP API (kept across reinstalls)
+  const tokenCreated = !config.CLAUDE_FIX_TOKEN;
+  if (tokenCreated) {
+    config.CLAUDE_FIX_TOKEN = generateToken();
+  }
 
-  // Ensure LaunchAgents directory exists
-  const launchAgentsDir = path.dirname(PLIST_DEST);
-  if (!fs.existsSync(launchAgentsDir)) {
-    fs.mkdirSync(launchAgentsDir, { recursive: true });
+  saveConfig(config);
+  console.log(green('\u2705 Config saved') + dim(`         ${CONFIG_FILE}`));
+  if (tokenCreated) {
+    console.log(green('\u2705 API token created') + dim('    show it with: claude-fix token'));
   }
 
-  // Write plist
-  fs.writeFileSync(PLIST_DEST, plist);
-  console.log(green('\u2705 Plist installed') + dim(`      ~/Library/LaunchAgents/${PLIST_NAME}`));
+  // Render the unit/plist with correct paths
+  service.writeUnit(__filename);
+  const label = `${service.unitKind} installed`;
+  console.log(green(`\u2705 ${label}`) + dim(`${' '.repeat(21 - label.length)}${service.unitDisplayPath}`));
 
   // Load the service
   try {
-    // Unload first in case already loaded
-    try {
-      execSync(`launchctl bootout gui/$(id -u) ${PLIST_DEST}`, { stdio: 'pipe' });
-    } catch {}
-    execSync(`launchctl bootstrap gui/$(id -u) ${PLIST_DEST}`, { stdio: 'inherit' });
+    service.load();
     console.log(green('\u2705 Service loaded') + dim('       claude-fix will start automatically on login'));
     if (!calledFromInstallSh) {
       console.log(bold('\n\uD83C\uDF89 Install complete!\n'));
     }
   } catch (err) {
     console.error(red('\n\u274C Failed to load service. Load manually:'));
-    console.error(dim(`   launchctl bootstrap gui/$(id -u) ${PLIST_DEST}`));
+    console.error(dim(`   ${service.loadHint}`));
   }
 }
 
 function cmdUninstall() {
-  if (!fs.existsSync(PLIST_DEST)) {
+  const service = requireServiceManager();
+  if (!service.isInstalled()) {
     console.log('claude-fix service is not installed');
     return;
   }
 
   // Unload the service
-  try {
-    execSync(`launchctl bootout gui/$(id -u) ${PLIST_DEST}`, { stdio: 'pipe' });
-  } catch {}
+  service.unload();
 
-  // Remove plist
-  fs.unlinkSync(PLIST_DEST);
-  console.log(`Uninstalled: ${PLIST_DEST}`);
+  // Remove unit/plist
+  service.removeUnit();
+  console.log(`Uninstalled: ${service.unitPath}`);
 }
 
-const VALID_CONFIG_KEYS = ['DD_API_KEY', 'DD_APP_KEY', 'CLAUDE_FIX_TERMINAL', 'GIT_SEARCH_PATHS', 'GIT_SEARCH_MAX_DEPTH'];
+const VALID_CONFIG_KEYS = ['DD_API_KEY', 'DD_APP_KEY', 'DD_SITE', 'DD_BASE_URL', 'CLAUDE_FIX_TERMINAL', 'CLAUDE_FIX_MUX_SESSION', 'CLAUDE_FIX_PROVIDERS', 'CLAUDE_FIX_CONFIRM', 'CLAUDE_FIX_DEDUP_WINDOW', 'ALLOWED_ORIGINS', 'GIT_SEARCH_PATHS', 'GIT_SEARCH_MAX_DEPTH', 'GIT_INDEX_INTERVAL', 'GIT_HOST_ALIASES', 'REPO_CACHE_TTL_DAYS', 'REPO_CACHE_MAX_ENTRIES', 'REPO_RANKING', 'CLAUDE_FIX_AUTO_CLONE', 'CLAUDE_FIX_CLONE_ROOT', 'CLAUDE_FIX_WORKTREE', 'CLAUDE_FIX_WORKTREE_ROOT', 'CLAUDE_FIX_HEADLESS', 'CLAUDE_FIX_JOB_TIMEOUT', 'CLAUDE_FIX_JOB_KILL_GRACE', 'CLAUDE_FIX_JOB_RETENTION_DAYS', ...Object.keys(OPTION_KEYS)];
+
+function isSecret(key) {
+  return key.includes('KEY') || key.includes('TOKEN');
+}
 
 function redact(value) {
   if (!value || value.length <= 4) return value || '';
   return '...' + value.slice(-4);
 }
 
-function cmdConfig(args) {
+function cmdConfig(args, options) {
   const sub = args[0];
 
   if (sub === 'path') {
@@ -282,7 +457,7 @@ function cmdConfig(args) {
     const value = args.slice(2).join(' ');
 
     if (!key || !value) {
-      console.error('Usage: claude-fix config set <key> <value>');
+      console.error('Usage: claude-fix config set <key> <value> [--repo URL|--provider NAME]');
       console.error('Keys: ' + VALID_CONFIG_KEYS.join(', '));
       process.exit(1);
     }
@@ -293,25 +468,61 @@ function cmdConfig(args) {
       process.exit(1);
     }
 
+    if (key === 'DD_SITE' && !resolveSite(value)) {
+      console.error(`Unknown Datadog site: ${value}`);
+      console.error('Valid sites: ' + Object.keys(DD_SITES).join(', ') + ' (or a site domain like datadoghq.eu)');
+      process.exit(1);
+    }
+
+    if (key === 'AGENT' && !getAgent(value)) {
+      console.error(`Unknown agent: ${value}`);
+      console.error('Valid agents: ' + listAgents().map(a => a.name).join(', '));
+      process.exit(1);
+    }
+    if (key === 'CLAUDE_PERMISSION_MODE' && !PERMISSION_MODES.includes(value)) {
+      console.error(`Unknown permission mode: ${value}`);
+      console.error('Valid modes: ' + PERMISSION_MODES.join(', '));
+      process.exit(1);
+    }
+
+    // Claude options can be set for one repo or provider instead of globally
+    const overrideKind = typeof options.repo === 'string' ? 'repos' : typeof options.provider === 'string' ? 'providers' : null;
+    if (overrideKind && !OPTION_KEYS[key]) {
+      console.error(`--repo and --provider only apply to ${Object.keys(OPTION_KEYS).join(', ')}`);
+      process.exit(1);
+    }
+
     const config = loadConfig();
+    let target = config;
+    let overrideName = null;
+    if (overrideKind) {
+      // "github.com/org/*" covers every repo of the org
+      overrideName = overrideKind === 'providers' ? options.provider
+        : options.repo.endsWith('/*') ? `${normalizeRepoUrl(options.repo.slice(0, -2))}/*`
+          : normalizeRepoUrl(options.repo);
+      const overrides = config.CLAUDE_OVERRIDES = config.CLAUDE_OVERRIDES || {};
+      const section = overrides[overrideKind] = overrides[overrideKind] || {};
+      target = section[overrideName] = section[overrideName] || {};
+    }
 
     // Type coercion for specific keys
-    if (key === 'GIT_SEARCH_PATHS') {
-      config[key] = value.split(',').map(p => p.trim());
-    } else if (key === 'GIT_SEARCH_MAX_DEPTH') {
-      config[key] = parseInt(value, 10);
+    if (key === 'GIT_SEARCH_PATHS' || key === 'CLAUDE_FIX_PROVIDERS' || key === 'ALLOWED_ORIGINS' || key === 'REPO_RANKING' || LIST_KEYS.includes(key)) {
+      target[key] = value.split(',').map(p => p.trim());
+    } else if (key === 'GIT_SEARCH_MAX_DEPTH' || key === 'GIT_INDEX_INTERVAL' || key === 'REPO_CACHE_TTL_DAYS' || key === 'REPO_CACHE_MAX_ENTRIES' || key === 'CLAUDE_FIX_DEDUP_WINDOW' || key === 'CLAUDE_FIX_JOB_TIMEOUT' || key === 'CLAUDE_FIX_JOB_KILL_GRACE' || key === 'CLAUDE_FIX_JOB_RETENTION_DAYS') {
+      target[key] = parseInt(value, 10);
+    } else if (key === 'GIT_HOST_ALIASES') {
+      // "alias=host,alias2=host2"
+      target[key] = Object.fromEntries(value.split(',').filter(Boolean).map(pair => pair.split('=').map(p => p.trim())));
+    } else if (key === 'CLAUDE_FIX_CONFIRM' || key === 'CLAUDE_FIX_AUTO_CLONE' || key === 'CLAUDE_FIX_WORKTREE' || key === 'CLAUDE_FIX_HEADLESS') {
+      target[key] = value === 'true';
     } else {
-      config[key] = value;
+      target[key] = value;
     }
 
-    const configDir = path.dirname(CONFIG_FILE);
-    if (!fs.existsSync(configDir)) {
-      fs.mkdirSync(configDir, { recursive: true });
-    }
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2) + '\n');
-    fs.chmodSync(CONFIG_FILE, 0o600);
+    saveConfig(config);
 
-    console.log(`Updated ${key} = ${key.includes('KEY') ? redact(value) : value}`);
+    const forWhom = overrideKind ? ` for ${overrideKind === 'repos' ? 'repo' : 'provider'} ${overrideName}` : '';
+    console.log(`Updated ${key} = ${isSecret(key) ? redact(value) : value}${forWhom}`);
     console.log('Restart the daemon for changes to take effect:');
     console.log('  claude-fix stop && claude-fix start');
     return;
@@ -325,11 +536,315 @@ function cmdConfig(args) {
   }
 
   for (const [key, value] of Object.entries(config)) {
-    const display = key.includes('KEY') ? redact(value) : value;
+    if (key === 'CLAUDE_OVERRIDES') {
+      for (const [kind, section] of Object.entries(value)) {
+        for (const [name, settings] of Object.entries(section || {})) {
+          for (const [optionKey, optionValue] of Object.entries(settings || {})) {
+            console.log(`${optionKey} = ${optionValue} ${dim(`(${kind === 'repos' ? 'repo' : 'provider'} ${name})`)}`);
+          }
+        }
+      }
+      continue;
+    }
+
+    const display = isSecret(key) ? redact(value)
+      : value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.entries(value).map(([k, v]) => `${k}=${v}`).join(',')
+        : value;
     console.log(`${key} = ${display}`);
   }
 }
 
+async function cmdRepos(args, options) {
+  const sub = args[0] || 'list';
+  const usage = 'Usage: claude-fix repos [list|candidates <url>|pin <url> <dir>|forget <url>|clear [--all]|rescan [url]|path]';
+
+  if (sub === 'path') {
+    console.log(CACHE_FILE);
+    return;
+  }
+
+  if (sub === 'list') {
+    const entries = listCache();
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+    if (entries.length === 0) {
+      console.log('No cached repos');
+      return;
+    }
+    for (const entry of entries) {
+      const pinned = entry.pinned ? cyan(' [pinned]') : '';
+      const missing = fs.existsSync(entry.path) ? '' : red(' (missing)');
+      console.log(`${bold(entry.url)}${pinned} \u2192 ${entry.path}${missing}`);
+      console.log(dim(`    last used ${entry.lastUsed || 'never'}`));
+    }
+    return;
+  }
+
+  if (sub === 'pin') {
+    const [, repoUrl, dir] = args;
+    if (!repoUrl || !dir) {
+      console.error('Usage: claude-fix repos pin <url> <dir>');
+      process.exit(1);
+    }
+    const dirPath = path.resolve(dir.replace(/^~/, process.env.HOME));
+    if (!fs.existsSync(dirPath)) {
+      console.error(`No such directory: ${dirPath}`);
+      process.exit(1);
+    }
+
+    const normalized = await pinRepo(repoUrl, dirPath);
+    console.log(green('\u2705 Pinned') + ` ${normalized} \u2192 ${dirPath}`);
+    if (!getRepoRemotes(dirPath).map(r => normalizeRepoUrl(r)).includes(normalized)) {
+      console.log(dim(`   (none of its remotes are ${normalized}; pinned anyway)`));
+    }
+    return;
+  }
+
+  if (sub === 'forget') {
+    if (!args[1]) {
+      console.error('Usage: claude-fix repos forget <url>');
+      process.exit(1);
+    }
+    console.log(await forgetRepo(args[1]) ? `Forgot ${normalizeRepoUrl(args[1])}` : `Not cached: ${normalizeRepoUrl(args[1])}`);
+    return;
+  }
+
+  if (sub === 'clear') {
+    const removed = await clearCache({ all: !!options.all });
+    console.log(`Removed ${removed} cached repo(s)${options.all ? '' : ' (pinned ones kept; --all removes them too)'}`);
+    return;
+  }
+
+  if (sub === 'candidates') {
+    if (!args[1]) {
+      console.error('Usage: claude-fix repos candidates <url> [--json]');
+      process.exit(1);
+    }
+    const normalized = normalizeRepoUrl(args[1]);
+    const candidates = await findCheckouts(args[1]);
+    if (options.json) {
+      console.log(JSON.stringify(candidates, null, 2));
+      return;
+    }
+    if (candidates.length === 0) {
+      console.log(`No checkouts of ${normalized} found`);
+      return;
+    }
+
+    const pinned = listCache().find(e => e.url === normalized && e.pinned);
+    candidates.forEach((candidate, i) => {
+      const marker = pinned && pinned.path === candidate.path ? cyan(' [pinned]') : '';
+      const dirty = candidate.dirty === 0 ? green('clean')
+        : Number.isFinite(candidate.dirty) ? red(`${candidate.dirty} changed`) : dim('status unknown');
+      console.log(`${i + 1}. ${bold(candidate.path)}${marker}`);
+      console.log(dim(`    ${candidate.branch || 'detached HEAD'}${candidate.onDefaultBranch ? ' (default)' : ''}, `) + dirty + dim(`, active ${candidate.lastActive || 'never'}`));
+    });
+    if (!pinned && candidates.length > 1) {
+      console.log(dim(`Pin one with: claude-fix repos pin ${normalized} <dir>`));
+    }
+    return;
+  }
+
+  if (sub === 'rescan') {
+    const entries = listCache();
+    const targets = args[1]
+      ? [normalizeRepoUrl(args[1])]
+      : entries.filter(e => !e.pinned).map(e => e.url);
+
+    for (const url of targets) {
+      if (entries.some(e => e.url === url && e.pinned)) {
+        console.log(dim(`${url} is pinned; forget it first to rescan`));
+        continue;
+      }
+      await forgetRepo(url);
+      const found = await resolveRepo(url);
+      console.log(found ? green('\u2705 ') + `${url} \u2192 ${found}` : red('\u274C ') + `${url} not found`);
+    }
+    return;
+  }
+
+  console.error(usage);
+  process.exit(1);
+}
+
+async function cmdWorktrees(args, options) {
+  const sub = args[0] || 'list';
+
+  if (sub === 'path') {
+    console.log(getWorktreeRoot());
+    return;
+  }
+
+  if (sub === 'prune') {
+    const olderThan = options['older-than'] || '7d';
+    const before = olderThan === 'all' ? null : parseSince(olderThan);
+    if (olderThan !== 'all' && !before) {
+      console.error(`Invalid --older-than: ${olderThan} (e.g. 12h, 7d, 2w, all)`);
+      process.exit(1);
+    }
+
+    const { removed, skipped } = await pruneWorktrees({ before, force: !!options.force });
+    for (const worktree of removed) {
+      console.log(green('\u2705 Removed') + dim(` ${worktree.path}`));
+    }
+    for (const { worktree, reason } of skipped) {
+      console.log(red('\u274C Kept') + dim(` ${worktree.path}: ${reason}`));
+    }
+    if (removed.length === 0 && skipped.length === 0) {
+      console.log('Nothing to prune');
+    }
+    if (skipped.some(s => s.worktree.dirty) && !options.force) {
+      console.log(dim('Use --force to remove worktrees with uncommitted changes'));
+    }
+    return;
+  }
+
+  if (sub !== 'list') {
+    console.error('Usage: claude-fix worktrees [list|prune|path] [--older-than 7d] [--force] [--json]');
+    process.exit(1);
+  }
+
+  const worktrees = await listWorktrees();
+
+  if (options.json) {
+    console.log(JSON.stringify(worktrees, null, 2));
+    return;
+  }
+
+  if (worktrees.length === 0) {
+    console.log(`No worktrees in ${getWorktreeRoot()}`);
+    return;
+  }
+
+  for (const worktree of worktrees) {
+    const dirty = worktree.dirty ? red(` ${worktree.dirty} changed`) : '';
+    console.log(`${dim(worktree.createdAt.toISOString())}  ${cyan(worktree.branch || '(unknown branch)')}${dirty}`);
+    console.log(dim(`    ${worktree.path}${worktree.mainPath ? ` (from ${worktree.mainPath})` : ' (main checkout missing)'}`));
+  }
+}
+
+function cmdJobs(args, options) {
+  const sub = args[0] || 'list';
+  const status = (job) => (job.status === 'succeeded' ? green : job.status === 'running' ? cyan : red)(job.status);
+
+  if (sub === 'path') {
+    console.log(getJobsDir());
+    return;
+  }
+
+  if (sub === 'show') {
+    if (!args[1]) {
+      console.error('Usage: claude-fix jobs show <id> [--json]');
+      process.exit(1);
+    }
+    const job = readJob(args[1]);
+    if (!job) {
+      console.error(`No such job: ${args[1]}`);
+      process.exit(1);
+    }
+    if (options.json) {
+      console.log(JSON.stringify(job, null, 2));
+      return;
+    }
+
+    console.log(`${bold(job.id)}  ${status(job)}${job.exitCode !== null ? dim(` (exit ${job.exitCode})`) : ''}`);
+    console.log(dim(`    ${job.source || 'unknown source'}${job.recommendationId ? ` ${job.recommendationId}` : ''} in ${job.cwd || '(no directory)'}`));
+    console.log(dim(`    started ${job.startedAt}${job.finishedAt ? `, finished ${job.finishedAt}` : ''}`));
+    if (job.error) console.log(red(`    ${job.error}`));
+    if (job.stdout) console.log('\n' + job.stdout.trimEnd());
+    if (job.stderr) console.log('\n' + dim(job.stderr.trimEnd()));
+    return;
+  }
+
+  if (sub !== 'list') {
+    console.error('Usage: claude-fix jobs [list|show <id>|path] [--json]');
+    process.exit(1);
+  }
+
+  const jobs = listJobs();
+  if (options.json) {
+    console.log(JSON.stringify(jobs, null, 2));
+    return;
+  }
+  if (jobs.length === 0) {
+    console.log(`No jobs in ${getJobsDir()}`);
+    return;
+  }
+  for (const job of jobs) {
+    console.log(`${dim(job.startedAt)}  ${bold(job.id)}  ${status(job)}`);
+    console.log(dim(`    ${job.source || 'unknown source'}${job.recommendationId ? ` ${job.recommendationId}` : ''} in ${job.cwd || '(no directory)'}`));
+  }
+}
+
+function cmdTemplates(args, options) {
+  const sub = args[0];
+
+  if (sub === 'path') {
+    console.log(TEMPLATES_DIR);
+    return;
+  }
+
+  if (sub === 'init') {
+    const written = initTemplates();
+    for (const file of written) {
+      console.log(green('\u2705 Created') + dim(` ${file}`));
+    }
+    if (written.length === 0) {
+      console.log(`Templates already exist in ${TEMPLATES_DIR}`);
+    }
+    return;
+  }
+
+  // Default: show which file each template resolves to
+  const scope = {
+    provider: options.provider,
+    repo: options.repo ? normalizeRepoUrl(options.repo) : undefined
+  };
+  for (const name of Object.keys(DEFAULT_TEMPLATES)) {
+    const { source } = loadTemplate(name, scope);
+    console.log(`${bold(name)}: ${source}`);
+    for (const candidate of templateCandidates(name, scope)) {
+      console.log(dim(`   ${candidate === source ? '\u25C9' : '\u25CB'} ${candidate}`));
+    }
+  }
+}
+
+function cmdToken(args, options) {
+  const sub = args[0];
+  const config = loadConfig();
+
+  if (sub === 'rotate') {
+    config.CLAUDE_FIX_TOKEN = generateToken();
+    saveConfig(config);
+    console.log('New token saved. Callers using the old token will get 403 from now on.');
+    console.log(config.CLAUDE_FIX_TOKEN);
+    return;
+  }
+
+  const token = process.env.CLAUDE_FIX_TOKEN || config.CLAUDE_FIX_TOKEN;
+  if (!token) {
+    console.error('No token configured. Run: claude-fix token rotate');
+    process.exit(1);
+  }
+
+  if (sub === 'sign') {
+    const url = args[1];
+    if (!url) {
+      console.error('Usage: claude-fix token sign <url> [--ttl SECONDS]');
+      process.exit(1);
+    }
+    console.log(signUrl(url, token, { ttl: parseInt(options.ttl, 10) || 0 }));
+    return;
+  }
+
+  // Default: print the token
+  console.log(token);
+  console.error(dim(`Send it as the ${TOKEN_HEADER} header, or sign URLs with: claude-fix token sign <url>`));
+}
+
 function printHelp() {
   console.log(`
 claude-fix - HTTP daemon that spawns Claude Code with context
@@ -339,32 +854,114 @@ Usage:
 
 Commands:
   serve [--port PORT]  Start daemon in foreground (default port: ${DEFAULT_PORT})
-  start                Start daemon via launchctl
-  stop                 Stop daemon via launchctl
+  start                Start daemon via launchctl / systemctl --user
+  stop                 Stop daemon via launchctl / systemctl --user
   status               Check if daemon is running
   fix "message"        Quick one-shot fix (no daemon needed)
+      --file FILE        File the error is in
+      --line N           Line number in that file
+      --repo URL|DIR     Run in this checkout instead of the current directory
+      --stdin            Read test output / a stack trace from stdin (Node, Python, Java, Go);
+                         the top in-repo frame becomes the file and line
+      --agent NAME       Agent CLI to open instead of AGENT (${listAgents().map(a => a.name).join(', ')})
+  history              Show past spawns [--source NAME] [--repo TEXT] [--id REC_ID]
+                       [--outcome spawned|failed|cancelled] [--since 7d] [--limit N] [--json]
   config               Show current config
-  config set <k> <v>   Set a config value
+  config set <k> <v>   Set a config value (AGENT and CLAUDE_* options: --repo URL or --provider NAME
+                       to override them for one repo, "host/org/*" for all of an org's repos)
   config path          Print config file path
-  install              Install launchd service for auto-start
-  uninstall            Remove launchd service
+  repos                List cached repo locations [--json]
+  repos candidates <url> Rank every local checkout of <url> [--json]
+  repos pin <url> <dir>  Always use <dir> for <url> (takes priority over scanning)
+  repos forget <url>   Remove a cached or pinned location
+  repos clear          Remove cached locations (--all also removes pinned ones)
+  repos rescan [url]   Drop and re-resolve cached locations
+  worktrees            List per-recommendation worktrees [--json]
+  worktrees prune      Remove worktrees older than --older-than (default 7d, or "all");
+                       ones with uncommitted changes are kept unless --force
+  worktrees path       Print the worktrees directory
+  jobs                 List headless jobs [--json]
+  jobs show <id>       Status, answer and stderr of a headless job [--json]
+  jobs path            Print the jobs directory
+  templates            Show which template files are used [--provider NAME] [--repo URL]
+  templates init       Copy the built-in templates to ~/.claude-fix/templates for editing
+  templates path       Print the templates directory
+  token                Print the API token
+  token rotate         Generate a new API token
+  token sign <url>     Add an HMAC signature to a URL [--ttl SECONDS]
+  install              Install login service (launchd or systemd --user)
+  uninstall            Remove login service
 
 Config keys:
   DD_API_KEY              Datadog API key
   DD_APP_KEY              Datadog application key
-  CLAUDE_FIX_TERMINAL     Terminal app (Terminal, iTerm, Kitty, Alacritty, WezTerm)
+  DD_SITE                 Datadog site (US1, US3, US5, EU1, AP1, AP2, US1-FED/gov; default: US1)
+  DD_BASE_URL             Full API base URL override (e.g. a local mock server)
+  CLAUDE_FIX_TERMINAL     Terminal app (macOS: Terminal, iTerm, Kitty, Alacritty, WezTerm;
+                          Linux: GnomeTerminal, Konsole, XTerm, Kitty, Alacritty, WezTerm;
+                          both: Tmux, Screen)
+  CLAUDE_FIX_MUX_SESSION  tmux/screen session to open windows in (default: most recent)
+  CLAUDE_FIX_PROVIDERS    Comma-separated custom provider modules (mounted at /<route>/claude-fix)
+  CLAUDE_FIX_CONFIRM      true to show a confirmation page before every spawn (default: false)
+  CLAUDE_FIX_DEDUP_WINDOW Seconds during which repeat requests for the same recommendation
+                          and repo return "already_open" (default: 120, 0 disables)
+  ALLOWED_ORIGINS         Comma-separated browser origins allowed to call the API
+                          (default: the Datadog app for DD_SITE and the daemon itself)
   GIT_SEARCH_PATHS        Comma-separated dirs to scan for repos (default: ~/dd)
   GIT_SEARCH_MAX_DEPTH    Max directory depth for repo scan (default: 4)
+  GIT_HOST_ALIASES        Comma-separated alias=host pairs for remotes that use SSH host aliases
+                          (e.g. github-work=github.com; ~/.ssh/config HostNames are read too)
+  REPO_CACHE_TTL_DAYS     Forget cached repo locations unused for this long (default: 30, 0 = never)
+  REPO_CACHE_MAX_ENTRIES  Keep at most this many cached locations, least recently used
+                          go first (default: 500, 0 = no limit); pinned ones are kept
+  REPO_RANKING            How to pick between several checkouts of a repo: comma-separated
+                          clean, default-branch, recent (default: all three, in that order)
+  GIT_INDEX_INTERVAL      Seconds between re-indexing GIT_SEARCH_PATHS in the daemon
+                          (default: 300, 0 relies on file watching alone)
+  CLAUDE_FIX_AUTO_CLONE   true to clone repos that aren't found locally (default: false)
+  CLAUDE_FIX_CLONE_ROOT   Where to clone them, as <root>/<owner>/<repo>
+                          (default: first GIT_SEARCH_PATHS entry)
+  CLAUDE_FIX_WORKTREE     true to open each recommendation in its own git worktree
+                          on branch claude-fix/<id> (default: false; per request: worktree=1)
+  CLAUDE_FIX_WORKTREE_ROOT  Where worktrees go (default: ~/.claude-fix/worktrees)
+  CLAUDE_FIX_HEADLESS     true to run claude -p in the background instead of opening a terminal;
+                          results go to ~/.claude-fix/jobs (default: false; per request: headless=1)
+  CLAUDE_FIX_JOB_TIMEOUT  Seconds before a headless job is killed (default: 1800, 0 = never)
+  CLAUDE_FIX_JOB_KILL_GRACE  Seconds a timed-out job gets to exit after SIGTERM before
+                          SIGKILL (default: 10)
+  CLAUDE_FIX_JOB_RETENTION_DAYS  Remove finished jobs older than this when a new one starts
+                          (default: 30, 0 = keep them)
+  AGENT                   Agent CLI to run: ${listAgents().map(a => a.name).join(', ')} (default: claude)
+  CLAUDE_BIN              claude binary to run (default: claude on $PATH)
+  CLAUDE_MODEL            --model for every session (all agents)
+  CLAUDE_PERMISSION_MODE  --permission-mode: ${PERMISSION_MODES.join(', ')}
+  CLAUDE_ALLOWED_TOOLS    Comma-separated --allowedTools, e.g. "Read,Grep,Bash(git log:*)"
+  CLAUDE_DISALLOWED_TOOLS Comma-separated --disallowedTools
+  CLAUDE_MCP_CONFIG       --mcp-config file
+  CLAUDE_APPEND_SYSTEM_PROMPT  --append-system-prompt text
 
 Examples:
   claude-fix serve
+  claude-fix config set DD_SITE EU1
   claude-fix config set CLAUDE_FIX_TERMINAL iTerm
+  claude-fix config set CLAUDE_FIX_TERMINAL Tmux
   claude-fix config set GIT_SEARCH_PATHS "~/dd,~/projects"
   claude-fix config set GIT_SEARCH_MAX_DEPTH 3
+  claude-fix config set CLAUDE_FIX_AUTO_CLONE true
+  claude-fix repos pin github.com/org/monolith ~/src/monolith
+  claude-fix config set CLAUDE_FIX_WORKTREE true
+  claude-fix worktrees prune --older-than 14d
+  claude-fix config set CLAUDE_PERMISSION_MODE plan --repo "github.com/org/*"
   claude-fix fix "TypeError: Cannot read property 'foo' of undefined"
+  claude-fix fix "off-by-one in pagination" --file src/page.js --line 42
+  npm test 2>&1 | claude-fix fix --stdin
+  claude-fix history --since 7d --source datadog
 
-API:
+API (spawn routes need the ${TOKEN_HEADER} header or a sig parameter):
   GET http://localhost:${DEFAULT_PORT}/dd/claude-fix?data=<encoded-data>&repo=<host/owner/repo>
+  GET http://localhost:${DEFAULT_PORT}/<provider>/claude-fix?...&repo=<host/owner/repo>[&confirm=1][&force=1]
+  GET http://localhost:${DEFAULT_PORT}/dd/history?source=&repo=&since=&limit=
+  GET http://localhost:${DEFAULT_PORT}/dd/jobs/<id>
   GET http://localhost:${DEFAULT_PORT}/dd/health
 `);
 }
@@ -388,10 +985,28 @@ async function main() {
       cmdStatus();
       break;
     case 'fix':
-      await cmdFix(cmdArgs);
+      await cmdFix(cmdArgs, options);
+      break;
+    case 'history':
+      cmdHistory(options);
       break;
     case 'config':
-      cmdConfig(cmdArgs);
+      cmdConfig(cmdArgs, options);
+      break;
+    case 'repos':
+      await cmdRepos(cmdArgs, options);
+      break;
+    case 'worktrees':
+      await cmdWorktrees(cmdArgs, options);
+      break;
+    case 'jobs':
+      cmdJobs(cmdArgs, options);
+      break;
+    case 'templates':
+      cmdTemplates(cmdArgs, options);
+      break;
+    case 'token':
+      cmdToken(cmdArgs, options);
       break;
     case 'install':
       await cmdInstall();
@@ -22,20 +22,33 @@ echo ""
 # 1. Check prerequisites
 echo "Checking prerequisites..."
 
-if [[ "$(uname)" != "Darwin" ]]; then
-  echo "${red}❌ Error: claude-fix currently only supports macOS${reset}"
+OS="$(uname)"
+if [[ "$OS" != "Darwin" && "$OS" != "Linux" ]]; then
+  echo "${red}❌ Error: claude-fix currently only supports macOS and Linux${reset}"
+  exit 1
+fi
+
+if [[ "$OS" == "Linux" ]] && ! command -v systemctl >/dev/null 2>&1; then
+  echo "${red}❌ Error: systemd is required on Linux (for the user service)${reset}"
   exit 1
 fi
 
 if ! command -v node >/dev/null 2>&1; then
   echo "${red}❌ Error: Node.js is required${reset}"
-  echo "   Install from https://nodejs.org or via: brew install node"
+  echo "   Install from https://nodejs.org or via: brew install node / your package manager"
   exit 1
 fi
 
-if ! command -v claude >/dev/null 2>&1; then
-  echo "${red}❌ Error: Claude Code CLI is required${reset}"
-  echo "   Install from https://docs.anthropic.com/en/docs/claude-code"
+# Any supported agent CLI will do; Claude Code is the default
+AGENTS=()
+for agent in claude aider codex gemini; do
+  command -v "$agent" >/dev/null 2>&1 && AGENTS+=("$agent")
+done
+
+if [ ${#AGENTS[@]} -eq 0 ]; then
+  echo "${red}❌ Error: A coding agent CLI is required${reset}"
+  echo "   Install Claude Code from https://docs.anthropic.com/en/docs/claude-code"
+  echo "   (or one of: aider, codex, gemini)"
   exit 1
 fi
 
@@ -45,7 +58,9 @@ if ! command -v git >/dev/null 2>&1; then
 fi
 
 echo "  ${green}✅ Node.js:${reset} $(node --version)"
-echo "  ${green}✅ Claude CLI:${reset} $(claude --version 2>/dev/null || echo 'installed')"
+for agent in "${AGENTS[@]}"; do
+  echo "  ${green}✅ ${agent}:${reset} $("$agent" --version 2>/dev/null | head -n 1 || echo 'installed')"
+done
 echo "  ${green}✅ Git:${reset} $(git --version)"
 
 echo ""
@@ -60,27 +75,36 @@ if ! git ls-remote "https://github.com/$REPO.git" HEAD >/dev/null 2>&1; then
 fi
 
 # 3. Download
-if [ -d "$INSTALL_DIR" ]; then
+if [ -d "$INSTALL_DIR/.git" ]; then
   echo "📦  Updating existing installation..."
-  # Preserve config
-  cp "$CONFIG_FILE" /tmp/claude-fix-config-backup.json 2>/dev/null || true
-  rm -rf "$INSTALL_DIR"
+  # Update in place so config, history and other local state survive
+  git -C "$INSTALL_DIR" fetch --quiet origin HEAD
+  git -C "$INSTALL_DIR" reset --hard --quiet FETCH_HEAD
 else
-  echo "📦  Downloading claude-fix..."
+  if [ -d "$INSTALL_DIR" ]; then
+    echo "📦  Replacing existing installation..."
+    # Preserve config
+    cp "$CONFIG_FILE" /tmp/claude-fix-config-backup.json 2>/dev/null || true
+    rm -rf "$INSTALL_DIR"
+  else
+    echo "📦  Downloading claude-fix..."
+  fi
+
+  git clone --quiet "https://github.com/$REPO.git" "$INSTALL_DIR"
+
+  # Restore config if updating
+  mv /tmp/claude-fix-config-backup.json "$CONFIG_FILE" 2>/dev/null || true
 fi
 
-git clone --quiet "https://github.com/$REPO.git" "$INSTALL_DIR"
-
-# Restore config if updating
-mv /tmp/claude-fix-config-backup.json "$CONFIG_FILE" 2>/dev/null || true
-
 cd "$INSTALL_DIR"
 
 # 4. Load existing config (for updates)
 if [ -f "$CONFIG_FILE" ]; then
   EXISTING_DD_API_KEY=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE')).get('DD_API_KEY',''))" 2>/dev/null || true)
   EXISTING_DD_APP_KEY=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE')).get('DD_APP_KEY',''))" 2>/dev/null || true)
+  EXISTING_DD_SITE=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE')).get('DD_SITE',''))" 2>/dev/null || true)
   EXISTING_TERMINAL=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE')).get('CLAUDE_FIX_TERMINAL',''))" 2>/dev/null || true)
+  EXISTING_AGENT=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE')).get('AGENT',''))" 2>/dev/null || true)
 fi
 
 # 5. Prompt for credentials
@@ -109,21 +133,49 @@ else
   read -p "   Datadog App Key: " DD_APP_KEY < /dev/tty
 fi
 
+DEFAULT_SITE="${EXISTING_DD_SITE:-US1}"
+while true; do
+  read -p "   Datadog site (US1, US3, US5, EU1, AP1, AP2, US1-FED) [${DEFAULT_SITE}]: " DD_SITE < /dev/tty
+  DD_SITE="${DD_SITE:-$DEFAULT_SITE}"
+  if node -e "process.exit(require('$INSTALL_DIR/src/providers/datadog').resolveSite(process.argv[1]) ? 0 : 1)" "$DD_SITE" 2>/dev/null; then
+    break
+  fi
+  echo "   ${red}Unknown site: ${DD_SITE}${reset}"
+done
+
 # 6. Select preferred terminal
-TERMINALS=("Terminal")
-[ -d "/Applications/iTerm.app" ] && TERMINALS+=("iTerm")
-[ -d "/Applications/kitty.app" ] && TERMINALS+=("Kitty")
-[ -d "/Applications/Alacritty.app" ] && TERMINALS+=("Alacritty")
-[ -d "/Applications/WezTerm.app" ] && TERMINALS+=("WezTerm")
+TERMINALS=()
+if [[ "$OS" == "Darwin" ]]; then
+  TERMINALS+=("Terminal")
+  [ -d "/Applications/iTerm.app" ] && TERMINALS+=("iTerm")
+  [ -d "/Applications/kitty.app" ] && TERMINALS+=("Kitty")
+  [ -d "/Applications/Alacritty.app" ] && TERMINALS+=("Alacritty")
+  [ -d "/Applications/WezTerm.app" ] && TERMINALS+=("WezTerm")
+else
+  command -v gnome-terminal >/dev/null 2>&1 && TERMINALS+=("GnomeTerminal")
+  command -v konsole >/dev/null 2>&1 && TERMINALS+=("Konsole")
+  command -v kitty >/dev/null 2>&1 && TERMINALS+=("Kitty")
+  command -v alacritty >/dev/null 2>&1 && TERMINALS+=("Alacritty")
+  command -v wezterm >/dev/null 2>&1 && TERMINALS+=("WezTerm")
+  command -v xterm >/dev/null 2>&1 && TERMINALS+=("XTerm")
+fi
+command -v tmux >/dev/null 2>&1 && TERMINALS+=("Tmux")
+command -v screen >/dev/null 2>&1 && TERMINALS+=("Screen")
+
+if [ ${#TERMINALS[@]} -eq 0 ]; then
+  echo "${red}❌ Error: No supported terminal found${reset}"
+  echo "   Install one of: gnome-terminal, konsole, kitty, alacritty, wezterm, xterm, tmux, screen"
+  exit 1
+fi
 
-DEFAULT_TERMINAL="${EXISTING_TERMINAL:-Terminal}"
+DEFAULT_TERMINAL="${EXISTING_TERMINAL:-${TERMINALS[0]}}"
 
 echo ""
 echo "${bold}🖥  Select terminal:${reset}"
 
 if [ ${#TERMINALS[@]} -eq 1 ]; then
-  echo "   Using terminal: ${cyan}Terminal${reset} ${dim}(only Terminal.app found)${reset}"
-  CLAUDE_FIX_TERMINAL="Terminal"
+  echo "   Using terminal: ${cyan}${TERMINALS[0]}${reset} ${dim}(only terminal found)${reset}"
+  CLAUDE_FIX_TERMINAL="${TERMINALS[0]}"
 else
   DEFAULT_IDX=1
   for i in "${!TERMINALS[@]}"; do
@@ -140,20 +192,49 @@ else
   CLAUDE_FIX_TERMINAL="${TERMINALS[$((CHOICE-1))]:-$DEFAULT_TERMINAL}"
 fi
 
-# Write config file
-cat > "$CONFIG_FILE" << EOF
-{
-  "DD_API_KEY": "${DD_API_KEY}",
-  "DD_APP_KEY": "${DD_APP_KEY}",
-  "CLAUDE_FIX_TERMINAL": "${CLAUDE_FIX_TERMINAL}"
+# 7. Select agent CLI
+DEFAULT_AGENT="${EXISTING_AGENT:-${AGENTS[0]}}"
+
+echo ""
+echo "${bold}🤖  Select agent:${reset}"
+
+if [ ${#AGENTS[@]} -eq 1 ]; then
+  echo "   Using agent: ${cyan}${AGENTS[0]}${reset} ${dim}(only agent found)${reset}"
+  AGENT="${AGENTS[0]}"
+else
+  DEFAULT_IDX=1
+  for i in "${!AGENTS[@]}"; do
+    if [ "${AGENTS[$i]}" = "$DEFAULT_AGENT" ]; then
+      echo "${cyan}   ◉ $((i+1))) ${AGENTS[$i]}  (current)${reset}"
+      DEFAULT_IDX=$((i+1))
+    else
+      echo "${dim}   ○ $((i+1))) ${AGENTS[$i]}${reset}"
+    fi
+  done
+  echo ""
+  read -p "   Choice [${DEFAULT_IDX}]: " CHOICE < /dev/tty
+  CHOICE="${CHOICE:-$DEFAULT_IDX}"
+  AGENT="${AGENTS[$((CHOICE-1))]:-$DEFAULT_AGENT}"
+fi
+
+# Write config file (merged into the existing one so other keys and the API token survive updates)
+DD_API_KEY="$DD_API_KEY" DD_APP_KEY="$DD_APP_KEY" DD_SITE="$DD_SITE" CLAUDE_FIX_TERMINAL="$CLAUDE_FIX_TERMINAL" AGENT="$AGENT" \
+node -e '
+const fs = require("fs");
+const file = process.argv[1];
+let config = {};
+try { config = JSON.parse(fs.readFileSync(file, "utf8")); } catch {}
+for (const key of ["DD_API_KEY", "DD_APP_KEY", "DD_SITE", "CLAUDE_FIX_TERMINAL", "AGENT"]) {
+  config[key] = process.env[key];
 }
-EOF
+fs.writeFileSync(file, JSON.stringify(config, null, 2) + "\n");
+' "$CONFIG_FILE"
 chmod 600 "$CONFIG_FILE"
 
 echo ""
 echo "${green}✅ Config saved${reset}         ${dim}${CONFIG_FILE}${reset}"
 
-# 7. Create symlink
+# 8. Create symlink
 if [ -L "$SYMLINK_PATH" ] || [ -e "$SYMLINK_PATH" ]; then
   sudo rm -f "$SYMLINK_PATH"
 fi
@@ -166,11 +247,11 @@ fi
 sudo ln -sf "$INSTALL_DIR/bin/claude-fix.js" "$SYMLINK_PATH"
 echo "${green}✅ Symlink created${reset}      ${dim}${SYMLINK_PATH}${reset}"
 
-# 8. Install launchd service (JS handles plist + service loading output)
+# 9. Install login service (JS handles launchd plist / systemd unit + service loading output)
 echo ""
 CLAUDE_FIX_TERMINAL="$CLAUDE_FIX_TERMINAL" node "$INSTALL_DIR/bin/claude-fix.js" install
 
-# 9. Verify installation
+# 10. Verify installation
 sleep 2
 
 if curl -s --connect-timeout 5 http://localhost:8991/dd/health | grep -q '"status":"ok"'; then
@@ -178,7 +259,11 @@ if curl -s --connect-timeout 5 http://localhost:8991/dd/health | grep -q '"statu
 else
   echo "${yellow}⚠️  Health check failed. The daemon may need a moment to start.${reset}"
   echo "${dim}   Check status with: claude-fix status${reset}"
-  echo "${dim}   View logs with: tail -f /tmp/claude-fix.log${reset}"
+  if [[ "$OS" == "Darwin" ]]; then
+    echo "${dim}   View logs with: tail -f /tmp/claude-fix.log${reset}"
+  else
+    echo "${dim}   View logs with: journalctl --user -u claude-fix -f${reset}"
+  fi
 fi
 
 echo ""
@@ -0,0 +1,155 @@
+/**
+ * Command line for the agent CLI: which agent (see agents/), binary, model,
+ * permission mode, tools, MCP config
+ *
+ * Set globally in config.json, then overridden per provider and per repo (most
+ * specific last, like templates). Repo keys are normalized URLs; a trailing
+ * "/*" matches every repo below it:
+ *
+ *   "CLAUDE_PERMISSION_MODE": "acceptEdits",
+ *   "CLAUDE_OVERRIDES": {
+ *     "providers": { "datadog": { "CLAUDE_MODEL": "opus" } },
+ *     "repos": { "github.com/org/*": { "CLAUDE_PERMISSION_MODE": "plan" } }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
+
+/**
+ * Config keys and the option each one sets
+ */
+const OPTION_KEYS = {
+  AGENT: 'agent',
+  CLAUDE_BIN: 'bin',
+  CLAUDE_MODEL: 'model',
+  CLAUDE_PERMISSION_MODE: 'permissionMode',
+  CLAUDE_ALLOWED_TOOLS: 'allowedTools',
+  CLAUDE_DISALLOWED_TOOLS: 'disallowedTools',
+  CLAUDE_MCP_CONFIG: 'mcpConfig',
+  CLAUDE_APPEND_SYSTEM_PROMPT: 'appendSystemPrompt'
+};
+
+const LIST_KEYS = ['CLAUDE_ALLOWED_TOOLS', 'CLAUDE_DISALLOWED_TOOLS'];
+
+const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions'];
+
+const DEFAULT_OPTIONS = {
+  agent: 'claude',
+  bin: null,
+  model: null,
+  permissionMode: null,
+  allowedTools: [],
+  disallowedTools: [],
+  mcpConfig: null,
+  appendSystemPrompt: null
+};
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    }
+  } catch {}
+  return {};
+}
+
+function expandHome(p) {
+  return typeof p === 'string' && p.startsWith('~/') ? path.join(process.env.HOME, p.slice(2)) : p;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Repo override sections that apply to a repo, least specific first
+ */
+function repoLayers(repos, repo) {
+  if (!repo || !repos) return [];
+
+  return Object.keys(repos)
+    .filter(key => key === repo || (key.endsWith('/*') && repo.startsWith(key.slice(0, -1))))
+    .sort((a, b) => a.length - b.length)
+    .map(key => repos[key]);
+}
+
+/**
+ * Effective agent options for a request
+ * @param {object} [scope] - { provider, repo, agent } where repo is a normalized URL (host/owner/repo)
+ *                           and agent, from the request, wins over every configured AGENT
+ * @returns {{ agent: string, bin: string|null, model: string|null, permissionMode: string|null, allowedTools: string[],
+ *            disallowedTools: string[], mcpConfig: string|null, appendSystemPrompt: string|null }}
+ */
+function resolveAgentOptions({ provider, repo, agent } = {}) {
+  const config = loadConfig();
+  const overrides = config.CLAUDE_OVERRIDES || {};
+  const layers = [
+    config,
+    provider && overrides.providers ? overrides.providers[provider] : null,
+    ...repoLayers(overrides.repos, repo)
+  ];
+
+  const options = { ...DEFAULT_OPTIONS };
+  for (const layer of layers) {
+    if (!layer) continue;
+    for (const [key, name] of Object.entries(OPTION_KEYS)) {
+      if (layer[key] === undefined || layer[key] === null || layer[key] === '') continue;
+      options[name] = LIST_KEYS.includes(key) ? toList(layer[key]) : layer[key];
+    }
+  }
+
+  if (agent) options.agent = agent;
+  options.bin = expandHome(options.bin);
+  options.mcpConfig = expandHome(options.mcpConfig);
+  return options;
+}
+
+/**
+ * claude arguments for the options, to follow the prompt (or -p)
+ *
+ * --allowedTools, --disallowedTools and --mcp-config take several values, so
+ * they come last, in that order, and each gets a single argument (tool lists
+ * comma-separated). Anything after them would be read as one of their values.
+ * @param {object} options - From resolveAgentOptions()
+ * @returns {string[]}
+ */
+function agentArgs(options) {
+  const args = [];
+  if (options.model) args.push('--model', options.model);
+  if (options.permissionMode) args.push('--permission-mode', options.permissionMode);
+  if (options.appendSystemPrompt) args.push('--append-system-prompt', options.appendSystemPrompt);
+  if (options.allowedTools.length) args.push('--allowedTools', options.allowedTools.join(','));
+  if (options.disallowedTools.length) args.push('--disallowedTools', options.disallowedTools.join(','));
+  if (options.mcpConfig) args.push('--mcp-config', options.mcpConfig);
+  return args;
+}
+
+/**
+ * Options as shown in /dd/health (the system prompt itself is left out)
+ * @returns {object} Global options plus which providers and repos override them
+ */
+function describeAgentOptions() {
+  const { appendSystemPrompt, ...options } = resolveAgentOptions();
+  const overrides = loadConfig().CLAUDE_OVERRIDES || {};
+  return {
+    ...options,
+    appendSystemPrompt: !!appendSystemPrompt,
+    overrides: {
+      providers: Object.keys(overrides.providers || {}),
+      repos: Object.keys(overrides.repos || {})
+    }
+  };
+}
+
+module.exports = {
+  resolveAgentOptions,
+  agentArgs,
+  describeAgentOptions,
+  OPTION_KEYS,
+  LIST_KEYS,
+  PERMISSION_MODES
+};
@@ -0,0 +1,31 @@
+/**
+ * Aider: context files are added to the chat as arguments
+ *
+ * Aider can't start a chat with a message: --message answers it, applies the
+ * edits and exits. The interactive session opens the chat with the files and
+ * no message instead, and the runner prints the prompt to paste in. Aider
+ * applies edits without asking, so --no-auto-commits at least leaves them
+ * uncommitted for review. Headless jobs send the prompt from a file with
+ * --message-file and --dry-run.
+ */
+
+const { PROMPT_FILE } = require('./prompt');
+
+function modelArgs(options) {
+  return options.model ? ['--model', options.model] : [];
+}
+
+module.exports = {
+  name: 'aider',
+  label: 'Aider',
+  bin: 'aider',
+  enforces: [],
+  mention: null,
+
+  interactive: ({ files, options }) => [...modelArgs(options), '--no-auto-commits', ...files],
+
+  // Headless jobs report a fix instead of making it
+  headless: ({ files, options }) => ({
+    args: [...modelArgs(options), '--dry-run', '--no-auto-commits', '--no-pretty', '--yes-always', '--message-file', PROMPT_FILE, ...files]
+  })
+};
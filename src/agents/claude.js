@@ -0,0 +1,20 @@
+/**
+ * Claude Code: the first argument @mentions the prompt file (stdin with -p),
+ * context files are loaded through @path mentions
+ */
+
+const { agentArgs } = require('../agent-options');
+const { PROMPT_MENTION } = require('./prompt');
+
+module.exports = {
+  name: 'claude',
+  label: 'Claude Code',
+  bin: 'claude',
+  enforces: ['permissionMode', 'allowedTools', 'disallowedTools'],
+  mention: '@',
+
+  // Options after the prompt, so variadic flags like --allowedTools can't swallow it
+  interactive: ({ options }) => [PROMPT_MENTION, ...agentArgs(options)],
+
+  headless: ({ options }) => ({ args: ['-p', ...agentArgs(options)], stdin: true })
+};
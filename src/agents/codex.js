@@ -0,0 +1,26 @@
+/**
+ * OpenAI Codex CLI: the prompt is an argument (or stdin for `codex exec -`), the
+ * working directory is passed with --cd and context files are listed in the prompt
+ */
+
+const { PROMPT } = require('./prompt');
+
+function commonArgs({ cwd, options }) {
+  return [
+    ...(cwd ? ['--cd', cwd] : []),
+    ...(options.model ? ['--model', options.model] : [])
+  ];
+}
+
+module.exports = {
+  name: 'codex',
+  label: 'Codex CLI',
+  bin: 'codex',
+  enforces: [],
+  mention: '',
+
+  interactive: (context) => [...commonArgs(context), PROMPT],
+
+  // Headless jobs report a fix instead of making it
+  headless: (context) => ({ args: ['exec', ...commonArgs(context), '--sandbox', 'read-only', '-'], stdin: true })
+};
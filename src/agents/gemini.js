@@ -0,0 +1,23 @@
+/**
+ * Gemini CLI: --prompt-interactive @mentions the prompt file, whose directory is
+ * added to the workspace so gemini may read it (a piped prompt runs
+ * non-interactively), context files are loaded through @path mentions
+ */
+
+const { PROMPT_MENTION, PROMPT_DIR } = require('./prompt');
+
+function modelArgs(options) {
+  return options.model ? ['--model', options.model] : [];
+}
+
+module.exports = {
+  name: 'gemini',
+  label: 'Gemini CLI',
+  bin: 'gemini',
+  enforces: [],
+  mention: '@',
+
+  interactive: ({ options }) => [...modelArgs(options), '--include-directories', PROMPT_DIR, '--prompt-interactive', PROMPT_MENTION],
+
+  headless: ({ options }) => ({ args: modelArgs(options), stdin: true })
+};
@@ -0,0 +1,202 @@
+/**
+ * Coding-agent CLI registry
+ *
+ * An adapter knows how one agent CLI takes the initial prompt, the working
+ * directory and extra context files, in an interactive terminal session and in
+ * a headless job. Selected with AGENT (default "claude", overridable per repo
+ * and provider like the other agent options) or per request with agent=<name>.
+ *
+ * Adapter shape:
+ *   name        - Identifier used in AGENT, the agent parameter and /dd/health
+ *   label       - Human-readable name (e.g. "Aider")
+ *   bin         - Binary looked up on $PATH
+ *   enforces    - Permission options the CLI applies ("permissionMode", "allowedTools",
+ *                 "disallowedTools"); a request that sets any other one is refused
+ *   mention     - Prefix for context files listed in the prompt ("@" where the CLI
+ *                 loads @path mentions), or null if interactive()/headless() pass them as arguments
+ *   interactive(context) - Arguments that open a session; the prompt goes where PROMPT is,
+ *                          or is written to a file named where PROMPT_FILE or PROMPT_MENTION
+ *                          is (see prompt.js). With none, it is printed for the user to paste in
+ *   headless(context)    - { args, stdin } that run the prompt to completion and print the
+ *                          answer; with stdin set the prompt is written to stdin instead
+ *
+ *   context: { cwd, files, options } - files are absolute paths of existing context
+ *            files, options come from resolveAgentOptions()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROMPT, PROMPT_FILE, PROMPT_MENTION, PROMPT_DIR } = require('./prompt');
+
+const agents = new Map();
+
+/**
+ * Register an adapter
+ * @param {object} agent - See adapter shape above
+ */
+function registerAgent(agent) {
+  if (!agent || !agent.name || !agent.bin || typeof agent.interactive !== 'function' || typeof agent.headless !== 'function') {
+    throw new Error('Agent must have a name, a bin and interactive() and headless() functions');
+  }
+  agents.set(agent.name, agent);
+}
+
+/**
+ * @param {string} name - e.g. "aider"
+ * @returns {object|null}
+ */
+function getAgent(name) {
+  return agents.get(name) || null;
+}
+
+/**
+ * @returns {object[]} All registered adapters
+ */
+function listAgents() {
+  return [...agents.values()];
+}
+
+/**
+ * Whether file is below dir (not dir itself, nothing reached through "..")
+ */
+function isInside(dir, file) {
+  const relative = path.relative(dir, file);
+  return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+/**
+ * Absolute paths of the referenced files that exist, looked up in each directory in turn
+ *
+ * Paths come from the request and the recommendation text, so only files inside
+ * one of the directories are kept, symlinks included: the agent is handed them.
+ * @param {string[]} files - Paths from the recommendation (relative or absolute)
+ * @param {string[]} dirs - Directories to look in (checkout root, session cwd)
+ * @returns {string[]}
+ */
+function resolveContextFiles(files, dirs) {
+  const found = new Set();
+  for (const file of files.filter(Boolean)) {
+    for (const dir of dirs.filter(Boolean)) {
+      const candidate = path.resolve(dir, file);
+      if (!isInside(dir, candidate) || !fs.existsSync(candidate) || !fs.statSync(candidate).isFile()) continue;
+      if (!isInside(fs.realpathSync(dir), fs.realpathSync(candidate))) continue;
+      found.add(candidate);
+      break;
+    }
+  }
+  return [...found];
+}
+
+/**
+ * Permission options that apply to a request but that its agent would ignore
+ *
+ * These come from CLAUDE_PERMISSION_MODE and the tool lists, often set per repo as a
+ * policy, so an agent that can't apply them must not run instead.
+ * @param {object} options - From resolveAgentOptions()
+ * @returns {string[]} Config keys, e.g. ["CLAUDE_PERMISSION_MODE"]; empty when the agent applies them all
+ */
+function unenforcedOptions(options) {
+  const agent = getAgent(options.agent);
+  const enforces = (agent && agent.enforces) || [];
+  const set = {
+    // Bypassing permissions asks for no restriction, so any agent satisfies it
+    CLAUDE_PERMISSION_MODE: ['permissionMode', options.permissionMode && options.permissionMode !== 'bypassPermissions'],
+    CLAUDE_ALLOWED_TOOLS: ['allowedTools', options.allowedTools.length > 0],
+    CLAUDE_DISALLOWED_TOOLS: ['disallowedTools', options.disallowedTools.length > 0]
+  };
+  return Object.entries(set)
+    .filter(([, [name, applies]]) => applies && !enforces.includes(name))
+    .map(([key]) => key);
+}
+
+/**
+ * Command line for a prompt
+ * @param {object} options - From resolveAgentOptions()
+ * @param {string} prompt
+ * @param {object} [context]
+ * @param {string|null} [context.cwd] - Directory the agent runs in
+ * @param {string[]} [context.files] - Context files, from resolveContextFiles()
+ * @param {boolean} [context.headless] - Build the headless command instead of the interactive one
+ * @returns {{ agent: string, bin: string, args: Array<string|symbol>, prompt: string, stdin: boolean }}
+ *          args hold PROMPT / PROMPT_FILE where the prompt goes (see fillPrompt); prompt includes the context files
+ */
+function buildCommand(options, prompt, { cwd = null, files = [], headless = false } = {}) {
+  const agent = getAgent(options.agent);
+  if (!agent) {
+    throw new Error(`Unknown agent: ${options.agent}. Supported: ${[...agents.keys()].join(', ')}`);
+  }
+
+  const context = { cwd, files, options };
+  const { args, stdin = false } = headless ? agent.headless(context) : { args: agent.interactive(context) };
+
+  let text = prompt;
+  if (agent.mention !== null && files.length) {
+    const listed = files.map(file => `${agent.mention}${cwd ? path.relative(cwd, file) : file}`);
+    text += `\n\nContext files:\n${listed.map(file => `- ${file}`).join('\n')}\n`;
+  }
+
+  return {
+    agent: agent.name,
+    // CLAUDE_BIN only replaces the claude binary
+    bin: (agent.name === 'claude' && options.bin) || agent.bin,
+    args,
+    prompt: text,
+    stdin
+  };
+}
+
+/**
+ * Put the prompt into a command's arguments
+ * @param {Array<string|symbol>} args - From buildCommand()
+ * @param {string} value - The prompt, or how to show it
+ * @param {string} [file] - File holding the prompt, for PROMPT_FILE, PROMPT_MENTION and PROMPT_DIR
+ * @returns {string[]}
+ */
+function fillPrompt(args, value, file = null) {
+  const filled = new Map([
+    [PROMPT, value],
+    [PROMPT_FILE, file],
+    [PROMPT_MENTION, `Follow the instructions in @${file}`],
+    [PROMPT_DIR, file && path.dirname(file)]
+  ]);
+  return args.map(arg => (filled.has(arg) ? filled.get(arg) : arg));
+}
+
+/**
+ * Whether a command reads the prompt from a file
+ * @param {Array<string|symbol>} args - From buildCommand()
+ * @returns {boolean}
+ */
+function usesPromptFile(args) {
+  return args.includes(PROMPT_FILE) || args.includes(PROMPT_MENTION);
+}
+
+/**
+ * Whether a command passes the prompt to the agent at all
+ * @param {Array<string|symbol>} args - From buildCommand()
+ * @returns {boolean}
+ */
+function takesPrompt(args) {
+  return args.includes(PROMPT) || usesPromptFile(args);
+}
+
+registerAgent(require('./claude'));
+registerAgent(require('./aider'));
+registerAgent(require('./codex'));
+registerAgent(require('./gemini'));
+
+module.exports = {
+  PROMPT,
+  PROMPT_FILE,
+  PROMPT_MENTION,
+  PROMPT_DIR,
+  registerAgent,
+  getAgent,
+  listAgents,
+  resolveContextFiles,
+  unenforcedOptions,
+  buildCommand,
+  fillPrompt,
+  usesPromptFile,
+  takesPrompt
+};
@@ -0,0 +1,22 @@
+/**
+ * Placeholders for the prompt in an adapter's arguments
+ *
+ *   PROMPT         - the prompt text itself
+ *   PROMPT_FILE    - path of a private file holding the prompt, for agents that can read it
+ *   PROMPT_MENTION - a short instruction naming that file as an @path mention, for agents
+ *                    that load @mentions: the prompt stays out of their argv
+ *   PROMPT_DIR     - directory of that file, for agents that only read mentions in
+ *                    directories they are given
+ *
+ * Kept apart from the registry so adapters can use them without a require cycle.
+ */
+
+const PROMPT = Symbol('prompt');
+const PROMPT_FILE = Symbol('prompt-file');
+const PROMPT_MENTION = Symbol('prompt-mention');
+const PROMPT_DIR = Symbol('prompt-dir');
+
+// Names the placeholders are saved under in launch specs
+const PLACEHOLDERS = { prompt: PROMPT, promptFile: PROMPT_FILE, promptMention: PROMPT_MENTION, promptDir: PROMPT_DIR };
+
+module.exports = { PROMPT, PROMPT_FILE, PROMPT_MENTION, PROMPT_DIR, PLACEHOLDERS };
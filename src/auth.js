@@ -0,0 +1,136 @@
+/**
+ * Request authentication for the local HTTP API
+ *
+ * Spawn routes require the per-install shared secret, either directly in the
+ * X-Claude-Fix-Token header or as an HMAC signature over the request URL
+ * (`sig` query parameter, with an optional `exp` unix-seconds expiry).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
+
+const TOKEN_HEADER = 'x-claude-fix-token';
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    }
+  } catch {}
+  return {};
+}
+
+/**
+ * Generate a new shared secret
+ * @returns {string} 64 hex chars
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Configured shared secret: env var first, then config file
+ * @returns {string}
+ */
+function getToken() {
+  return process.env.CLAUDE_FIX_TOKEN || loadConfig().CLAUDE_FIX_TOKEN || '';
+}
+
+/**
+ * Canonical string that gets signed: pathname plus query params (minus `sig`) sorted by key
+ */
+function canonicalize(url) {
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => key !== 'sig')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return `${url.pathname}?${new URLSearchParams(params).toString()}`;
+}
+
+function hmac(token, value) {
+  return crypto.createHmac('sha256', token).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Add `exp` and `sig` query parameters to a URL
+ * @param {string} rawUrl - Absolute URL, or a path like /dd/claude-fix?data=...
+ * @param {string} token - Shared secret
+ * @param {object} [options] - { ttl: seconds until expiry (0 = never) }
+ * @returns {string} Signed URL (same form as the input)
+ */
+function signUrl(rawUrl, token, { ttl = 0 } = {}) {
+  const isAbsolute = /^https?:\/\//.test(rawUrl);
+  const url = new URL(rawUrl, 'http://localhost');
+
+  url.searchParams.delete('sig');
+  url.searchParams.delete('exp');
+  if (ttl) {
+    url.searchParams.set('exp', String(Math.floor(Date.now() / 1000) + ttl));
+  }
+  url.searchParams.set('sig', hmac(token, canonicalize(url)));
+
+  return isAbsolute ? url.toString() : `${url.pathname}${url.search}`;
+}
+
+/**
+ * Check a request against the shared secret
+ * @param {http.IncomingMessage} req
+ * @param {URL} url - Parsed request URL
+ * @param {string} token - Shared secret
+ * @returns {{ ok: true } | { ok: false, status: number, error: string }}
+ */
+function verifyRequest(req, url, token) {
+  if (!token) {
+    return { ok: false, status: 401, error: 'No token configured. Run: claude-fix token rotate' };
+  }
+
+  const header = req.headers[TOKEN_HEADER];
+  if (header) {
+    return safeEqual(header, token)
+      ? { ok: true }
+      : { ok: false, status: 403, error: 'Invalid token' };
+  }
+
+  const sig = url.searchParams.get('sig');
+  if (sig) {
+    if (!safeEqual(sig, hmac(token, canonicalize(url)))) {
+      return { ok: false, status: 403, error: 'Invalid signature' };
+    }
+    const exp = url.searchParams.get('exp');
+    if (exp && Number(exp) < Date.now() / 1000) {
+      return { ok: false, status: 403, error: 'Signature expired' };
+    }
+    return { ok: true };
+  }
+
+  return { ok: false, status: 401, error: `Missing ${TOKEN_HEADER} header or sig parameter` };
+}
+
+/**
+ * Origins allowed to call the API from a browser: ALLOWED_ORIGINS config, else the given defaults
+ * @param {string[]} defaults - Provider origins plus the daemon's own
+ * @returns {string[]}
+ */
+function getAllowedOrigins(defaults) {
+  const configured = process.env.ALLOWED_ORIGINS
+    ? process.env.ALLOWED_ORIGINS.split(',')
+    : loadConfig().ALLOWED_ORIGINS;
+  return (configured || defaults).map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+module.exports = {
+  TOKEN_HEADER,
+  generateToken,
+  getToken,
+  signUrl,
+  verifyRequest,
+  getAllowedOrigins
+};
@@ -0,0 +1,102 @@
+/**
+ * Ranking checkouts that share a remote
+ *
+ * When several clones or worktrees of a repo match, each is described and the
+ * list sorted by REPO_RANKING: criteria compared in order, later ones breaking ties.
+ *
+ *   clean          - fewest uncommitted changes
+ *   default-branch - on the default branch (origin/HEAD)
+ *   recent         - most recent git activity (index / HEAD updates)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveGitDir, getDefaultBranch, getHeadBranch } = require('./git-config');
+const { countChanges } = require('./git-context');
+
+const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
+
+const DEFAULT_RANKING = ['clean', 'default-branch', 'recent'];
+
+const CRITERIA = {
+  clean: (a, b) => a.dirty - b.dirty,
+  'default-branch': (a, b) => Number(b.onDefaultBranch) - Number(a.onDefaultBranch),
+  recent: (a, b) => new Date(b.lastActive || 0) - new Date(a.lastActive || 0),
+};
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    }
+  } catch {}
+  return {};
+}
+
+function getRanking() {
+  const configured = loadConfig().REPO_RANKING;
+  const ranking = (Array.isArray(configured) ? configured : DEFAULT_RANKING).filter(name => CRITERIA[name]);
+  return ranking.length ? ranking : DEFAULT_RANKING;
+}
+
+/**
+ * Last time git touched the checkout (commits, checkouts, staging)
+ */
+function lastActivity(dir) {
+  const dirs = resolveGitDir(dir);
+  if (!dirs) return null;
+
+  let latest = 0;
+  for (const file of ['index', 'HEAD', path.join('logs', 'HEAD')]) {
+    try {
+      latest = Math.max(latest, fs.statSync(path.join(dirs.gitDir, file)).mtimeMs);
+    } catch {}
+  }
+  return latest ? new Date(latest).toISOString() : null;
+}
+
+/**
+ * @param {string} dir - Checkout path
+ * @returns {Promise<{ path: string, branch: string|null, defaultBranch: string|null, onDefaultBranch: boolean, dirty: number, lastActive: string|null }>}
+ */
+async function describeCheckout(dir) {
+  const branch = getHeadBranch(dir);
+  const defaultBranch = getDefaultBranch(dir);
+  return {
+    path: dir,
+    branch,
+    defaultBranch,
+    onDefaultBranch: !!branch && branch === defaultBranch,
+    // Unknown state ranks below every clean checkout
+    dirty: (await countChanges(dir)) ?? Infinity,
+    lastActive: lastActivity(dir),
+  };
+}
+
+/**
+ * Describe and rank checkouts, best first
+ * @param {string[]} paths
+ * @param {string[]} [ranking] - Criteria names; defaults to REPO_RANKING
+ * @returns {Promise<object[]>}
+ */
+async function rankCandidates(paths, ranking = getRanking()) {
+  const candidates = [];
+  for (const dir of paths) {
+    candidates.push(await describeCheckout(dir));
+  }
+
+  return candidates.sort((a, b) => {
+    for (const name of ranking) {
+      const order = CRITERIA[name](a, b);
+      if (order) return order;
+    }
+    return 0;
+  });
+}
+
+module.exports = {
+  rankCandidates,
+  describeCheckout,
+  CRITERIA,
+  DEFAULT_RANKING
+};
@@ -0,0 +1,183 @@
+/**
+ * Confirmation-gated spawns
+ *
+ * Instead of spawning straight away, the daemon parks the session and serves a
+ * local page showing what would be opened. The terminal is only spawned when the
+ * user clicks "Open in Claude" on that page.
+ */
+
+const crypto = require('crypto');
+
+// Pending confirmations expire after 10 minutes
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+const pending = new Map();
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function prune() {
+  const now = Date.now();
+  for (const [id, entry] of pending) {
+    if (now - entry.createdAt > PENDING_TTL_MS) {
+      pending.delete(id);
+    }
+  }
+}
+
+/**
+ * Park a session until the user confirms it
+ * @param {object} session - { provider, label, repoUrl, cwd, prompt, terminal }
+ * @returns {object} Pending entry with unguessable `id` and CSRF `nonce`
+ */
+function createPending(session) {
+  prune();
+  const entry = {
+    ...session,
+    id: crypto.randomBytes(16).toString('hex'),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    createdAt: Date.now()
+  };
+  pending.set(entry.id, entry);
+  return entry;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null} The pending entry, if it exists and has not expired
+ */
+function getPending(id) {
+  prune();
+  return pending.get(id) || null;
+}
+
+/**
+ * Remove and return a pending entry if the nonce matches (one-shot)
+ * @param {string} id
+ * @param {string} nonce - Nonce posted back by the confirmation form
+ * @returns {object|null}
+ */
+function takePending(id, nonce) {
+  const entry = getPending(id);
+  if (!entry || !nonce) return null;
+
+  const expected = Buffer.from(entry.nonce);
+  const actual = Buffer.from(nonce);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  pending.delete(id);
+  return entry;
+}
+
+function renderLayout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 860px; margin: 40px auto; padding: 0 20px; color: #1d1d1f; }
+  h1 { font-size: 20px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+  dt { font-weight: 600; }
+  dd { margin: 0; font-family: ui-monospace, Menlo, monospace; word-break: break-all; }
+  pre { background: #f5f5f7; padding: 16px; border-radius: 6px; white-space: pre-wrap; max-height: 50vh; overflow: auto; }
+  button { font-size: 14px; padding: 8px 16px; margin-right: 8px; border-radius: 6px; border: 1px solid #ccc; background: #fff; cursor: pointer; }
+  button.primary { background: #632ca6; border-color: #632ca6; color: #fff; }
+  fieldset { border: 1px solid #ddd; border-radius: 6px; margin: 0 0 16px; padding: 8px 16px; }
+  small { color: #6e6e73; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Radio buttons for picking between several checkouts of the repo
+ */
+function renderCandidates(entry) {
+  if (!entry.candidates || entry.candidates.length < 2) return '';
+
+  const options = entry.candidates.map((candidate) => {
+    const details = [
+      candidate.branch || 'detached HEAD',
+      candidate.dirty === 0 ? 'clean' : Number.isFinite(candidate.dirty) ? `${candidate.dirty} uncommitted` : 'status unknown',
+      candidate.lastActive ? `active ${candidate.lastActive}` : null
+    ].filter(Boolean).join(', ');
+    const checked = candidate.path === entry.repoPath ? ' checked' : '';
+    return `  <label><input type="radio" name="repoPath" value="${escapeHtml(candidate.path)}"${checked}> <code>${escapeHtml(candidate.path)}</code> <small>(${escapeHtml(details)})</small></label><br>`;
+  }).join('\n');
+
+  return `<fieldset>
+  <legend>${entry.candidates.length} checkouts of this repo</legend>
+${options}
+  <label><input type="checkbox" name="pin" value="1"> Always use this checkout for ${escapeHtml(entry.repoUrl)}</label>
+</fieldset>
+`;
+}
+
+/**
+ * Offer a worktree at the deployed commit when HEAD is something else
+ */
+function renderDeployed(entry) {
+  const deployed = entry.deployed;
+  if (!deployed || !deployed.sha || deployed.matchesHead || entry.worktree) return '';
+
+  return `<p><label><input type="checkbox" name="deployed" value="1"> Open in a worktree at the deployed commit <code>${escapeHtml(deployed.sha.slice(0, 12))}</code> (${escapeHtml(deployed.ref)}), so line numbers match</label></p>
+`;
+}
+
+/**
+ * Render the confirmation page for a pending session
+ * @param {object} entry - Pending entry from createPending()
+ * @returns {string} HTML
+ */
+function renderConfirmPage(entry) {
+  return renderLayout('Open in Claude?', `<h1>Open this recommendation in Claude?</h1>
+<dl>
+  <dt>Source</dt><dd>${escapeHtml(entry.label || entry.provider)}</dd>
+  <dt>Repo</dt><dd>${escapeHtml(entry.repoUrl || '(none)')}</dd>
+  <dt>Path</dt><dd>${escapeHtml(entry.cwd || '(not resolved, Claude will start without a working directory)')}</dd>
+  <dt>Terminal</dt><dd>${escapeHtml(entry.terminal)}</dd>
+  <dt>Agent</dt><dd>${escapeHtml(entry.agent.agent)}</dd>
+</dl>
+<h2>Prompt</h2>
+<pre>${escapeHtml(entry.prompt)}</pre>
+<form method="POST" action="/dd/confirm/${escapeHtml(entry.id)}">
+  <input type="hidden" name="nonce" value="${escapeHtml(entry.nonce)}">
+${renderCandidates(entry)}${renderDeployed(entry)}  <button class="primary" type="submit" name="action" value="open">Open in Claude</button>
+  <button type="submit" name="action" value="cancel">Cancel</button>
+</form>`);
+}
+
+/**
+ * Render the page shown after the form is submitted
+ * @param {string} title
+ * @param {string} message
+ * @returns {string} HTML
+ */
+function renderResultPage(title, message) {
+  return renderLayout(title, `<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>`);
+}
+
+module.exports = {
+  PENDING_TTL_MS,
+  createPending,
+  getPending,
+  takePending,
+  renderConfirmPage,
+  renderResultPage,
+  escapeHtml
+};
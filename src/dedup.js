@@ -0,0 +1,103 @@
+/**
+ * Suppress duplicate spawns of the same recommendation
+ *
+ * Double clicks, browser prefetches and retries all hit the spawn route more
+ * than once. Sessions are remembered by source + recommendation id + repo for
+ * CLAUDE_FIX_DEDUP_WINDOW seconds; repeats within that window are reported as
+ * already open instead of spawning another terminal.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeRepoUrl } = require('./repo-resolver');
+
+const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
+
+const DEFAULT_WINDOW_SECONDS = 120;
+
+const sessions = new Map();
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    }
+  } catch {}
+  return {};
+}
+
+function getWindowMs() {
+  const raw = process.env.CLAUDE_FIX_DEDUP_WINDOW ?? loadConfig().CLAUDE_FIX_DEDUP_WINDOW;
+  const seconds = raw === undefined || raw === '' ? DEFAULT_WINDOW_SECONDS : Number(raw);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Key identifying "the same recommendation in the same repo"
+ * @param {string} source - Provider name
+ * @param {string|null} itemId - Recommendation id; falls back to the request's own params
+ * @param {string|null} repoUrl
+ * @param {URLSearchParams} [params] - Used when there is no item id
+ * @returns {string}
+ */
+function dedupKey(source, itemId, repoUrl, params) {
+  let item = itemId;
+  if (!item && params) {
+    // No id from the provider: treat identical requests as the same item
+    item = [...params.entries()]
+      .filter(([key]) => !['sig', 'exp', 'confirm', 'force', 'worktree', 'headless', 'agent', 'repo'].includes(key))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+  }
+  return `${source}\u0000${item || ''}\u0000${normalizeRepoUrl(repoUrl) || ''}`;
+}
+
+/**
+ * The session opened under this key within the dedup window, if any
+ * @param {string} key
+ * @returns {object|null} { openedAt, ...info }
+ */
+function findRecent(key) {
+  const windowMs = getWindowMs();
+  const entry = sessions.get(key);
+  if (!entry || !windowMs) return null;
+
+  if (Date.now() - entry.openedAtMs > windowMs) {
+    sessions.delete(key);
+    return null;
+  }
+  return entry.info;
+}
+
+/**
+ * Remember that a session was opened
+ * @param {string} key
+ * @param {object} info - Reported back to duplicate requests (terminal, repoPath, ...)
+ */
+function remember(key, info) {
+  const windowMs = getWindowMs();
+  for (const [k, entry] of sessions) {
+    if (Date.now() - entry.openedAtMs > windowMs) sessions.delete(k);
+  }
+
+  sessions.set(key, {
+    openedAtMs: Date.now(),
+    info: { openedAt: new Date().toISOString(), ...info }
+  });
+}
+
+/**
+ * Forget a session (e.g. the spawn failed, so a retry should go through)
+ * @param {string} key
+ */
+function forget(key) {
+  sessions.delete(key);
+}
+
+module.exports = {
+  dedupKey,
+  findRecent,
+  remember,
+  forget
+};
@@ -0,0 +1,480 @@
+/**
+ * Read git remotes straight from config files, without spawning git.
+ *
+ * Covers what `git remote -v` needs: system/global/repo config, `include.path`
+ * and `includeIf` (gitdir:, gitdir/i:, onbranch:), `.git` files pointing at a
+ * worktree or submodule gitdir (plus its `commondir`), and `url.<base>.insteadOf`
+ * / `pushInsteadOf` rewrites.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_INCLUDE_DEPTH = 10;
+
+// Parsed global/system config, keyed by path and invalidated by the mtime of
+// the file or any file it includes
+const fileCache = new Map();
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse git config text into entries, in file order.
+ *
+ * Section and key names are lowercased; subsections keep their case, as in git.
+ * A key without "=" is a boolean true.
+ *
+ * @param {string} text
+ * @returns {Array<{ section: string, subsection: string|null, key: string, value: string|true }>}
+ */
+function parseGitConfig(text) {
+  const entries = [];
+  let section = null;
+  let subsection = null;
+  let i = 0;
+
+  const peek = () => text[i];
+  const atLineEnd = () => i >= text.length || text[i] === '\n';
+  const skipSpaces = () => { while (i < text.length && (text[i] === ' ' || text[i] === '\t' || text[i] === '\r')) i++; };
+  const skipLine = () => { while (!atLineEnd()) i++; i++; };
+
+  while (i < text.length) {
+    skipSpaces();
+    const c = peek();
+
+    if (c === undefined) break;
+    if (c === '\n' || c === '#' || c === ';') {
+      skipLine();
+      continue;
+    }
+
+    if (c === '[') {
+      const end = text.indexOf(']', i);
+      if (end === -1) break;
+      const header = text.slice(i + 1, end);
+      const quoted = header.match(/^\s*([\w.-]+)\s+"((?:[^"\\]|\\.)*)"\s*$/);
+      if (quoted) {
+        section = quoted[1].toLowerCase();
+        subsection = quoted[2].replace(/\\(.)/g, '$1');
+      } else {
+        // Deprecated [section.subsection] form: subsection is lowercased
+        const [name, ...rest] = header.trim().split('.');
+        section = name.toLowerCase();
+        subsection = rest.length ? rest.join('.').toLowerCase() : null;
+      }
+      i = end + 1;
+      continue;
+    }
+
+    const keyMatch = text.slice(i).match(/^[A-Za-z][\w-]*/);
+    if (!keyMatch || !section) {
+      skipLine();
+      continue;
+    }
+    const key = keyMatch[0].toLowerCase();
+    i += keyMatch[0].length;
+    skipSpaces();
+
+    if (peek() !== '=') {
+      entries.push({ section, subsection, key, value: true });
+      skipLine();
+      continue;
+    }
+    i++;
+    skipSpaces();
+
+    let value = '';
+    let pendingSpace = '';
+    let inQuotes = false;
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '\n' && !inQuotes) break;
+      if (!inQuotes && (ch === '#' || ch === ';')) {
+        while (!atLineEnd()) i++;
+        break;
+      }
+      if (ch === '\\') {
+        const next = text[i + 1];
+        if (next === '\n' || (next === '\r' && text[i + 2] === '\n')) {
+          i += next === '\r' ? 3 : 2;
+          continue;
+        }
+        value += pendingSpace + ({ n: '\n', t: '\t', b: '\b', '"': '"', '\\': '\\' }[next] ?? next);
+        pendingSpace = '';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        inQuotes = !inQuotes;
+        i++;
+        continue;
+      }
+      if (!inQuotes && (ch === ' ' || ch === '\t' || ch === '\r')) {
+        // Only keep unquoted whitespace that isn't trailing
+        pendingSpace += ch === '\r' ? '' : ch;
+        i++;
+        continue;
+      }
+      value += pendingSpace + ch;
+      pendingSpace = '';
+      i++;
+    }
+    i++;
+
+    entries.push({ section, subsection, key, value });
+  }
+
+  return entries;
+}
+
+// ---------------------------------------------------------------------------
+// Locating the repo's git dir
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the git dir for a checkout, following `.git` files (worktrees, submodules).
+ * @param {string} dirPath - Checkout directory
+ * @returns {{ gitDir: string, commonDir: string }|null}
+ */
+function resolveGitDir(dirPath) {
+  const dotGit = path.join(dirPath, '.git');
+
+  let stat;
+  try {
+    stat = fs.statSync(dotGit);
+  } catch {
+    return null;
+  }
+
+  let gitDir = dotGit;
+  if (stat.isFile()) {
+    const match = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+?)\s*$/m);
+    if (!match) return null;
+    gitDir = path.resolve(dirPath, match[1]);
+  }
+
+  let commonDir = gitDir;
+  try {
+    commonDir = path.resolve(gitDir, fs.readFileSync(path.join(gitDir, 'commondir'), 'utf8').trim());
+  } catch {}
+
+  return { gitDir, commonDir };
+}
+
+function currentBranch(gitDir) {
+  try {
+    const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+    const match = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+function refExists(commonDir, ref) {
+  if (fs.existsSync(path.join(commonDir, ref))) return true;
+  try {
+    return fs.readFileSync(path.join(commonDir, 'packed-refs'), 'utf8')
+      .split('\n')
+      .some(line => line.endsWith(` ${ref}`));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Branch origin/HEAD points at (what a fresh clone checks out), else main or master if present
+ * @param {string} dirPath - Checkout directory
+ * @returns {string|null}
+ */
+function getDefaultBranch(dirPath) {
+  const dirs = resolveGitDir(dirPath);
+  if (!dirs) return null;
+
+  try {
+    const head = fs.readFileSync(path.join(dirs.commonDir, 'refs', 'remotes', 'origin', 'HEAD'), 'utf8');
+    const match = head.match(/^ref:\s*refs\/remotes\/origin\/(.+?)\s*$/m);
+    if (match) return match[1];
+  } catch {}
+
+  return ['main', 'master'].find(name => refExists(dirs.commonDir, `refs/heads/${name}`)) || null;
+}
+
+/**
+ * Current branch of a checkout, read from HEAD (null when detached or not a checkout)
+ * @param {string} dirPath
+ * @returns {string|null}
+ */
+function getHeadBranch(dirPath) {
+  const dirs = resolveGitDir(dirPath);
+  return dirs ? currentBranch(dirs.gitDir) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Includes
+// ---------------------------------------------------------------------------
+
+function expandHome(p) {
+  return p.startsWith('~/') ? path.join(process.env.HOME, p.slice(2)) : p;
+}
+
+/**
+ * Git's wildmatch with WM_PATHNAME: "*" stays within a path segment, "**" doesn't.
+ */
+function globToRegExp(pattern, flags) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`, flags);
+}
+
+/**
+ * Whether an includeIf condition holds for this repo
+ * @param {string} condition - e.g. "gitdir:~/work/", "onbranch:feature/**"
+ * @param {object} ctx - { gitDirs, branch }
+ * @param {string} configFile - File the condition appears in (for "./" patterns)
+ */
+function includeIfMatches(condition, ctx, configFile) {
+  const match = condition.match(/^(gitdir|gitdir\/i|onbranch):(.+)$/);
+  if (!match) return false;
+
+  const [, kind, rawPattern] = match;
+  let pattern = rawPattern;
+
+  if (kind === 'onbranch') {
+    if (!ctx.branch) return false;
+    if (pattern.endsWith('/')) pattern += '**';
+    return globToRegExp(pattern).test(ctx.branch);
+  }
+
+  if (pattern.startsWith('./')) {
+    pattern = path.join(path.dirname(configFile), pattern.slice(2));
+  } else {
+    pattern = expandHome(pattern);
+    if (!path.isAbsolute(pattern)) pattern = '**/' + pattern;
+  }
+  if (pattern.endsWith('/')) pattern += '**';
+
+  const re = globToRegExp(pattern, kind === 'gitdir/i' ? 'i' : undefined);
+  return ctx.gitDirs.some(dir => re.test(dir) || re.test(dir + '/'));
+}
+
+function statMtime(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a config file, expanding include.path and includeIf.*.path in place
+ * @param {string} file
+ * @param {object|null} ctx - Repo context for includeIf; null skips conditional includes
+ * @param {object} [deps] - Filled in with what the result depends on:
+ *                          { mtimes: Map of every file read (null if missing), conditional: whether any had an includeIf }
+ * @returns {Array} entries
+ */
+function readConfigFile(file, ctx, deps = null, depth = 0) {
+  if (depth > MAX_INCLUDE_DEPTH) return [];
+
+  // Missing files count too: one that appears later changes the result
+  if (deps) deps.mtimes.set(file, statMtime(file));
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const entry of parseGitConfig(text)) {
+    const isInclude = entry.section === 'include' && !entry.subsection;
+    const isIncludeIf = entry.section === 'includeif' && entry.subsection;
+
+    if ((isInclude || isIncludeIf) && entry.key === 'path' && typeof entry.value === 'string') {
+      if (isIncludeIf && deps) deps.conditional = true;
+      if (isIncludeIf && !(ctx && includeIfMatches(entry.subsection, ctx, file))) continue;
+
+      const target = expandHome(entry.value);
+      entries.push(...readConfigFile(path.resolve(path.dirname(file), target), ctx, deps, depth + 1));
+      continue;
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * System and global config files, in the order git reads them
+ */
+function userConfigFiles() {
+  const files = [];
+  if (!process.env.GIT_CONFIG_NOSYSTEM) {
+    files.push(process.env.GIT_CONFIG_SYSTEM || '/etc/gitconfig');
+  }
+  if (process.env.GIT_CONFIG_GLOBAL) {
+    files.push(process.env.GIT_CONFIG_GLOBAL);
+  } else {
+    const xdg = process.env.XDG_CONFIG_HOME || path.join(process.env.HOME, '.config');
+    files.push(path.join(xdg, 'git', 'config'), path.join(process.env.HOME, '.gitconfig'));
+  }
+  return files;
+}
+
+/**
+ * Global/system files are read for every repo during a scan, so they are cached
+ * until they or a file they include change. Files with an includeIf anywhere in
+ * their includes depend on the repo and are re-read each time.
+ */
+function readUserConfigFile(file, ctx) {
+  if (statMtime(file) === null) return [];
+
+  const cached = fileCache.get(file);
+  if (cached && !cached.conditional && [...cached.mtimes].every(([f, mtimeMs]) => statMtime(f) === mtimeMs)) {
+    return cached.entries;
+  }
+
+  const deps = { mtimes: new Map(), conditional: false };
+  const entries = readConfigFile(file, ctx, deps);
+  fileCache.set(file, { entries, ...deps });
+  return entries;
+}
+
+/**
+ * Every config entry that applies to a checkout (system, global, repo, worktree)
+ * @param {string} dirPath - Checkout directory
+ * @returns {Array|null} null when dirPath is not a git checkout
+ */
+function readRepoConfig(dirPath) {
+  const dirs = resolveGitDir(dirPath);
+  if (!dirs) return null;
+
+  // includeIf gitdir: matches either spelling of the path, as git does
+  const gitDirs = [dirs.gitDir, dirs.commonDir].flatMap(dir => {
+    try {
+      return [dir, fs.realpathSync(dir)];
+    } catch {
+      return [dir];
+    }
+  });
+
+  const ctx = {
+    gitDirs: [...new Set(gitDirs)],
+    branch: currentBranch(dirs.gitDir),
+  };
+
+  const entries = [];
+  for (const file of userConfigFiles()) {
+    entries.push(...readUserConfigFile(file, ctx));
+  }
+
+  const repoEntries = readConfigFile(path.join(dirs.commonDir, 'config'), ctx);
+  entries.push(...repoEntries);
+
+  const worktreeConfig = repoEntries.some(e => e.section === 'extensions' && e.key === 'worktreeconfig' && isTrue(e.value));
+  if (worktreeConfig) {
+    entries.push(...readConfigFile(path.join(dirs.gitDir, 'config.worktree'), ctx));
+  }
+
+  return entries;
+}
+
+function isTrue(value) {
+  return value === true || /^(true|yes|on|1)$/i.test(String(value));
+}
+
+// ---------------------------------------------------------------------------
+// Remotes
+// ---------------------------------------------------------------------------
+
+/**
+ * Apply the longest matching url.<base>.insteadOf (or pushInsteadOf) rewrite
+ * @param {string} url
+ * @param {Array<{ prefix: string, base: string }>} rewrites
+ * @returns {string}
+ */
+function rewriteUrl(url, rewrites) {
+  let best = null;
+  for (const rewrite of rewrites) {
+    if (url.startsWith(rewrite.prefix) && (!best || rewrite.prefix.length > best.prefix.length)) {
+      best = rewrite;
+    }
+  }
+  return best ? best.base + url.slice(best.prefix.length) : url;
+}
+
+/**
+ * Remote URLs of a checkout as `git remote -v` would print them (fetch and push,
+ * deduplicated, remotes sorted by name)
+ * @param {string} dirPath
+ * @returns {string[]}
+ */
+function getRemoteUrls(dirPath) {
+  const entries = readRepoConfig(dirPath);
+  if (!entries) return [];
+
+  const insteadOf = [];
+  const pushInsteadOf = [];
+  const remotes = new Map();
+
+  for (const { section, subsection, key, value } of entries) {
+    if (typeof value !== 'string' || !subsection) continue;
+
+    if (section === 'url' && key === 'insteadof') {
+      insteadOf.push({ prefix: value, base: subsection });
+    } else if (section === 'url' && key === 'pushinsteadof') {
+      pushInsteadOf.push({ prefix: value, base: subsection });
+    } else if (section === 'remote' && (key === 'url' || key === 'pushurl')) {
+      const remote = remotes.get(subsection) || { urls: [], pushUrls: [] };
+      (key === 'url' ? remote.urls : remote.pushUrls).push(value);
+      remotes.set(subsection, remote);
+    }
+  }
+
+  const urls = new Set();
+  for (const name of [...remotes.keys()].sort()) {
+    const remote = remotes.get(name);
+    for (const url of remote.urls) urls.add(rewriteUrl(url, insteadOf));
+
+    if (remote.pushUrls.length) {
+      for (const url of remote.pushUrls) urls.add(rewriteUrl(url, insteadOf));
+    } else {
+      for (const url of remote.urls) {
+        const pushed = rewriteUrl(url, pushInsteadOf);
+        urls.add(pushed !== url ? pushed : rewriteUrl(url, insteadOf));
+      }
+    }
+  }
+
+  return [...urls];
+}
+
+module.exports = {
+  parseGitConfig,
+  resolveGitDir,
+  getDefaultBranch,
+  getHeadBranch,
+  readRepoConfig,
+  getRemoteUrls,
+  rewriteUrl,
+};
@@ -0,0 +1,167 @@
+/**
+ * Pre-flight git state of a checkout, added to the prompt so Claude knows what
+ * it is starting from (a stale branch, uncommitted changes, files that moved)
+ * before it proposes a fix.
+ *
+ * Nothing is fetched: "behind" is measured against the remote-tracking refs as
+ * of the last fetch (fetchedAt), and a deployed version is only found if it is
+ * already in the checkout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { resolveGitDir, getDefaultBranch, getHeadBranch } = require('./git-config');
+
+const MAX_FILES = 10;
+
+// Relative paths mentioned in free text: src/app.js, lib/db/pool.py:12, `web/index.tsx`
+const FILE_PATTERN = /(?:^|[\s`'"([])((?:\.\/)?(?:[\w@.-]+\/)+[\w@.-]+\.[A-Za-z0-9]+)(?=[\s`'"),:\]]|$)/g;
+
+function git(dir, args) {
+  return new Promise((resolve) => {
+    execFile('git', ['-C', dir, ...args], { timeout: 5000 }, (err, stdout) => {
+      resolve(err ? null : stdout.trim());
+    });
+  });
+}
+
+/**
+ * Number of files with uncommitted changes (null if git status fails)
+ * @param {string} dir
+ * @returns {Promise<number|null>}
+ */
+async function countChanges(dir) {
+  const status = await git(dir, ['status', '--porcelain']);
+  return status === null ? null : status.split('\n').filter(Boolean).length;
+}
+
+/**
+ * Repo-relative file paths mentioned in a recommendation
+ * @param {string} text
+ * @returns {string[]}
+ */
+function findReferencedFiles(text) {
+  const files = new Set();
+  for (const match of String(text || '').matchAll(FILE_PATTERN)) {
+    files.add(match[1].replace(/^\.\//, ''));
+    if (files.size >= MAX_FILES) break;
+  }
+  return [...files];
+}
+
+/**
+ * Last time anything was fetched into the checkout
+ */
+function lastFetch(dirs) {
+  let latest = 0;
+  for (const dir of new Set([dirs.gitDir, dirs.commonDir])) {
+    try {
+      latest = Math.max(latest, fs.statSync(path.join(dir, 'FETCH_HEAD')).mtimeMs);
+    } catch {}
+  }
+  return latest ? new Date(latest).toISOString() : null;
+}
+
+/**
+ * Commit a deployed version refers to: a SHA, a tag (with or without a leading "v"),
+ * or a version string with an abbreviated SHA in it ("1.4.2-g3f2a1bc")
+ * @param {string} checkout
+ * @param {string} ref - `commit` / `version` as reported by the tracer
+ * @returns {Promise<string|null>} Full SHA, or null if it isn't in the checkout
+ */
+async function resolveCommit(checkout, ref) {
+  // Never let a request-supplied value reach git as an option
+  if (!ref || !/^[\w][\w./+-]*$/.test(ref) || ref.includes('..')) return null;
+
+  // "g" prefixes the hash in git describe output
+  const hashes = ref.split(/[^0-9a-z]+/i).map(part => part.replace(/^g/, '')).filter(part => /^[0-9a-f]{7,40}$/i.test(part));
+  for (const candidate of [ref, `v${ref}`, ...hashes]) {
+    const sha = await git(checkout, ['rev-parse', '--verify', '-q', `${candidate}^{commit}`]);
+    if (sha) return sha;
+  }
+  return null;
+}
+
+/**
+ * Upstream of the current branch, or else the remote default branch
+ */
+async function compareRef(checkout, branch, defaultBranch) {
+  if (branch) {
+    const upstream = await git(checkout, ['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}']);
+    if (upstream) return upstream;
+  }
+  if (defaultBranch && await git(checkout, ['rev-parse', '--verify', '-q', `refs/remotes/origin/${defaultBranch}`])) {
+    return `origin/${defaultBranch}`;
+  }
+  return null;
+}
+
+/**
+ * Gather the git state of a checkout
+ * @param {string} checkout - Checkout root (main checkout or worktree)
+ * @param {object} [options]
+ * @param {string[]} [options.files] - Referenced files; relative ones are looked up in the
+ *                                     checkout and in options.cwd
+ * @param {string} [options.cwd] - Directory the session starts in, if below the root
+ * @param {string} [options.deployed] - Deployed commit or version to compare HEAD with
+ * @returns {Promise<{ branch: string|null, defaultBranch: string|null, head: { sha: string, subject: string }|null,
+ *          dirty: number|null, upstream: string|null, ahead: number|null, behind: number|null,
+ *          fetchedAt: string|null, files: Array<{ path: string, exists: boolean }>,
+ *          deployed: { ref: string, sha: string|null, matchesHead: boolean, ahead: number|null, behind: number|null }|null }|null>}
+ *          null when checkout isn't a git checkout; deployed.ahead/behind count HEAD's commits relative to it
+ */
+async function getGitContext(checkout, { files = [], cwd = checkout, deployed: deployedRef = null } = {}) {
+  const dirs = resolveGitDir(checkout);
+  if (!dirs) return null;
+
+  const branch = getHeadBranch(checkout);
+  const defaultBranch = getDefaultBranch(checkout);
+
+  const log = await git(checkout, ['log', '-1', '--format=%h %s']);
+  const head = log ? { sha: log.split(' ')[0], subject: log.slice(log.indexOf(' ') + 1) } : null;
+
+  const upstream = head ? await compareRef(checkout, branch, defaultBranch) : null;
+  let ahead = null;
+  let behind = null;
+  if (upstream) {
+    const counts = await git(checkout, ['rev-list', '--left-right', '--count', `HEAD...${upstream}`]);
+    if (counts) [ahead, behind] = counts.split(/\s+/).map(Number);
+  }
+
+  let deployed = null;
+  if (deployedRef) {
+    const sha = head ? await resolveCommit(checkout, deployedRef) : null;
+    deployed = { ref: deployedRef, sha, matchesHead: false, ahead: null, behind: null };
+    if (sha) {
+      const counts = await git(checkout, ['rev-list', '--left-right', '--count', `HEAD...${sha}`]);
+      if (counts) [deployed.ahead, deployed.behind] = counts.split(/\s+/).map(Number);
+      deployed.matchesHead = deployed.ahead === 0 && deployed.behind === 0;
+    }
+  }
+
+  return {
+    branch,
+    defaultBranch,
+    head,
+    dirty: await countChanges(checkout),
+    upstream,
+    ahead,
+    behind,
+    fetchedAt: upstream ? lastFetch(dirs) : null,
+    files: [...new Set(files.filter(Boolean))].map(file => ({
+      path: file,
+      exists: path.isAbsolute(file)
+        ? fs.existsSync(file)
+        : [checkout, cwd].some(base => fs.existsSync(path.join(base, file)))
+    })),
+    deployed
+  };
+}
+
+module.exports = {
+  getGitContext,
+  resolveCommit,
+  findReferencedFiles,
+  countChanges
+};
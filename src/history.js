@@ -0,0 +1,115 @@
+/**
+ * Session history: one JSON line per spawn event in ~/.claude-fix/history.jsonl
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HISTORY_FILE = path.join(process.env.HOME, '.claude-fix', 'history.jsonl');
+
+/**
+ * Short, stable hash of a prompt (lets you spot repeats without storing the text)
+ * @param {string} prompt
+ * @returns {string}
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+/**
+ * Append a spawn event
+ * @param {object} record - { source, recommendationId, repo, repoPath, terminal, agent, jobId, prompt, outcome, error }
+ * @returns {object} The stored record
+ */
+function recordSpawn(record) {
+  const { prompt, ...rest } = record;
+  const entry = {
+    timestamp: new Date().toISOString(),
+    source: rest.source || null,
+    recommendationId: rest.recommendationId || null,
+    repo: rest.repo || null,
+    repoPath: rest.repoPath || null,
+    terminal: rest.terminal || null,
+    ...(rest.agent ? { agent: rest.agent } : {}),
+    promptHash: prompt ? hashPrompt(prompt) : null,
+    outcome: rest.outcome,
+    ...(rest.jobId ? { jobId: rest.jobId } : {}),
+    ...(rest.error ? { error: rest.error } : {})
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+    fs.appendFileSync(HISTORY_FILE, JSON.stringify(entry) + '\n', { mode: 0o600 });
+  } catch (err) {
+    console.error(`[history] Failed to record spawn: ${err.message}`);
+  }
+  return entry;
+}
+
+/**
+ * Parse a --since value: a duration like "30m", "12h", "7d", or any date string
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseSince(value) {
+  if (!value) return null;
+
+  const match = String(value).match(/^(\d+)\s*([mhdw])$/);
+  if (match) {
+    const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[match[2]];
+    return new Date(Date.now() - parseInt(match[1], 10) * unit);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read history, newest first
+ * @param {object} [filters] - { source, repo (substring of URL or path), recommendationId, outcome, since, limit }
+ * @returns {object[]}
+ */
+function readHistory(filters = {}) {
+  let lines;
+  try {
+    lines = fs.readFileSync(HISTORY_FILE, 'utf8').split('\n');
+  } catch {
+    return [];
+  }
+
+  const since = parseSince(filters.since);
+  const repo = filters.repo ? filters.repo.toLowerCase() : null;
+  const limit = parseInt(filters.limit, 10) || Infinity;
+
+  const results = [];
+  for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+    if (!lines[i]) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+
+    if (filters.source && entry.source !== filters.source) continue;
+    if (filters.recommendationId && entry.recommendationId !== filters.recommendationId) continue;
+    if (filters.outcome && entry.outcome !== filters.outcome) continue;
+    if (since && new Date(entry.timestamp) < since) continue;
+    if (repo && !`${entry.repo || ''} ${entry.repoPath || ''}`.toLowerCase().includes(repo)) continue;
+
+    results.push(entry);
+  }
+
+  return results;
+}
+
+module.exports = {
+  recordSpawn,
+  readHistory,
+  hashPrompt,
+  parseSince,
+  // Exposed for tests to override
+  HISTORY_FILE,
+};
@@ -0,0 +1,407 @@
+/**
+ * Jobs: one per request, so callers can follow what happened to it
+ *
+ * Terminal sessions are tracked in memory while the daemon runs (history.jsonl
+ * keeps the durable record) and go through
+ *
+ *   [awaiting_confirmation →] queued → spawning → spawned | failed
+ *
+ * or end up cancelled / expired on the confirmation page.
+ *
+ * Headless jobs run the agent non-interactively instead of opening a terminal
+ * (running → succeeded | failed | timed_out, interrupted if the daemon stopped).
+ * Each one gets a directory under ~/.claude-fix/jobs/<id>/ holding
+ *
+ *   job.json    - status, exit code, timings and where it ran
+ *   prompt.md   - the prompt, fed to the agent (`claude -p` on stdin by default, or read from here)
+ *   stdout.log  - the agent's answer
+ *   stderr.log
+ *
+ * Enabled with CLAUDE_FIX_HEADLESS, or per request with headless=1. Jobs are
+ * sent SIGTERM after CLAUDE_FIX_JOB_TIMEOUT seconds (default 1800, 0 = never),
+ * and SIGKILL CLAUDE_FIX_JOB_KILL_GRACE seconds later (default 10) if still
+ * running. Directories of jobs that finished more than
+ * CLAUDE_FIX_JOB_RETENTION_DAYS ago (default 30, 0 = keep) are removed when
+ * the next job starts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const { resolveAgentOptions } = require('./agent-options');
+const { buildCommand, fillPrompt } = require('./agents');
+
+const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
+const DEFAULT_JOBS_DIR = path.join(process.env.HOME, '.claude-fix', 'jobs');
+
+const DEFAULT_TIMEOUT_SECONDS = 1800;
+const DEFAULT_KILL_GRACE_SECONDS = 10;
+const DEFAULT_RETENTION_DAYS = 30;
+
+const JOB_ID = /^[0-9a-f]{16}$/;
+
+// Statuses a job never leaves
+const FINAL_STATUSES = ['spawned', 'failed', 'cancelled', 'expired', 'succeeded', 'timed_out', 'interrupted'];
+
+// Finished terminal jobs are forgotten after an hour
+const SPAWN_JOB_TTL_MS = 60 * 60 * 1000;
+
+// Headless jobs started by this process, by id
+const running = new Map();
+
+// Terminal jobs, by id
+const spawnJobs = new Map();
+
+// Every change to a job is emitted under its id
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    }
+  } catch {}
+  return {};
+}
+
+function getJobsDir() {
+  return process.env.CLAUDE_FIX_JOBS_DIR || DEFAULT_JOBS_DIR;
+}
+
+/**
+ * A duration setting from the environment or config
+ *
+ * Only an explicit 0 gives 0: an invalid value falls back to the default rather
+ * than turning the timeout off or the kill grace into an immediate SIGKILL.
+ * @param {string} key - e.g. "CLAUDE_FIX_JOB_TIMEOUT"
+ * @param {number} fallback - Value when unset or invalid
+ * @param {number} unitMs - Length of the setting's unit
+ * @returns {number} Milliseconds
+ */
+function readDuration(key, fallback, unitMs) {
+  const raw = process.env[key] ?? loadConfig()[key];
+  if (raw === undefined || raw === null || raw === '') return fallback * unitMs;
+
+  const value = typeof raw === 'number' || typeof raw === 'string' ? Number(raw) : NaN;
+  if (!Number.isFinite(value) || value < 0) {
+    console.error(`[jobs] Invalid ${key}: ${JSON.stringify(raw)}, using the default (${fallback})`);
+    return fallback * unitMs;
+  }
+  return value * unitMs;
+}
+
+function getTimeoutMs() {
+  return readDuration('CLAUDE_FIX_JOB_TIMEOUT', DEFAULT_TIMEOUT_SECONDS, 1000);
+}
+
+function getKillGraceMs() {
+  return readDuration('CLAUDE_FIX_JOB_KILL_GRACE', DEFAULT_KILL_GRACE_SECONDS, 1000);
+}
+
+function getRetentionMs() {
+  return readDuration('CLAUDE_FIX_JOB_RETENTION_DAYS', DEFAULT_RETENTION_DAYS, 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Whether a request should run headless
+ * @param {URLSearchParams} [params] - headless=1 / headless=0 override the config
+ * @returns {boolean}
+ */
+function isHeadless(params) {
+  const param = params ? params.get('headless') : null;
+  if (param === '1' || param === 'true') return true;
+  if (param === '0' || param === 'false') return false;
+
+  const raw = process.env.CLAUDE_FIX_HEADLESS ?? loadConfig().CLAUDE_FIX_HEADLESS;
+  return raw === true || raw === 'true';
+}
+
+function jobDir(id) {
+  return path.join(getJobsDir(), id);
+}
+
+function writeJob(job) {
+  const file = path.join(jobDir(job.id), 'job.json');
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+  events.emit(job.id, { ...job });
+}
+
+function newJobId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Whether a job has reached its final status
+ * @param {object} job
+ * @returns {boolean}
+ */
+function isFinished(job) {
+  return FINAL_STATUSES.includes(job.status);
+}
+
+function pruneSpawnJobs() {
+  const now = Date.now();
+  for (const [id, job] of spawnJobs) {
+    if (job.finishedAt && now - new Date(job.finishedAt).getTime() > SPAWN_JOB_TTL_MS) {
+      spawnJobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Track a terminal session
+ * @param {object} [meta] - Stored with the job: { source, recommendationId, repo, cwd, terminal, agent }
+ * @param {object} [options]
+ * @param {string} [options.status] - "queued", or "awaiting_confirmation" for sessions parked on the confirmation page
+ * @param {number} [options.expiresInMs] - Mark an unconfirmed job expired after this long
+ * @returns {object} The job record
+ */
+function createSpawnJob(meta = {}, { status = 'queued', expiresInMs = 0 } = {}) {
+  pruneSpawnJobs();
+  const job = {
+    id: newJobId(),
+    kind: 'terminal',
+    status,
+    ...meta,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null
+  };
+  spawnJobs.set(job.id, job);
+
+  if (status === 'awaiting_confirmation' && expiresInMs) {
+    setTimeout(() => {
+      if (job.status === 'awaiting_confirmation') updateSpawnJob(job.id, { status: 'expired' });
+    }, expiresInMs).unref();
+  }
+  return { ...job };
+}
+
+/**
+ * Move a terminal job along (see the statuses above)
+ * @param {string} id
+ * @param {object} changes - { status, error, ... }
+ * @returns {object|null} The updated record; null for unknown or finished jobs
+ */
+function updateSpawnJob(id, changes) {
+  const job = spawnJobs.get(id);
+  if (!job || isFinished(job)) return null;
+
+  Object.assign(job, changes);
+  if (isFinished(job)) job.finishedAt = new Date().toISOString();
+  console.log(`[jobs] ${id} ${job.status}${job.error ? ` (${job.error})` : ''}`);
+  events.emit(id, { ...job });
+  return { ...job };
+}
+
+/**
+ * Follow a job's changes
+ * @param {string} id
+ * @param {function(object): void} listener - Called with the job record after every change
+ * @returns {function(): void} Stops listening
+ */
+function watchJob(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Remove the directories of headless jobs that finished before the retention period
+ */
+function pruneJobDirs() {
+  const retentionMs = getRetentionMs();
+  if (!retentionMs) return;
+
+  let ids;
+  try {
+    ids = fs.readdirSync(getJobsDir()).filter(name => JOB_ID.test(name));
+  } catch {
+    return;
+  }
+
+  const cutoff = Date.now() - retentionMs;
+  for (const id of ids) {
+    if (running.has(id)) continue;
+    const job = readJob(id);
+    // Interrupted jobs never recorded an end, so their start counts
+    const ended = job && isFinished(job) && new Date(job.finishedAt || job.startedAt).getTime();
+    if (ended && ended < cutoff) {
+      fs.rmSync(jobDir(id), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Run the agent on a prompt in the background
+ * @param {object} options
+ * @param {string} options.prompt
+ * @param {string|null} options.cwd - Directory to run in (home, like a new terminal, when null)
+ * @param {object} [options.meta] - Stored with the job: { source, recommendationId, repo }
+ * @param {object} [options.agent] - From resolveAgentOptions()
+ * @param {string[]} [options.files] - Context files for the agent, from resolveContextFiles()
+ * @param {string} [options.id] - Id of the terminal job awaiting confirmation this job takes over
+ * @returns {{ id: string, dir: string, finished: Promise<object> }} finished resolves with the final job record
+ * @throws {Error} For an unknown agent
+ */
+function startJob({ prompt, cwd, meta = {}, agent = resolveAgentOptions(), files = [], id = newJobId() }) {
+  const built = buildCommand(agent, prompt, { cwd, files, headless: true });
+  pruneJobDirs();
+
+  const dir = jobDir(id);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const promptFile = path.join(dir, 'prompt.md');
+  fs.writeFileSync(promptFile, built.prompt, { mode: 0o600 });
+
+  const job = {
+    id,
+    kind: 'headless',
+    status: 'running',
+    ...meta,
+    cwd: cwd || null,
+    agent: built.agent,
+    // The prompt is in prompt.md, not repeated here
+    command: [built.bin, ...fillPrompt(built.args, '<prompt.md>', promptFile)],
+    pid: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    exitCode: null,
+    signal: null,
+    error: null
+  };
+
+  const stdout = fs.openSync(path.join(dir, 'stdout.log'), 'w', 0o600);
+  const stderr = fs.openSync(path.join(dir, 'stderr.log'), 'w', 0o600);
+  // From here on job.json has it; until then a failure leaves the terminal job to report it
+  spawnJobs.delete(id);
+
+  const finished = new Promise((resolve) => {
+    let timer = null;
+    const finish = (changes) => {
+      if (job.finishedAt) return;
+      clearTimeout(timer);
+      Object.assign(job, changes, { finishedAt: new Date().toISOString() });
+      writeJob(job);
+      running.delete(id);
+      console.log(`[jobs] ${id} ${job.status}${job.exitCode !== null ? ` (exit ${job.exitCode})` : ''}`);
+      resolve({ ...job });
+    };
+
+    const child = spawn(built.bin, fillPrompt(built.args, built.prompt, promptFile), {
+      cwd: cwd || process.env.HOME,
+      stdio: ['pipe', stdout, stderr]
+    });
+    fs.closeSync(stdout);
+    fs.closeSync(stderr);
+
+    job.pid = child.pid || null;
+    writeJob(job);
+    running.set(id, child);
+
+    child.on('error', (err) => finish({ status: 'failed', error: err.message }));
+    child.on('close', (code, signal) => {
+      if (job.status === 'timed_out') return finish({ exitCode: code, signal });
+      finish({ status: code === 0 ? 'succeeded' : 'failed', exitCode: code, signal });
+    });
+
+    // Prompt on stdin where the agent takes it: no argv length limits, and it doesn't show up in `ps`
+    child.stdin.on('error', () => {});
+    child.stdin.end(built.stdin ? built.prompt : '');
+
+    const timeoutMs = getTimeoutMs();
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        job.status = 'timed_out';
+        job.error = `Killed after ${timeoutMs / 1000}s`;
+        child.kill('SIGTERM');
+
+        // An agent that ignores SIGTERM would hold the job open forever
+        const graceMs = getKillGraceMs();
+        if (graceMs) {
+          setTimeout(() => {
+            if (!job.finishedAt) child.kill('SIGKILL');
+          }, graceMs).unref();
+        }
+      }, timeoutMs);
+      timer.unref();
+    }
+  });
+
+  console.log(`[jobs] Started ${id} in ${cwd || process.env.HOME}`);
+  return { id, dir, finished };
+}
+
+/**
+ * A job's record and output
+ * @param {string} id
+ * @returns {object|null} Terminal jobs as tracked; headless ones as job.json plus stdout
+ *                        and stderr; null for unknown ids
+ */
+function readJob(id) {
+  if (!JOB_ID.test(String(id))) return null;
+  if (spawnJobs.has(id)) return { ...spawnJobs.get(id) };
+
+  let job;
+  try {
+    job = JSON.parse(fs.readFileSync(path.join(jobDir(id), 'job.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+
+  // Left "running" by a daemon that stopped before the job finished
+  if (job.status === 'running' && !running.has(id) && !(job.pid && isAlive(job.pid))) {
+    job.status = 'interrupted';
+  }
+
+  const read = (name) => {
+    try {
+      return fs.readFileSync(path.join(jobDir(id), name), 'utf8');
+    } catch {
+      return '';
+    }
+  };
+  return { ...job, stdout: read('stdout.log'), stderr: read('stderr.log') };
+}
+
+/**
+ * All headless jobs, newest first (without their output)
+ * @returns {object[]}
+ */
+function listJobs() {
+  let ids;
+  try {
+    ids = fs.readdirSync(getJobsDir()).filter(name => JOB_ID.test(name));
+  } catch {
+    return [];
+  }
+
+  return ids
+    .map(id => readJob(id))
+    .filter(Boolean)
+    .map(({ stdout, stderr, ...job }) => job)
+    .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+}
+
+module.exports = {
+  isHeadless,
+  createSpawnJob,
+  updateSpawnJob,
+  isFinished,
+  watchJob,
+  startJob,
+  readJob,
+  listJobs,
+  getJobsDir
+};
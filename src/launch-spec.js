@@ -0,0 +1,131 @@
+/**
+ * Launch specs: how a terminal session gets its prompt
+ *
+ * Instead of putting the prompt on a shell command line, the daemon writes the
+ * agent command and prompt to a private file and the new terminal runs
+ * `node src/runner.js <spec>`, which deletes the file as soon as it has read it.
+ * That keeps the prompt out of the launcher's command line and out of temp
+ * scripts. The runner then writes it to a private prompt file for agents that
+ * read one (aider --message-file, an @mention for claude and gemini), so it
+ * stays out of the agent's argv too. Codex only takes an interactive prompt as
+ * an argument: there `ps` shows it and the argument-length limit applies.
+ *
+ * Specs live in a per-user runtime directory, 0700: $XDG_RUNTIME_DIR/claude-fix
+ * where there is one, else ~/.claude-fix/run. Files are 0600.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PLACEHOLDERS } = require('./agents/prompt');
+
+// Specs a terminal never picked up (closed before the runner started) are removed after this
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+const SPEC_FILE = /^[0-9a-f]{32}\.(json|md)$/;
+
+/**
+ * @returns {string} The runtime directory, created 0700 if missing
+ */
+function getRuntimeDir() {
+  const dir = process.env.XDG_RUNTIME_DIR
+    ? path.join(process.env.XDG_RUNTIME_DIR, 'claude-fix')
+    : path.join(process.env.HOME, '.claude-fix', 'run');
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  // mkdir's mode is masked by umask, and an older directory may be more open
+  fs.chmodSync(dir, 0o700);
+  return dir;
+}
+
+/**
+ * Write a private file in the runtime directory
+ * @returns {string} Its path
+ */
+function writePrivate(extension, content) {
+  const file = path.join(getRuntimeDir(), `${crypto.randomBytes(16).toString('hex')}.${extension}`);
+  // wx: never follow or reuse an existing file
+  fs.writeFileSync(file, content, { mode: 0o600, flag: 'wx' });
+  return file;
+}
+
+/**
+ * Remove spec and prompt files older than STALE_AFTER_MS
+ */
+function pruneStale() {
+  const dir = getRuntimeDir();
+  for (const name of fs.readdirSync(dir)) {
+    if (!SPEC_FILE.test(name)) continue;
+    try {
+      const file = path.join(dir, name);
+      if (Date.now() - fs.statSync(file).mtimeMs > STALE_AFTER_MS) fs.unlinkSync(file);
+    } catch {}
+  }
+}
+
+/**
+ * Save a command for the runner
+ * @param {object} spec
+ * @param {string} spec.bin - Agent binary
+ * @param {Array<string|symbol>} spec.args - From buildCommand(), placeholders included (see agents/prompt.js)
+ * @param {string} spec.prompt
+ * @param {string|null} [spec.cwd] - Directory to run in (home when null)
+ * @param {number} [spec.delayMs] - Wait before starting the agent
+ * @param {boolean} [spec.shell] - Leave a shell open in cwd once the agent exits
+ * @returns {string} Path of the spec file
+ */
+function writeLaunchSpec({ bin, args, prompt, cwd = null, delayMs = 0, shell = false }) {
+  pruneStale();
+
+  const names = new Map(Object.entries(PLACEHOLDERS).map(([name, placeholder]) => [placeholder, name]));
+  const encoded = args.map(arg => (names.has(arg) ? { placeholder: names.get(arg) } : arg));
+  return writePrivate('json', JSON.stringify({ bin, args: encoded, prompt, cwd, delayMs, shell }));
+}
+
+/**
+ * Read a spec and delete it, so it can only be used once
+ * @param {string} file
+ * @returns {object} The spec as given to writeLaunchSpec()
+ * @throws {Error} If the file is missing, not private to this user or not a spec
+ */
+function consumeLaunchSpec(file) {
+  const stat = fs.lstatSync(file);
+  if (!stat.isFile() || (stat.mode & 0o077) !== 0 || (process.getuid && stat.uid !== process.getuid())) {
+    throw new Error(`Refusing to read ${file}: not a private file`);
+  }
+
+  try {
+    const spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (typeof spec.bin !== 'string' || !Array.isArray(spec.args)) {
+      throw new Error(`Not a launch spec: ${file}`);
+    }
+    spec.args = spec.args.map(arg => (arg && Object.hasOwn(PLACEHOLDERS, arg.placeholder) ? PLACEHOLDERS[arg.placeholder] : arg));
+    return spec;
+  } finally {
+    try { fs.unlinkSync(file); } catch {}
+  }
+}
+
+/**
+ * Delete a spec the terminal never picked up
+ * @param {string} file
+ */
+function removeLaunchSpec(file) {
+  try { fs.unlinkSync(file); } catch {}
+}
+
+/**
+ * Write a prompt for an agent that reads it from a file (PROMPT_FILE, PROMPT_MENTION)
+ * @param {string} prompt
+ * @returns {string} Path of the file; delete it once the agent is done with it
+ */
+function writePromptFile(prompt) {
+  return writePrivate('md', prompt);
+}
+
+module.exports = {
+  getRuntimeDir,
+  writeLaunchSpec,
+  consumeLaunchSpec,
+  removeLaunchSpec,
+  writePromptFile
+};
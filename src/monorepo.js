@@ -0,0 +1,190 @@
+/**
+ * Narrow a resolved repo down to the package a recommendation is about.
+ *
+ * Sources, in order:
+ *   path     - explicit repo-relative directory or file (the `path` parameter)
+ *   mapping  - "services" in a .claude-fix.json at the repo root
+ *   service.datadog.yaml - a service definition whose dd-service matches
+ *   codeowners - a CODEOWNERS entry for a directory named after the service
+ *   file     - nearest package (package.json, go.mod, ...) containing the `file` parameter
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAPPING_FILE = '.claude-fix.json';
+const SERVICE_DEFINITIONS = ['service.datadog.yaml', 'service.datadog.yml'];
+const CODEOWNERS_FILES = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS', '.gitlab/CODEOWNERS'];
+const PACKAGE_MANIFESTS = [
+  'package.json', 'go.mod', 'pyproject.toml', 'setup.py', 'Cargo.toml',
+  'pom.xml', 'build.gradle', 'build.gradle.kts', ...SERVICE_DEFINITIONS,
+];
+
+const SKIP_DIRS = new Set([
+  '.git', 'node_modules', 'dist', '__pycache__', 'vendor', '.venv', 'build', '.cache', '.next', 'target',
+]);
+const MAX_DEPTH = 6;
+
+/**
+ * Repo-relative path inside the repo, or null if it escapes it
+ */
+function withinRepo(repoRoot, relPath) {
+  const abs = path.resolve(repoRoot, String(relPath).replace(/^\/+/, ''));
+  const rel = path.relative(repoRoot, abs);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) return null;
+  return rel;
+}
+
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function fromMapping(repoRoot, service) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(path.join(repoRoot, MAPPING_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+
+  const services = config.services || {};
+  const key = Object.keys(services).find(name => name.toLowerCase() === service.toLowerCase());
+  return key ? withinRepo(repoRoot, services[key]) : null;
+}
+
+/**
+ * Service name declared in a service.datadog.yaml (schema v2.x dd-service, or v3 metadata.name)
+ */
+function parseServiceDefinition(text) {
+  const v2 = text.match(/^dd-service:\s*["']?([^"'\s#]+)/m);
+  if (v2) return v2[1];
+
+  if (/^apiVersion:\s*["']?v3/m.test(text)) {
+    const v3 = text.match(/^metadata:[ \t]*\n(?:[ \t]+.*\n)*?[ \t]+name:\s*["']?([^"'\s#]+)/m);
+    if (v3) return v3[1];
+  }
+  return null;
+}
+
+async function fromServiceDefinitions(repoRoot, service) {
+  const wanted = service.toLowerCase();
+
+  async function walk(dir, depth) {
+    if (depth > MAX_DEPTH) return null;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return null;
+    }
+
+    for (const entry of entries) {
+      if (entry.isFile() && SERVICE_DEFINITIONS.includes(entry.name)) {
+        const text = await fs.promises.readFile(path.join(dir, entry.name), 'utf8').catch(() => '');
+        const name = parseServiceDefinition(text);
+        if (name && name.toLowerCase() === wanted) return path.relative(repoRoot, dir);
+      }
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || SKIP_DIRS.has(entry.name) || entry.name.startsWith('.')) continue;
+      const found = await walk(path.join(dir, entry.name), depth + 1);
+      if (found !== null) return found;
+    }
+    return null;
+  }
+
+  return walk(repoRoot, 0);
+}
+
+function fromCodeowners(repoRoot, service) {
+  const wanted = service.toLowerCase();
+
+  for (const file of CODEOWNERS_FILES) {
+    let text;
+    try {
+      text = fs.readFileSync(path.join(repoRoot, file), 'utf8');
+    } catch {
+      continue;
+    }
+
+    for (const line of text.split('\n')) {
+      const pattern = line.trim().split(/\s+/)[0];
+      if (!pattern || pattern.startsWith('#') || /[*?[]/.test(pattern.replace(/\/\*\*$/, ''))) continue;
+
+      const dir = pattern.replace(/\/\*\*$/, '').replace(/^\/+|\/+$/g, '');
+      if (path.basename(dir).toLowerCase() !== wanted) continue;
+
+      const rel = withinRepo(repoRoot, dir);
+      if (rel && isDirectory(path.join(repoRoot, rel))) return rel;
+    }
+  }
+  return null;
+}
+
+/**
+ * Nearest directory above a file that looks like a package, below the repo root
+ */
+function packageOf(repoRoot, relFile) {
+  let dir = path.dirname(relFile);
+  while (dir && dir !== '.') {
+    if (PACKAGE_MANIFESTS.some(name => fs.existsSync(path.join(repoRoot, dir, name)))) return dir;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * Work out which part of a repo a recommendation is about
+ * @param {string} repoRoot - Resolved checkout
+ * @param {object} hints - { path, service, file } from the request
+ * @returns {Promise<{ path: string, service: string|null, file: string|null, source: string }|null>}
+ *          path (and file) are relative to repoRoot; null means the whole repo
+ */
+async function resolveScope(repoRoot, { path: explicitPath, service, file } = {}) {
+  if (explicitPath) {
+    const rel = withinRepo(repoRoot, explicitPath);
+    if (rel !== null && rel !== '') {
+      const abs = path.join(repoRoot, rel);
+      if (isDirectory(abs)) return { path: rel, service: service || null, file: null, source: 'path' };
+      if (fs.existsSync(abs)) {
+        // A file: start in its directory and point Claude at the file
+        return { path: path.dirname(rel), service: service || null, file: rel, source: 'path' };
+      }
+    }
+    console.log(`[monorepo] Path not found in ${repoRoot}: ${explicitPath}`);
+  }
+
+  if (service) {
+    const lookups = [
+      ['mapping', () => fromMapping(repoRoot, service)],
+      ['service.datadog.yaml', () => fromServiceDefinitions(repoRoot, service)],
+      ['codeowners', () => fromCodeowners(repoRoot, service)],
+    ];
+    for (const [source, lookup] of lookups) {
+      const rel = await lookup();
+      if (rel && isDirectory(path.join(repoRoot, rel))) {
+        return { path: rel, service, file: null, source };
+      }
+    }
+    console.log(`[monorepo] No directory found for service ${service} in ${repoRoot}`);
+  }
+
+  if (file) {
+    const rel = withinRepo(repoRoot, file);
+    const pkg = rel && fs.existsSync(path.join(repoRoot, rel)) ? packageOf(repoRoot, rel) : null;
+    if (pkg) return { path: pkg, service: service || null, file: rel, source: 'file' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  resolveScope,
+  parseServiceDefinition,
+  MAPPING_FILE
+};
@@ -1,31 +1,109 @@
 /**
  * Builds a prompt from the provided context
+ *
+ * Wording comes from templates (see templates.js), so teams can change it without forking.
  */
 
-function buildPrompt(context) {
-  const { message, file, line } = context;
+const { renderTemplate, loadTemplate } = require('./templates');
+
+/**
+ * The deployed commit compared with HEAD; warns when line numbers won't match
+ */
+function formatDeployed(deployed) {
+  if (!deployed.sha) {
+    return `${deployed.ref} (not found in this checkout; it may need a git fetch). Line numbers in the recommendation may not match HEAD.`;
+  }
+
+  const short = deployed.sha.slice(0, 12);
+  const label = deployed.sha.startsWith(deployed.ref.toLowerCase()) ? short : `${deployed.ref} (${short})`;
+  if (deployed.matchesHead) return `${label}, which is HEAD`;
+
+  const offsets = [
+    deployed.ahead ? `${deployed.ahead} commit${deployed.ahead === 1 ? '' : 's'} ahead of it` : null,
+    deployed.behind ? `${deployed.behind} commit${deployed.behind === 1 ? '' : 's'} behind it` : null
+  ].filter(Boolean).join(' and ') || 'on another commit';
+  return `${label}. WARNING: HEAD is not the deployed code (HEAD is ${offsets}). ` +
+    `Line numbers in the recommendation refer to the deployed code; read files as deployed with \`git show ${short}:<path>\`.`;
+}
+
+/**
+ * Git state from getGitContext() as a list for the prompt
+ * @param {object|null} git
+ * @returns {string|null}
+ */
+function formatGitContext(git) {
+  if (!git) return null;
 
-  let parts = [];
+  const defaultNote = !git.defaultBranch ? ''
+    : git.branch === git.defaultBranch ? ' (the default branch)'
+      : ` (default branch: ${git.defaultBranch})`;
+  const lines = [`- Branch: ${git.branch || 'detached HEAD'}${defaultNote}`];
+
+  if (git.head) {
+    lines.push(`- HEAD: ${git.head.sha} ${git.head.subject}`);
+  }
+  if (git.dirty !== null) {
+    lines.push(`- Uncommitted changes: ${git.dirty === 0 ? 'none' : `${git.dirty} file${git.dirty === 1 ? '' : 's'}`}`);
+  }
 
-  // Add file location if provided
-  if (file) {
-    let location = file;
-    if (line) {
-      location += `:${line}`;
-    }
-    parts.push(`Fix this error in ${location}`);
+  if (git.upstream && git.behind !== null) {
+    const commits = n => `${n} commit${n === 1 ? '' : 's'}`;
+    const state = git.behind && git.ahead ? `${commits(git.behind)} behind and ${commits(git.ahead)} ahead of ${git.upstream}`
+      : git.behind ? `${commits(git.behind)} behind ${git.upstream}`
+        : git.ahead ? `${commits(git.ahead)} ahead of ${git.upstream}`
+          : `up to date with ${git.upstream}`;
+    lines.push(`- Remote: ${state}${git.fetchedAt ? ` (as of the last fetch, ${git.fetchedAt})` : ''}`);
   } else {
-    parts.push('Fix this error');
+    lines.push('- Remote: no remote-tracking branch to compare with');
   }
 
-  // Add the error message
-  if (message) {
-    parts.push(`- ${message}`);
+  if (git.deployed) {
+    lines.push(`- Deployed version: ${formatDeployed(git.deployed)}`);
   }
 
-  return parts.join(' ');
+  if (git.files.length) {
+    const files = git.files.map(f => `${f.path} (${f.exists ? 'exists' : 'not found in this checkout'})`);
+    lines.push(`- Referenced files: ${files.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Template variables shared by every template
+ */
+function templateVars(context) {
+  const { prompt, source, repo, path, branch, scope, service, file, line, message, output } = context;
+  return {
+    prompt, source, repo, path, branch, scope, service, file, line, message, output,
+    gitContext: formatGitContext(context.git)
+  };
+}
+
+/**
+ * Prompt for a one-off fix (`claude-fix fix`)
+ * @param {object} context - { message, file, line, output, repo, path, branch, git }
+ * @returns {string}
+ */
+function buildPrompt(context) {
+  const { template } = loadTemplate('fix', { repo: context.repo });
+  return renderTemplate(template, templateVars(context));
+}
+
+/**
+ * Wrap a provider's prompt in the meta-prompt sent to Claude
+ * @param {string} providerPrompt - Prompt text from the provider
+ * @param {object} context - { source, provider, repo, path, branch, scope, service, file, line, message, git, headless }
+ *                           headless picks the "headless" template instead of "wrapper"
+ * @returns {string}
+ */
+function wrapPrompt(providerPrompt, context) {
+  const name = context.headless ? 'headless' : 'wrapper';
+  const { template } = loadTemplate(name, { provider: context.provider, repo: context.repo });
+  return renderTemplate(template, templateVars({ ...context, prompt: providerPrompt }));
 }
 
 module.exports = {
-  buildPrompt
+  buildPrompt,
+  wrapPrompt,
+  formatGitContext
 };
@@ -0,0 +1,209 @@
+/**
+ * Datadog APM recommendations provider
+ *
+ * Mounted at /dd/claude-fix?data=<base64url JSON>
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    }
+  } catch {}
+  return {};
+}
+
+// Load DD keys: env vars first, then config file
+const config = loadConfig();
+const DD_API_KEY = process.env.DD_API_KEY || config.DD_API_KEY || '';
+const DD_APP_KEY = process.env.DD_APP_KEY || config.DD_APP_KEY || '';
+
+/**
+ * Datadog sites by region code
+ */
+const DD_SITES = {
+  US1: 'datadoghq.com',
+  US3: 'us3.datadoghq.com',
+  US5: 'us5.datadoghq.com',
+  EU1: 'datadoghq.eu',
+  AP1: 'ap1.datadoghq.com',
+  AP2: 'ap2.datadoghq.com',
+  'US1-FED': 'ddog-gov.com',
+  GOV: 'ddog-gov.com'
+};
+
+/**
+ * Resolve a DD_SITE value to its site domain
+ * @param {string} site - Region code ("EU1", "gov") or domain ("datadoghq.eu"); empty means US1
+ * @returns {string|null} Site domain, or null if unrecognized
+ */
+function resolveSite(site) {
+  if (!site) return DD_SITES.US1;
+
+  const code = site.trim().toUpperCase();
+  if (DD_SITES[code]) return DD_SITES[code];
+
+  // Accept the domain itself, with or without the app./api. prefix Datadog shows in the browser
+  const domain = site.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^(app|api)\./, '').replace(/\/+$/, '');
+  return Object.values(DD_SITES).includes(domain) ? domain : null;
+}
+
+/**
+ * Base URL for API requests: DD_BASE_URL override, else derived from DD_SITE
+ * @param {object} [options] - { site, baseUrl }
+ * @returns {string}
+ */
+function getBaseUrl({ site, baseUrl } = {}) {
+  if (baseUrl) return baseUrl.replace(/\/+$/, '');
+
+  const domain = resolveSite(site);
+  if (!domain) {
+    throw new Error(`Unknown DD_SITE: ${site}. Valid: ${Object.keys(DD_SITES).join(', ')} or a site domain`);
+  }
+  return `https://api.${domain}`;
+}
+
+/**
+ * Browser origin of the Datadog app for a site (regional sites have no app. prefix)
+ * @param {string} site - DD_SITE value
+ * @returns {string}
+ */
+function getAppOrigin(site) {
+  const domain = resolveSite(site) || DD_SITES.US1;
+  return /^(us|ap)\d\./.test(domain) ? `https://${domain}` : `https://app.${domain}`;
+}
+
+const DD_SITE = process.env.DD_SITE || config.DD_SITE || '';
+const DD_BASE_URL = process.env.DD_BASE_URL || config.DD_BASE_URL || '';
+
+/**
+ * Fetch prompt from Datadog recommendations API
+ * @param {string} encodedData - The base64url encoded JSON data (e.g., {"id": "recommendation-id"})
+ * @returns {Promise<string>} The raw response body
+ */
+function fetchDatadogPrompt(encodedData) {
+  return new Promise((resolve, reject) => {
+    if (!DD_API_KEY || !DD_APP_KEY) {
+      reject(new Error('DD_API_KEY and DD_APP_KEY required (set in env or ~/.claude-fix/config.json)'));
+      return;
+    }
+
+    // JSON:API formatted request body
+    const requestBody = JSON.stringify({
+      data: {
+        type: 'prompt_request',
+        id: 'prompt_request',
+        attributes: {
+          data: encodedData
+        }
+      }
+    });
+
+    let url;
+    try {
+      url = new URL(`${getBaseUrl({ site: DD_SITE, baseUrl: DD_BASE_URL })}/api/unstable/recommendations/prompt`);
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    // Plain http is only expected for a DD_BASE_URL pointing at a local mock
+    const transport = url.protocol === 'http:' ? http : https;
+
+    const req = transport.request({
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: url.pathname,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/vnd.api+json',
+        'Accept': 'application/vnd.api+json',
+        'DD-API-KEY': DD_API_KEY,
+        'DD-APPLICATION-KEY': DD_APP_KEY,
+        'Content-Length': Buffer.byteLength(requestBody)
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`Datadog API returned ${res.statusCode}: ${data}`));
+          return;
+        }
+        resolve(data);
+      });
+    });
+
+    req.on('error', reject);
+    req.write(requestBody);
+    req.end();
+  });
+}
+
+/**
+ * Extract the prompt text from a JSON:API response body
+ * @param {string} body - Raw response body
+ * @returns {string}
+ */
+function extractPrompt(body) {
+  try {
+    const parsed = JSON.parse(body);
+    return parsed.data?.attributes?.prompt || parsed.prompt || body;
+  } catch {
+    // If not JSON, return as-is
+    return body;
+  }
+}
+
+/**
+ * Recommendation id from the base64url JSON in the data parameter
+ * @param {string} encodedData
+ * @returns {string|null}
+ */
+function decodeRecommendationId(encodedData) {
+  try {
+    const decoded = JSON.parse(Buffer.from(encodedData, 'base64url').toString('utf8'));
+    return decoded.id ? String(decoded.id) : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  name: 'datadog',
+  route: 'dd',
+  label: 'Datadog APM',
+  requiredParams: ['data'],
+  allowedOrigins: [getAppOrigin(DD_SITE)],
+
+  isConfigured() {
+    return !!(DD_API_KEY && DD_APP_KEY);
+  },
+
+  fetch(params) {
+    return fetchDatadogPrompt(params.get('data'));
+  },
+
+  transform(body) {
+    return extractPrompt(body);
+  },
+
+  getItemId(params) {
+    return decodeRecommendationId(params.get('data'));
+  },
+
+  fetchDatadogPrompt,
+  extractPrompt,
+  decodeRecommendationId,
+  resolveSite,
+  getBaseUrl,
+  getAppOrigin,
+  DD_SITES
+};
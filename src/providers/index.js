@@ -0,0 +1,92 @@
+/**
+ * Prompt-source provider registry
+ *
+ * A provider turns a request from an external tool into prompt text. Each one is
+ * mounted at /<route>/claude-fix and shares the same wrap/spawn pipeline.
+ *
+ * Provider shape:
+ *   name            - Identifier used in logs and /dd/health (e.g. "datadog")
+ *   route           - URL prefix (e.g. "dd" → /dd/claude-fix)
+ *   label           - Human-readable source used in the wrapper prompt (e.g. "Datadog APM")
+ *   requiredParams  - Query parameters that must be present (optional)
+ *   allowedOrigins  - Browser origins allowed to call the API by default (optional)
+ *   isConfigured()  - Whether credentials etc. are set up (optional)
+ *   fetch(params)   - Fetch raw data for the request; params is a URLSearchParams
+ *   transform(raw, params) - Turn the raw data into prompt text (optional, defaults to String(raw))
+ *   getItemId(params) - Id of the recommendation/issue being opened, for history (optional)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
+
+const providers = new Map();
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    }
+  } catch {}
+  return {};
+}
+
+/**
+ * Register a provider
+ * @param {object} provider - See provider shape above
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || !provider.route || typeof provider.fetch !== 'function') {
+    throw new Error('Provider must have a name, a route and a fetch() function');
+  }
+  if (!/^[\w-]+$/.test(provider.route)) {
+    throw new Error(`Invalid provider route: ${provider.route}`);
+  }
+  if (providers.has(provider.route)) {
+    throw new Error(`Route already registered: /${provider.route}/claude-fix`);
+  }
+  providers.set(provider.route, provider);
+}
+
+/**
+ * Look up a provider by its route prefix
+ * @param {string} route - e.g. "dd"
+ * @returns {object|null}
+ */
+function getProvider(route) {
+  return providers.get(route) || null;
+}
+
+/**
+ * @returns {object[]} All registered providers
+ */
+function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Load custom provider modules listed in CLAUDE_FIX_PROVIDERS (e.g. for internal tools)
+ */
+function loadCustomProviders() {
+  const modules = loadConfig().CLAUDE_FIX_PROVIDERS || [];
+
+  for (const raw of modules) {
+    const modulePath = path.resolve(raw.replace(/^~/, process.env.HOME));
+    try {
+      registerProvider(require(modulePath));
+      console.log(`[providers] Loaded ${modulePath}`);
+    } catch (err) {
+      console.error(`[providers] Failed to load ${modulePath}: ${err.message}`);
+    }
+  }
+}
+
+registerProvider(require('./datadog'));
+loadCustomProviders();
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
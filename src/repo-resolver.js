@@ -1,12 +1,22 @@
 /**
  * Resolve a repo URL to a local checkout path.
  *
- * Pipeline: normalize URL → cache lookup (verify) → filesystem scan → cache result
+ * Pipeline: normalize URL → pinned/cached location (verify) → index or filesystem scan
+ *           → rank matching checkouts → cache the best
+ *
+ * The daemon keeps an index of every checkout under GIT_SEARCH_PATHS (built
+ * asynchronously, refreshed on an interval and by fs.watch); one-off CLI
+ * commands scan on demand instead.
+ *
+ * resolveOrCloneRepo() adds an opt-in last step: clone into CLAUDE_FIX_CLONE_ROOT.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const { execFile, execFileSync } = require('child_process');
+const { getRemoteUrls } = require('./git-config');
+const { rankCandidates } = require('./candidates');
 
 const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
 const CACHE_FILE = path.join(process.env.HOME, '.claude-fix', 'repo-cache.json');
@@ -20,34 +30,152 @@ const SKIP_DIRS = new Set([
 // URL normalization
 // ---------------------------------------------------------------------------
 
+const SSH_CONFIG_FILE = path.join(process.env.HOME, '.ssh', 'config');
+
+// Host aliases only change when their files do
+const aliasCache = { key: null, aliases: {} };
+
+/**
+ * `Host alias` → `HostName real.host` pairs from an ssh config.
+ * Wildcard patterns and tokenized HostNames (%h) are skipped.
+ */
+function parseSshConfigAliases(text) {
+  const aliases = {};
+  let hosts = [];
+
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const [, keyword, value] = line.match(/^(\S+?)\s*(?:=\s*|\s+)(.*)$/) || [];
+    if (!keyword) continue;
+
+    const key = keyword.toLowerCase();
+    if (key === 'host') {
+      hosts = value.split(/\s+/).filter(h => h && !/[*?!]/.test(h)).map(h => h.toLowerCase());
+    } else if (key === 'match') {
+      hosts = [];
+    } else if (key === 'hostname' && !value.includes('%')) {
+      for (const host of hosts) {
+        // First HostName wins, as in ssh
+        if (!(host in aliases) && host !== value.toLowerCase()) aliases[host] = value.toLowerCase();
+      }
+    }
+  }
+  return aliases;
+}
+
+/**
+ * Host aliases from ~/.ssh/config, overridden by GIT_HOST_ALIASES in the config.
+ */
+function getHostAliases() {
+  const mtime = (file) => {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch {
+      return 0;
+    }
+  };
+
+  const key = `${mtime(SSH_CONFIG_FILE)}:${mtime(CONFIG_FILE)}`;
+  if (aliasCache.key === key) return aliasCache.aliases;
+
+  let ssh = {};
+  try {
+    ssh = parseSshConfigAliases(fs.readFileSync(SSH_CONFIG_FILE, 'utf8'));
+  } catch {}
+
+  const configured = {};
+  for (const [alias, host] of Object.entries(loadConfig().GIT_HOST_ALIASES || {})) {
+    configured[alias.toLowerCase()] = String(host).toLowerCase();
+  }
+
+  aliasCache.key = key;
+  aliasCache.aliases = { ...ssh, ...configured };
+  return aliasCache.aliases;
+}
+
+/**
+ * Split a repo URL into host and path, dropping user, credentials, port, query and fragment.
+ */
+function splitRepoUrl(url) {
+  // scheme://[user[:pass]@]host[:port]/path — https, ssh, git, git+ssh, ...
+  const schemeMatch = url.match(/^([a-z][a-z0-9+.-]*):\/\/(.*)$/i);
+  if (schemeMatch) {
+    const rest = schemeMatch[2].replace(/[?#].*$/, '');
+    const slash = rest.indexOf('/');
+    const authority = slash === -1 ? rest : rest.slice(0, slash);
+    return {
+      scheme: schemeMatch[1].toLowerCase(),
+      host: authority.replace(/^.*@/, '').replace(/:\d*$/, ''),
+      path: slash === -1 ? '' : rest.slice(slash + 1),
+    };
+  }
+
+  // scp-like: [user@]host:path (a colon before any slash)
+  const scpMatch = url.match(/^(?:[^@/]+@)?([^:/]+):(.*)$/);
+  if (scpMatch) {
+    return { scheme: 'ssh', host: scpMatch[1], path: scpMatch[2].replace(/[?#].*$/, '') };
+  }
+
+  // Bare: host/owner/repo
+  const bare = url.replace(/[?#].*$/, '').replace(/^[^@/]+@/, '');
+  const slash = bare.indexOf('/');
+  return {
+    scheme: null,
+    host: slash === -1 ? bare : bare.slice(0, slash),
+    path: slash === -1 ? '' : bare.slice(slash + 1),
+  };
+}
+
 /**
  * Normalize any repo URL to "host/owner/repo" (lowercase, no protocol, no .git).
  *
- * Handles SSH, HTTPS, bare, and Azure SSH variants.
+ * Handles scp-like SSH (git@host:owner/repo), ssh://, git://, http(s) (with
+ * credentials, ports, queries), Azure DevOps SSH, HTTPS and visualstudio.com
+ * forms, nested groups, and host aliases (see getHostAliases()).
+ *
+ * @param {string} url
+ * @param {object} [options] - { aliases: { alias: host } } to use instead of the configured ones
  */
-function normalizeRepoUrl(url) {
+function normalizeRepoUrl(url, { aliases } = {}) {
   if (!url) return null;
-  let u = url.trim();
+  const u = url.trim();
+  // A leading dash would reach git as an option (git clone -u...)
+  if (!u || u.startsWith('-')) return null;
 
-  // Azure SSH: git@ssh.dev.azure.com:v3/org/project/repo
-  const azureMatch = u.match(/^git@ssh\.dev\.azure\.com:v3\/(.+)/);
-  if (azureMatch) {
-    return ('dev.azure.com/' + azureMatch[1]).toLowerCase().replace(/\.git$/, '');
-  }
+  const parts = splitRepoUrl(u);
 
-  // SSH: git@host:owner/repo.git
-  const sshMatch = u.match(/^git@([^:]+):(.+)/);
-  if (sshMatch) {
-    return (sshMatch[1] + '/' + sshMatch[2]).toLowerCase().replace(/\.git$/, '');
+  // Local clones: keep the path
+  if (parts.scheme === 'file') {
+    return ('file:///' + parts.path.replace(/\/+$/, '').replace(/\.git$/i, '')).toLowerCase();
   }
 
-  // HTTPS: https://host/owner/repo.git
-  u = u.replace(/^https?:\/\//, '');
+  const hostAliases = aliases || getHostAliases();
+  let host = parts.host.toLowerCase();
+  host = hostAliases[host] || host;
+
+  let segments = parts.path
+    .replace(/\/+$/, '')
+    .replace(/\.git$/i, '')
+    .split('/')
+    .filter(Boolean);
 
-  // Strip trailing .git and slashes
-  u = u.replace(/\.git$/, '').replace(/\/+$/, '');
+  // Azure DevOps: all forms → dev.azure.com/org/project/repo
+  if ((host === 'ssh.dev.azure.com' || host === 'vs-ssh.visualstudio.com') && segments[0] === 'v3') {
+    host = 'dev.azure.com';
+    segments.shift();
+  }
+  const visualStudio = host.match(/^([\w-]+)\.visualstudio\.com$/);
+  if (visualStudio) {
+    host = 'dev.azure.com';
+    segments.unshift(visualStudio[1]);
+  }
+  if (host === 'dev.azure.com') {
+    segments = segments.filter((s, i) => s !== '_git' && !(i === 1 && /^defaultcollection$/i.test(s)));
+  }
 
-  return u.toLowerCase();
+  return [host, ...segments].join('/').toLowerCase();
 }
 
 /**
@@ -64,23 +192,44 @@ function extractRepoName(normalizedUrl) {
 // ---------------------------------------------------------------------------
 
 /**
- * Run `git remote -v` in a directory and return deduplicated remote URLs.
+ * Remote URLs of a checkout, deduplicated, as `git remote -v` would list them.
+ *
+ * Read from the git config files directly (see git-config.js), so no git process
+ * is spawned and any directory name works.
  */
 function getRepoRemotes(dirPath) {
   try {
-    const out = execSync(`git -C '${dirPath}' remote -v`, {
+    return getRemoteUrls(dirPath);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Current branch of a checkout ("HEAD" when detached), or null if not a git repo.
+ */
+function getCurrentBranch(dirPath) {
+  try {
+    return execFileSync('git', ['-C', dirPath, 'rev-parse', '--abbrev-ref', 'HEAD'], {
       timeout: 5000,
       stdio: ['pipe', 'pipe', 'pipe'],
-    }).toString();
+    }).toString().trim() || null;
+  } catch {
+    return null;
+  }
+}
 
-    const urls = new Set();
-    for (const line of out.split('\n')) {
-      const parts = line.split(/\s+/);
-      if (parts[1]) urls.add(parts[1]);
-    }
-    return [...urls];
+/**
+ * Top-level directory of the checkout containing dirPath, or null if not in a git repo.
+ */
+function getRepoRoot(dirPath) {
+  try {
+    return execFileSync('git', ['-C', dirPath, 'rev-parse', '--show-toplevel'], {
+      timeout: 5000,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    }).toString().trim() || null;
   } catch {
-    return [];
+    return null;
   }
 }
 
@@ -88,6 +237,17 @@ function getRepoRemotes(dirPath) {
 // Cache
 // ---------------------------------------------------------------------------
 
+const DEFAULT_CACHE_TTL_DAYS = 30;
+const DEFAULT_CACHE_MAX_ENTRIES = 500;
+
+// A lock older than this belongs to a process that hung or died mid-write
+const STALE_LOCK_MS = 10000;
+const LOCK_TIMEOUT_MS = 3000;
+const LOCK_RETRY_MS = 10;
+
+// Background cache writes started by cacheLookup()
+const pendingWrites = new Set();
+
 function loadCache() {
   try {
     if (fs.existsSync(CACHE_FILE)) {
@@ -98,49 +258,259 @@ function loadCache() {
 }
 
 function saveCache(cache) {
-  fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2) + '\n');
+  // Write-then-rename, so readers never see a half-written file
+  const tmp = `${CACHE_FILE}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(cache, null, 2) + '\n');
+  fs.renameSync(tmp, CACHE_FILE);
+}
+
+function readLock(lockFile) {
+  try {
+    return fs.readFileSync(lockFile, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the lock only if it still holds this token: after a stale lock is
+ * broken, its old holder must not remove the new one
+ */
+function releaseLock(lockFile, token) {
+  if (readLock(lockFile) !== token) return;
+  try {
+    fs.unlinkSync(lockFile);
+  } catch {}
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether a lock was left behind: its process is gone, or it has been held too long
+ * @param {string} lockFile
+ * @param {string} token - Lock contents, "<pid> <random>" (empty while being written)
+ */
+function isStaleLock(lockFile, token) {
+  const pid = parseInt(token, 10);
+  if (pid > 0 && !isAlive(pid)) return true;
+  try {
+    return Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read-modify-write the cache under a lockfile (the daemon and CLI commands
+ * may update it at the same time). Waiting for the lock doesn't block the
+ * event loop; readers don't take it at all (saveCache renames into place).
+ * @param {function(object): *} update - Mutates the cache; its return value is passed through
+ * @returns {Promise<*>}
+ */
+async function updateCache(update) {
+  const lockFile = `${CACHE_FILE}.lock`;
+  const token = `${process.pid} ${crypto.randomBytes(8).toString('hex')}`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, token, { flag: 'wx' });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    const holder = readLock(lockFile);
+    if (holder !== null && isStaleLock(lockFile, holder)) {
+      releaseLock(lockFile, holder);
+    } else if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${lockFile}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  try {
+    const cache = loadCache();
+    const result = update(cache);
+    evictEntries(cache);
+    saveCache(cache);
+    return result;
+  } finally {
+    releaseLock(lockFile, token);
+  }
+}
+
+/**
+ * Drop unpinned entries not used within REPO_CACHE_TTL_DAYS, then the least
+ * recently used ones beyond REPO_CACHE_MAX_ENTRIES.
+ * @param {object} cache - Mutated in place
+ * @param {object} [limits] - { ttlDays, maxEntries, now } (defaults from config)
+ * @returns {string[]} Evicted URLs
+ */
+function evictEntries(cache, limits = {}) {
+  const config = loadConfig();
+  const ttlDays = limits.ttlDays ?? config.REPO_CACHE_TTL_DAYS ?? DEFAULT_CACHE_TTL_DAYS;
+  const maxEntries = limits.maxEntries ?? config.REPO_CACHE_MAX_ENTRIES ?? DEFAULT_CACHE_MAX_ENTRIES;
+  const now = limits.now ?? Date.now();
+
+  const evicted = [];
+  const unpinned = Object.entries(cache)
+    .filter(([, entry]) => !entry.pinned)
+    .sort(([, a], [, b]) => new Date(b.lastUsed || 0) - new Date(a.lastUsed || 0));
+
+  unpinned.forEach(([url, entry], i) => {
+    const age = now - new Date(entry.lastUsed || 0).getTime();
+    if ((ttlDays > 0 && age > ttlDays * 86400e3) || (maxEntries > 0 && i >= maxEntries)) {
+      delete cache[url];
+      evicted.push(url);
+    }
+  });
+
+  return evicted;
+}
+
+/**
+ * After a lookup, bump lastUsed (hit) or drop the stale entry, in the background
+ */
+function recordLookup(normalizedUrl, entryPath, hit) {
+  const write = updateCache((cache) => {
+    // Changed since the lookup read it (e.g. pinned elsewhere): leave it alone
+    const entry = cache[normalizedUrl];
+    if (!entry || entry.path !== entryPath) return;
+    if (hit) entry.lastUsed = new Date().toISOString();
+    else delete cache[normalizedUrl];
+  }).catch((err) => {
+    console.log(`[repo-resolver] Cache not updated: ${err.message}`);
+  });
+
+  pendingWrites.add(write);
+  write.finally(() => pendingWrites.delete(write));
+}
+
+/**
+ * Wait for the background writes of earlier lookups
+ * @returns {Promise<void>}
+ */
+async function flushCacheWrites() {
+  await Promise.all([...pendingWrites]);
 }
 
 /**
  * Look up a normalized URL in the cache. Returns the path if still valid, else null.
+ *
+ * Pinned entries are trusted as long as the path exists. Reads without the
+ * lock; the lastUsed update or stale-entry removal is written in the background.
  */
 function cacheLookup(normalizedUrl) {
-  const cache = loadCache();
-  const entry = cache[normalizedUrl];
+  const entry = loadCache()[normalizedUrl];
   if (!entry) return null;
 
   // Verify path still exists
   if (!fs.existsSync(entry.path)) {
-    delete cache[normalizedUrl];
-    saveCache(cache);
+    if (entry.pinned) {
+      console.log(`[repo-resolver] Pinned path is missing: ${entry.path}`);
+      return null;
+    }
     console.log(`[repo-resolver] Cache stale (path gone): ${entry.path}`);
+    recordLookup(normalizedUrl, entry.path, false);
     return null;
   }
 
   // Verify remotes still match
-  const remotes = getRepoRemotes(entry.path);
-  const remoteNorms = remotes.map(normalizeRepoUrl);
-  if (!remoteNorms.includes(normalizedUrl)) {
-    delete cache[normalizedUrl];
-    saveCache(cache);
-    console.log(`[repo-resolver] Cache stale (remote mismatch): ${entry.path}`);
-    return null;
+  if (!entry.pinned) {
+    const remoteNorms = getRepoRemotes(entry.path).map(normalizeRepoUrl);
+    if (!remoteNorms.includes(normalizedUrl)) {
+      console.log(`[repo-resolver] Cache stale (remote mismatch): ${entry.path}`);
+      recordLookup(normalizedUrl, entry.path, false);
+      return null;
+    }
   }
 
-  // Update lastUsed
-  entry.lastUsed = new Date().toISOString();
-  saveCache(cache);
-  console.log(`[repo-resolver] Cache hit: ${normalizedUrl} → ${entry.path}`);
+  console.log(`[repo-resolver] Cache ${entry.pinned ? 'hit (pinned)' : 'hit'}: ${normalizedUrl} → ${entry.path}`);
+  recordLookup(normalizedUrl, entry.path, true);
   return entry.path;
 }
 
-function cacheStore(normalizedUrl, resolvedPath) {
-  const cache = loadCache();
-  cache[normalizedUrl] = {
-    path: resolvedPath,
-    lastUsed: new Date().toISOString(),
-  };
-  saveCache(cache);
+/**
+ * Remember where a repo was found (never replacing a pin)
+ * @returns {Promise<void>} Resolves even if the cache couldn't be written
+ */
+async function cacheStore(normalizedUrl, resolvedPath) {
+  try {
+    await updateCache((cache) => {
+      // Found by scanning: never replace a mapping the user pinned
+      if (cache[normalizedUrl] && cache[normalizedUrl].pinned) return;
+      cache[normalizedUrl] = {
+        path: resolvedPath,
+        lastUsed: new Date().toISOString(),
+      };
+    });
+  } catch (err) {
+    console.log(`[repo-resolver] Cache not updated: ${err.message}`);
+  }
+}
+
+/**
+ * Cached mappings, most recently used first
+ * @returns {Array<{ url: string, path: string, lastUsed: string, pinned: boolean }>}
+ */
+function listCache() {
+  return Object.entries(loadCache())
+    .map(([url, entry]) => ({ url, path: entry.path, lastUsed: entry.lastUsed || null, pinned: !!entry.pinned }))
+    .sort((a, b) => new Date(b.lastUsed || 0) - new Date(a.lastUsed || 0));
+}
+
+/**
+ * Map a repo URL to a directory, taking priority over scanning
+ * @returns {Promise<string>} The normalized URL
+ */
+async function pinRepo(repoUrl, dirPath) {
+  const normalized = normalizeRepoUrl(repoUrl);
+  if (!normalized) throw new Error(`Invalid repo URL: ${repoUrl}`);
+
+  await updateCache((cache) => {
+    cache[normalized] = { path: dirPath, lastUsed: new Date().toISOString(), pinned: true };
+  });
+  return normalized;
+}
+
+/**
+ * Remove a mapping (pinned or not)
+ * @returns {Promise<boolean>} Whether there was one
+ */
+function forgetRepo(repoUrl) {
+  const normalized = normalizeRepoUrl(repoUrl);
+  return updateCache((cache) => {
+    const existed = normalized in cache;
+    delete cache[normalized];
+    return existed;
+  });
+}
+
+/**
+ * Remove every unpinned mapping (or every mapping, with all)
+ * @returns {Promise<number>} Entries removed
+ */
+function clearCache({ all = false } = {}) {
+  return updateCache((cache) => {
+    let removed = 0;
+    for (const [url, entry] of Object.entries(cache)) {
+      if (all || !entry.pinned) {
+        delete cache[url];
+        removed++;
+      }
+    }
+    return removed;
+  });
 }
 
 // ---------------------------------------------------------------------------
@@ -148,59 +518,278 @@ function cacheStore(normalizedUrl, resolvedPath) {
 // ---------------------------------------------------------------------------
 
 /**
- * Recursively scan directories for a repo whose remotes match the given URL.
+ * Walk the search paths with fs.promises, so the event loop keeps running.
  *
- * Only runs `git remote -v` when the directory name matches the repo name
- * (case-insensitive) AND contains a `.git` entry, keeping things fast.
+ * Calls onCheckout(dir, name) for every directory with a `.git` entry (a
+ * worktree has a .git file); returning true stops the walk. onContainer(dir)
+ * sees every directory outside a checkout, which is where new clones appear.
  */
-function scanForRepo(normalizedUrl, searchPaths, maxDepth) {
-  const repoName = extractRepoName(normalizedUrl);
-  if (!repoName) return null;
+async function walkCheckouts(searchPaths, maxDepth, { onCheckout, onContainer = () => {} }) {
+  let stopped = false;
+
+  async function walk(dir, depth, inCheckout) {
+    if (depth > maxDepth || stopped) return;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    if (!inCheckout) onContainer(dir);
+
+    for (const entry of entries) {
+      if (stopped) return;
+      if (!entry.isDirectory()) continue;
+      if (SKIP_DIRS.has(entry.name)) continue;
+
+      const full = path.join(dir, entry.name);
+      let isCheckout = false;
+      try {
+        await fs.promises.access(path.join(full, '.git'));
+        isCheckout = true;
+      } catch {}
+
+      if (isCheckout && await onCheckout(full, entry.name)) {
+        stopped = true;
+        return;
+      }
+
+      // Recurse (checkouts too: they can contain nested ones)
+      await walk(full, depth + 1, inCheckout || isCheckout);
+    }
+  }
 
   for (const raw of searchPaths) {
-    const base = raw.replace(/^~/, process.env.HOME);
-    const result = walkDir(base, repoName, normalizedUrl, 0, maxDepth);
-    if (result) return result;
+    await walk(raw.replace(/^~/, process.env.HOME), 0, false);
   }
+}
 
-  return null;
+/**
+ * Scan directories for a repo whose remotes match the given URL.
+ *
+ * Only reads remotes when the directory name matches the repo name
+ * (case-insensitive), keeping things fast.
+ */
+async function scanForRepo(normalizedUrl, searchPaths, maxDepth) {
+  const [found] = await scanForRepos(normalizedUrl, searchPaths, maxDepth, { limit: 1 });
+  return found || null;
 }
 
-function walkDir(dir, repoName, normalizedUrl, depth, maxDepth) {
-  if (depth > maxDepth) return null;
+/**
+ * Every checkout scanForRepo() would accept (clones and worktrees of the same repo).
+ * @param {object} [options] - { limit }
+ */
+async function scanForRepos(normalizedUrl, searchPaths, maxDepth, { limit = Infinity } = {}) {
+  const repoName = extractRepoName(normalizedUrl);
+  if (!repoName) return [];
+
+  const found = [];
+  await walkCheckouts(searchPaths, maxDepth, {
+    onCheckout: async (dir, name) => {
+      if (name.toLowerCase() !== repoName) return false;
+      const remoteNorms = getRepoRemotes(dir).map(normalizeRepoUrl);
+      if (remoteNorms.includes(normalizedUrl)) found.push(dir);
+      return found.length >= limit;
+    },
+  });
+
+  return found;
+}
 
-  let entries;
-  try {
-    entries = fs.readdirSync(dir, { withFileTypes: true });
-  } catch {
-    return null;
-  }
+// ---------------------------------------------------------------------------
+// Index
+// ---------------------------------------------------------------------------
+
+// The daemon keeps a map of every checkout's remotes so lookups don't walk the disk
+const DEFAULT_INDEX_INTERVAL_SECONDS = 300;
+const MAX_WATCHERS = 256;
+
+const repoIndex = {
+  byUrl: new Map(),   // normalized remote → [paths]
+  running: false,
+  builtAt: null,
+  building: null,
+  timer: null,
+  watchers: [],
+  debounce: null,
+};
 
-  for (const entry of entries) {
-    if (!entry.isDirectory()) continue;
-    if (SKIP_DIRS.has(entry.name)) continue;
-
-    const full = path.join(dir, entry.name);
-
-    // Check if this directory matches the repo name
-    if (entry.name.toLowerCase() === repoName) {
-      // Must have .git dir or file (worktree has a .git file)
-      const gitPath = path.join(full, '.git');
-      if (fs.existsSync(gitPath)) {
-        const remotes = getRepoRemotes(full);
-        const remoteNorms = remotes.map(normalizeRepoUrl);
-        if (remoteNorms.includes(normalizedUrl)) {
-          return full;
-        }
+/**
+ * Map every checkout under the search paths from its normalized remotes to its path.
+ * @returns {Promise<{ byUrl: Map<string, string[]>, containers: string[] }>}
+ */
+async function buildIndex(searchPaths, maxDepth) {
+  const byUrl = new Map();
+  const containers = [];
+
+  await walkCheckouts(searchPaths, maxDepth, {
+    onCheckout: async (dir) => {
+      for (const remote of getRepoRemotes(dir)) {
+        const norm = normalizeRepoUrl(remote);
+        const paths = byUrl.get(norm) || [];
+        if (!paths.includes(dir)) paths.push(dir);
+        byUrl.set(norm, paths);
       }
-    }
+      return false;
+    },
+    onContainer: (dir) => containers.push(dir),
+  });
+
+  return { byUrl, containers };
+}
+
+function watchContainers(containers) {
+  for (const watcher of repoIndex.watchers) watcher.close();
+  repoIndex.watchers = [];
+
+  // New clones show up as new entries in directories outside any checkout
+  for (const dir of containers.slice(0, MAX_WATCHERS)) {
+    try {
+      const watcher = fs.watch(dir, () => {
+        clearTimeout(repoIndex.debounce);
+        repoIndex.debounce = setTimeout(refreshIndex, 2000);
+        repoIndex.debounce.unref();
+      });
+      watcher.on('error', () => {});
+      watcher.unref();
+      repoIndex.watchers.push(watcher);
+    } catch {}
+  }
+}
+
+/**
+ * Rebuild the index in the background. Concurrent calls share one rebuild.
+ * @returns {Promise<void>}
+ */
+function refreshIndex() {
+  if (repoIndex.building) return repoIndex.building;
+
+  const config = loadConfig();
+  const searchPaths = config.GIT_SEARCH_PATHS || ['~/dd'];
+  const maxDepth = config.GIT_SEARCH_MAX_DEPTH || 4;
+  const started = Date.now();
+
+  repoIndex.building = buildIndex(searchPaths, maxDepth)
+    .then(({ byUrl, containers }) => {
+      repoIndex.byUrl = byUrl;
+      repoIndex.builtAt = new Date();
+      if (repoIndex.running) watchContainers(containers);
+      console.log(`[repo-resolver] Indexed ${byUrl.size} repos in ${searchPaths.join(', ')} (${Date.now() - started}ms)`);
+    })
+    .catch((err) => console.log(`[repo-resolver] Index failed: ${err.message}`))
+    .finally(() => { repoIndex.building = null; });
+
+  return repoIndex.building;
+}
+
+/**
+ * Build the index now and keep it fresh (GIT_INDEX_INTERVAL seconds, plus fs.watch).
+ * Used by the daemon; one-off CLI commands scan on demand instead.
+ */
+function startIndexer() {
+  if (repoIndex.running) return;
+  repoIndex.running = true;
+
+  const raw = loadConfig().GIT_INDEX_INTERVAL;
+  const seconds = raw === undefined ? DEFAULT_INDEX_INTERVAL_SECONDS : Number(raw);
+  if (seconds > 0) {
+    repoIndex.timer = setInterval(refreshIndex, seconds * 1000);
+    repoIndex.timer.unref();
+  }
+  refreshIndex();
+}
+
+function stopIndexer() {
+  clearInterval(repoIndex.timer);
+  clearTimeout(repoIndex.debounce);
+  for (const watcher of repoIndex.watchers) watcher.close();
+  Object.assign(repoIndex, { byUrl: new Map(), running: false, builtAt: null, timer: null, watchers: [], debounce: null });
+}
+
+/**
+ * Index size and age, for /dd/health.
+ */
+function getIndexStatus() {
+  return {
+    enabled: repoIndex.running,
+    repos: repoIndex.byUrl.size,
+    builtAt: repoIndex.builtAt ? repoIndex.builtAt.toISOString() : null,
+    building: !!repoIndex.building,
+  };
+}
+
+/**
+ * Look up a normalized URL in the index. Returns every path that still exists.
+ */
+function indexLookup(normalizedUrl) {
+  const paths = repoIndex.byUrl.get(normalizedUrl) || [];
+  return paths.filter(p => fs.existsSync(p));
+}
+
+// ---------------------------------------------------------------------------
+// Clone
+// ---------------------------------------------------------------------------
+
+// Clones in progress, so concurrent requests for one repo share a single clone
+const pendingClones = new Map();
 
-    // Recurse
-    const result = walkDir(full, repoName, normalizedUrl, depth + 1, maxDepth);
-    if (result) return result;
+/**
+ * URL to clone from: the original when it names a transport (ssh, https, file://),
+ * otherwise https on the normalized host/owner/repo.
+ */
+function cloneSourceUrl(repoUrl, normalizedUrl) {
+  const u = repoUrl.trim();
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(u) || /^\w[\w.-]*@[^:]+:/.test(u)) return u;
+  return `https://${normalizedUrl}.git`;
+}
+
+/**
+ * Clone a repo into <cloneRoot>/<owner>/<repo> using the user's git credentials.
+ *
+ * Resolves to the checkout path, or null if the clone failed. An existing
+ * checkout of the same repo at the destination is reused.
+ */
+function cloneRepo(repoUrl, cloneRoot) {
+  const normalized = normalizeRepoUrl(repoUrl);
+  if (!normalized) return Promise.resolve(null);
+
+  const segments = normalized.split('/').filter(Boolean);
+  if (segments.length < 2 || segments.includes('..')) return Promise.resolve(null);
+
+  const dest = path.join(cloneRoot.replace(/^~/, process.env.HOME), ...segments.slice(-2));
+
+  if (pendingClones.has(dest)) return pendingClones.get(dest);
+
+  if (fs.existsSync(dest)) {
+    if (getRepoRemotes(dest).map(normalizeRepoUrl).includes(normalized)) {
+      return cacheStore(normalized, dest).then(() => dest);
+    }
+    console.log(`[repo-resolver] Clone destination exists and is not ${normalized}: ${dest}`);
+    return Promise.resolve(null);
   }
 
-  return null;
+  const source = cloneSourceUrl(repoUrl, normalized);
+  console.log(`[repo-resolver] Cloning ${source} → ${dest}`);
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+
+  const clone = new Promise((resolve) => {
+    // Never wait on a credential prompt: the daemon has no terminal to answer it
+    const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+    execFile('git', ['clone', '--quiet', '--', source, dest], { timeout: 10 * 60 * 1000, env }, (err, stdout, stderr) => {
+      pendingClones.delete(dest);
+      if (err) {
+        console.log(`[repo-resolver] Clone failed: ${(stderr || err.message).trim()}`);
+        fs.rmSync(dest, { recursive: true, force: true });
+        resolve(null);
+        return;
+      }
+      cacheStore(normalized, dest).then(() => resolve(dest));
+    });
+  });
+
+  pendingClones.set(dest, clone);
+  return clone;
 }
 
 // ---------------------------------------------------------------------------
@@ -222,47 +811,146 @@ function loadConfig() {
 
 /**
  * Resolve a repo URL (e.g. "github.com/DataDog/web-ui") to a local path.
- * Returns the absolute path or null if not found.
+ * Resolves to the absolute path or null if not found.
  */
-function resolveRepo(repoUrl) {
+async function resolveRepo(repoUrl) {
+  return (await resolveRepoCandidates(repoUrl)).path;
+}
+
+/**
+ * Resolve a repo URL, keeping every matching checkout.
+ *
+ * A pinned location wins outright. Otherwise all matches are ranked (see
+ * candidates.js) and the best one is returned and cached.
+ *
+ * @returns {Promise<{ path: string|null, candidates: object[] }>}
+ *          candidates is only filled in when more than one checkout matched
+ */
+async function resolveRepoCandidates(repoUrl) {
+  const notFound = { path: null, candidates: [] };
   const normalized = normalizeRepoUrl(repoUrl);
   if (!normalized) {
     console.log('[repo-resolver] Invalid repo URL:', repoUrl);
-    return null;
+    return notFound;
   }
 
   console.log(`[repo-resolver] Resolving: ${normalized}`);
 
-  // 1. Cache lookup
-  const cached = cacheLookup(normalized);
-  if (cached) return cached;
+  // 1. Pinned location
+  const entry = loadCache()[normalized];
+  if (entry && entry.pinned) {
+    const pinned = cacheLookup(normalized);
+    if (pinned) return { path: pinned, candidates: [] };
+  }
+
+  let found;
+  if (repoIndex.running) {
+    // 2a. Index (daemon); requests during the first build wait for it
+    if (!repoIndex.builtAt) await repoIndex.building;
+    found = indexLookup(normalized);
+
+    // Cached locations the index hasn't seen yet (e.g. a fresh clone)
+    if (found.length === 0) {
+      const cached = cacheLookup(normalized);
+      if (cached) found = [cached];
+    }
+
+    // Cloned since the last build and missed by fs.watch: rebuild once before giving up
+    if (found.length === 0) {
+      console.log(`[repo-resolver] Not indexed, re-indexing: ${normalized}`);
+      await refreshIndex();
+      found = indexLookup(normalized);
+    }
+  } else {
+    // 2b. Cache, then filesystem scan (one-off commands)
+    const cached = cacheLookup(normalized);
+    if (cached) return { path: cached, candidates: [] };
+
+    const config = loadConfig();
+    const searchPaths = config.GIT_SEARCH_PATHS || ['~/dd'];
+    const maxDepth = config.GIT_SEARCH_MAX_DEPTH || 4;
+
+    console.log(`[repo-resolver] Scanning ${searchPaths.join(', ')} (depth ${maxDepth})`);
+    found = await scanForRepos(normalized, searchPaths, maxDepth);
+  }
+
+  if (found.length === 0) {
+    console.log(`[repo-resolver] Not found: ${normalized}`);
+    return notFound;
+  }
+
+  // 3. Several checkouts of the same repo: rank them
+  const candidates = found.length > 1 ? await rankCandidates(found) : [];
+  const best = candidates.length ? candidates[0].path : found[0];
+
+  console.log(`[repo-resolver] Found: ${best}${candidates.length ? ` (best of ${candidates.length})` : ''}`);
+  await cacheStore(normalized, best);
+  return { path: best, candidates };
+}
+
+/**
+ * Every checkout of a repo under GIT_SEARCH_PATHS, best first (full scan, no cache)
+ * @param {string} repoUrl
+ * @returns {Promise<object[]>} Descriptions from rankCandidates()
+ */
+async function findCheckouts(repoUrl) {
+  const normalized = normalizeRepoUrl(repoUrl);
+  if (!normalized) return [];
 
-  // 2. Filesystem scan
   const config = loadConfig();
-  const searchPaths = config.GIT_SEARCH_PATHS || ['~/dd'];
-  const maxDepth = config.GIT_SEARCH_MAX_DEPTH || 4;
+  const found = await scanForRepos(normalized, config.GIT_SEARCH_PATHS || ['~/dd'], config.GIT_SEARCH_MAX_DEPTH || 4);
+  return rankCandidates(found);
+}
 
-  console.log(`[repo-resolver] Scanning ${searchPaths.join(', ')} (depth ${maxDepth})`);
-  const found = scanForRepo(normalized, searchPaths, maxDepth);
+/**
+ * Like resolveRepo(), but clones the repo when it isn't found locally and
+ * CLAUDE_FIX_AUTO_CLONE is on.
+ *
+ * @returns {Promise<{ path: string|null, status: 'resolved'|'cloned'|'not_found', candidates: object[] }>}
+ */
+async function resolveOrCloneRepo(repoUrl) {
+  const { path: found, candidates } = await resolveRepoCandidates(repoUrl);
+  if (found) return { path: found, status: 'resolved', candidates };
 
-  if (found) {
-    console.log(`[repo-resolver] Found: ${found}`);
-    cacheStore(normalized, found);
-    return found;
+  const config = loadConfig();
+  if (config.CLAUDE_FIX_AUTO_CLONE !== true || !normalizeRepoUrl(repoUrl)) {
+    return { path: null, status: 'not_found', candidates: [] };
   }
 
-  console.log(`[repo-resolver] Not found: ${normalized}`);
-  return null;
+  const cloneRoot = config.CLAUDE_FIX_CLONE_ROOT || (config.GIT_SEARCH_PATHS || ['~/dd'])[0];
+  const cloned = await cloneRepo(repoUrl, cloneRoot);
+  return cloned
+    ? { path: cloned, status: 'cloned', candidates: [] }
+    : { path: null, status: 'not_found', candidates: [] };
 }
 
 module.exports = {
   resolveRepo,
+  resolveRepoCandidates,
+  findCheckouts,
+  parseSshConfigAliases,
+  resolveOrCloneRepo,
+  cloneRepo,
   normalizeRepoUrl,
   extractRepoName,
   getRepoRemotes,
+  getCurrentBranch,
+  getRepoRoot,
   scanForRepo,
+  scanForRepos,
+  buildIndex,
+  startIndexer,
+  stopIndexer,
+  refreshIndex,
+  getIndexStatus,
   cacheLookup,
   cacheStore,
+  flushCacheWrites,
+  evictEntries,
+  listCache,
+  pinRepo,
+  forgetRepo,
+  clearCache,
   // Exposed for tests to override
   CACHE_FILE,
 };
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Runs an agent from a launch spec, inside the terminal the daemon opened:
+ *
+ *   node src/runner.js <spec file>
+ *
+ * The spec is deleted as soon as it is read (see launch-spec.js). A prompt the
+ * agent reads from a file is deleted when the agent exits; an agent that takes
+ * no prompt (aider) starts under it, printed for the user to paste in.
+ */
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { consumeLaunchSpec, writePromptFile } = require('./launch-spec');
+const { fillPrompt, usesPromptFile, takesPrompt } = require('./agents');
+
+/**
+ * Run a spec's agent in the foreground
+ * @param {string} file - Spec file
+ * @returns {Promise<number>} Exit code for the runner
+ */
+function run(file) {
+  let spec;
+  try {
+    spec = consumeLaunchSpec(file);
+  } catch (err) {
+    console.error(`claude-fix: ${err.message}`);
+    return Promise.resolve(1);
+  }
+
+  const cwd = spec.cwd || process.env.HOME;
+  const promptFile = usesPromptFile(spec.args) ? writePromptFile(spec.prompt) : null;
+  if (!takesPrompt(spec.args)) {
+    process.stdout.write(`${spec.prompt.trimEnd()}\n\n--- claude-fix: paste the prompt above into ${spec.bin} ---\n\n`);
+  }
+
+  // Ctrl-C belongs to the agent (same process group), not to the runner
+  const ignore = () => {};
+  process.on('SIGINT', ignore);
+
+  const agentExit = new Promise((resolve) => {
+    setTimeout(() => {
+      const child = spawn(spec.bin, fillPrompt(spec.args, spec.prompt, promptFile), { cwd, stdio: 'inherit' });
+      child.on('error', (err) => {
+        console.error(`claude-fix: failed to start ${spec.bin}: ${err.message}`);
+        resolve(127);
+      });
+      child.on('exit', (code, signal) => resolve(code ?? (signal ? 1 : 0)));
+    }, spec.delayMs || 0);
+  });
+
+  return agentExit.then((code) => {
+    if (promptFile) {
+      try { fs.unlinkSync(promptFile); } catch {}
+    }
+    if (!spec.shell) {
+      process.off('SIGINT', ignore);
+      return code;
+    }
+
+    // Keep the window open where the session ran, like `...; exec bash`
+    return new Promise((resolve) => {
+      const shell = spawn(process.env.SHELL || 'bash', [], { cwd, stdio: 'inherit' });
+      shell.on('error', () => resolve(code));
+      shell.on('exit', () => resolve(code));
+    });
+  });
+}
+
+if (require.main === module) {
+  run(process.argv[2]).then(code => process.exit(code));
+}
+
+module.exports = { run };
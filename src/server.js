@@ -3,11 +3,28 @@
  */
 
 const http = require('http');
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const { spawnTerminal, getTerminalName, isTerminalAvailable } = require('./terminal');
-const { resolveRepo } = require('./repo-resolver');
+const {
+  resolveOrCloneRepo, normalizeRepoUrl, getCurrentBranch, pinRepo, startIndexer, getIndexStatus
+} = require('./repo-resolver');
+const { isWorktreeEnabled, createWorktree } = require('./worktrees');
+const {
+  isHeadless, startJob, readJob, createSpawnJob, updateSpawnJob, isFinished, watchJob
+} = require('./jobs');
+const { resolveAgentOptions, describeAgentOptions } = require('./agent-options');
+const { getAgent, listAgents, resolveContextFiles, unenforcedOptions } = require('./agents');
+const { getGitContext, resolveCommit, findReferencedFiles } = require('./git-context');
+const { resolveScope } = require('./monorepo');
+const { wrapPrompt } = require('./prompt-builder');
+const { getProvider, listProviders } = require('./providers');
+const { TOKEN_HEADER, getToken, signUrl, verifyRequest, getAllowedOrigins } = require('./auth');
+const {
+  PENDING_TTL_MS, createPending, getPending, takePending, renderConfirmPage, renderResultPage
+} = require('./confirm');
+const { recordSpawn, readHistory } = require('./history');
+const { dedupKey, findRecent, remember, forget } = require('./dedup');
 
 const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
 
@@ -20,142 +37,574 @@ function loadConfig() {
   return {};
 }
 
-// Load DD keys: env vars first, then config file
 const config = loadConfig();
-const DD_API_KEY = process.env.DD_API_KEY || config.DD_API_KEY || '';
-const DD_APP_KEY = process.env.DD_APP_KEY || config.DD_APP_KEY || '';
-const DD_BASE_URL = 'https://app.datadoghq.com';
+
+// Serve a confirmation page instead of spawning straight away
+const CONFIRM_SPAWNS = process.env.CLAUDE_FIX_CONFIRM === 'true' || config.CLAUDE_FIX_CONFIRM === true;
+
+// How long the signed job links in responses stay valid
+const JOB_LINK_TTL_SECONDS = 24 * 60 * 60;
+
+// Comment lines that keep an idle event stream open
+const HEARTBEAT_MS = 15 * 1000;
 
 const DEFAULT_PORT = 8991;
 
+// Browser origins allowed to call the API (set in createServer once the port is known)
+let allowedOrigins = [];
+
 /**
- * Fetch prompt from Datadog recommendations API
- * @param {string} encodedData - The base64url encoded JSON data (e.g., {"id": "recommendation-id"})
- * @returns {Promise<string>} The prompt text
+ * Send JSON response (CORS headers, if any, are set by requestHandler)
  */
-function fetchDatadogPrompt(encodedData) {
-  return new Promise((resolve, reject) => {
-    if (!DD_API_KEY || !DD_APP_KEY) {
-      reject(new Error('DD_API_KEY and DD_APP_KEY required (set in env or ~/.claude-fix/config.json)'));
-      return;
-    }
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json'
+  });
+  res.end(JSON.stringify(data));
+}
 
-    // JSON:API formatted request body
-    const requestBody = JSON.stringify({
-      data: {
-        type: 'prompt_request',
-        id: 'prompt_request',
-        attributes: {
-          data: encodedData
-        }
-      }
-    });
+/**
+ * Send HTML response (never framed, no scripts)
+ */
+function sendHtml(res, statusCode, html) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'X-Frame-Options': 'DENY',
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'"
+  });
+  res.end(html);
+}
 
-    const url = new URL(`${DD_BASE_URL}/api/unstable/recommendations/prompt`);
-
-    const req = https.request({
-      hostname: url.hostname,
-      path: url.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/vnd.api+json',
-        'Accept': 'application/vnd.api+json',
-        'DD-API-KEY': DD_API_KEY,
-        'DD-APPLICATION-KEY': DD_APP_KEY,
-        'Content-Length': Buffer.byteLength(requestBody)
+/**
+ * Read a small urlencoded request body
+ * @returns {Promise<URLSearchParams>}
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 64 * 1024) {
+        reject(new Error('Request body too large'));
+        req.destroy();
       }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`Datadog API returned ${res.statusCode}: ${data}`));
-          return;
-        }
-        // Parse JSON:API response
-        try {
-          const parsed = JSON.parse(data);
-          // Extract prompt from JSON:API response
-          const prompt = parsed.data?.attributes?.prompt || parsed.prompt || data;
-          resolve(prompt);
-        } catch {
-          // If not JSON, return as-is
-          resolve(data);
-        }
-      });
     });
-
+    req.on('end', () => resolve(new URLSearchParams(body)));
     req.on('error', reject);
-    req.write(requestBody);
-    req.end();
   });
 }
 
 /**
- * Send JSON response
+ * Set CORS headers for an allowed origin
+ * @returns {boolean} false if the request comes from a browser origin that is not allowed
  */
-function sendJson(res, statusCode, data) {
-  res.writeHead(statusCode, {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
-  });
-  res.end(JSON.stringify(data));
+function applyCors(req, res) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    // Not a cross-origin browser request (curl, CLI, top-level navigation)
+    return true;
+  }
+  if (!allowedOrigins.includes(origin)) {
+    return false;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', `Content-Type, ${TOKEN_HEADER}`);
+  res.setHeader('Vary', 'Origin');
+  return true;
 }
 
 /**
- * Handle /dd/claude-fix endpoint
+ * Handle /<provider>/claude-fix endpoint
  */
-async function handleFix(req, res, url) {
+async function handleFix(req, res, url, provider) {
+  // Set once this request holds the dedup key, so every way out can release it
+  let claimed = null;
   try {
-    const data = url.searchParams.get('data');
-    if (!data) {
-      sendJson(res, 400, { error: 'Missing data query parameter' });
-      return;
+    for (const param of provider.requiredParams || []) {
+      if (!url.searchParams.get(param)) {
+        sendJson(res, 400, { error: `Missing ${param} query parameter` });
+        return;
+      }
     }
 
     const repoUrl = url.searchParams.get('repo');
-    const cwd = repoUrl ? resolveRepo(repoUrl) : null;
 
-    const datadogPrompt = await fetchDatadogPrompt(data);
+    // Agent CLI to run: agent=<name>, else AGENT from the config
+    const agent = resolveAgentOptions({
+      provider: provider.name,
+      repo: normalizeRepoUrl(repoUrl),
+      agent: url.searchParams.get('agent')
+    });
+    if (!getAgent(agent.agent)) {
+      sendJson(res, 400, { error: `Unknown agent: ${agent.agent}. Supported: ${listAgents().map(a => a.name).join(', ')}` });
+      return;
+    }
+    const unenforced = unenforcedOptions(agent);
+    if (unenforced.length) {
+      sendJson(res, 400, { error: `Agent ${agent.agent} can't apply ${unenforced.join(', ')} set for this request; use an agent that can` });
+      return;
+    }
 
-    // Wrap in meta-prompt to wait for user approval
-    const prompt = `I received the following recommendation from Datadog APM:
+    const recommendationId = provider.getItemId ? provider.getItemId(url.searchParams) : null;
 
----
-${datadogPrompt}
----
+    // Same recommendation + repo opened recently? Report it instead of spawning again
+    const key = dedupKey(provider.name, recommendationId, repoUrl, url.searchParams);
+    const existing = url.searchParams.get('force') === '1' ? null : findRecent(key);
+    if (existing) {
+      sendJson(res, 200, { status: 'already_open', ...existing });
+      return;
+    }
+
+    // Claim the key before the slow work below, so a second click in the meantime sees it
+    remember(key, { recommendationId, repo: repoUrl || null, pending: true });
+    claimed = key;
 
-IMPORTANT: Do NOT take any action yet. Do NOT use any tools. Do NOT analyze or investigate anything. Simply acknowledge that you received this recommendation and ask me if I want to proceed. Wait for my explicit approval before doing anything.`;
+    const { path: repoPath, status: repoStatus, candidates } = repoUrl
+      ? await resolveOrCloneRepo(repoUrl)
+      : { path: null, status: null, candidates: [] };
 
-    sendJson(res, 200, {
-      status: 'spawning',
-      terminal: getTerminalName(),
+    // Deployed code (commit SHA or version tag), compared with HEAD below
+    const deployedRef = url.searchParams.get('commit') || url.searchParams.get('version');
+
+    // Keep Claude out of the main checkout: work in a worktree on claude-fix/<id>
+    let cwd = repoPath;
+    let worktree = null;
+    if (repoPath && isWorktreeEnabled(url.searchParams)) {
+      try {
+        let base;
+        if (url.searchParams.get('worktree') === 'deployed' && deployedRef) {
+          base = await resolveCommit(repoPath, deployedRef);
+          if (!base) throw new Error(`deployed version ${deployedRef} not found in ${repoPath} (try git fetch)`);
+        }
+        worktree = await createWorktree(repoPath, recommendationId, key, { base });
+        cwd = worktree.path;
+      } catch (err) {
+        forget(key);
+        sendJson(res, 500, { error: `Failed to create worktree: ${err.message}`, repoPath });
+        return;
+      }
+    }
+
+    // Monorepos: start in the package the recommendation is about
+    const scope = repoPath ? await resolveScope(repoPath, {
+      path: url.searchParams.get('path'),
+      service: url.searchParams.get('service'),
+      file: url.searchParams.get('file')
+    }) : null;
+    // (a worktree started from the default branch may not have the directory yet)
+    if (scope && fs.existsSync(path.join(cwd, scope.path))) {
+      cwd = path.join(cwd, scope.path);
+    }
+
+    const raw = await provider.fetch(url.searchParams);
+    const providerPrompt = provider.transform ? provider.transform(raw, url.searchParams) : String(raw);
+
+    const headless = isHeadless(url.searchParams);
+
+    const promptContext = {
+      headless,
+      source: provider.label || provider.name,
+      provider: provider.name,
+      repo: normalizeRepoUrl(repoUrl),
+      scope: scope ? scope.path : null,
+      service: scope ? scope.service : url.searchParams.get('service'),
+      file: url.searchParams.get('file') || (scope ? scope.file : null),
+      line: url.searchParams.get('line'),
+      message: url.searchParams.get('message')
+    };
+
+    // Branch, staleness and referenced files of the checkout, for the prompt
+    const referencedFiles = [promptContext.file, ...findReferencedFiles(providerPrompt)];
+    const checkout = worktree ? worktree.path : repoPath;
+    const git = checkout ? await getGitContext(checkout, { files: referencedFiles, cwd, deployed: deployedRef }) : null;
+
+    // Wrap in meta-prompt to wait for user approval
+    const prompt = wrapPrompt(providerPrompt, {
+      ...promptContext,
+      path: cwd,
+      branch: cwd ? getCurrentBranch(cwd) : null,
+      git
+    });
+
+    const session = {
+      provider: provider.name,
+      label: provider.label,
+      recommendationId,
+      dedupKey: key,
+      repoUrl,
+      repoPath,
+      worktree,
+      // Other checkouts of the repo the confirmation page can switch to (not with worktrees)
+      candidates: worktree ? [] : candidates,
+      scopePath: scope ? scope.path : null,
+      providerPrompt,
+      promptContext,
+      referencedFiles,
+      deployedRef,
+      deployed: git ? git.deployed : null,
+      cwd,
+      prompt,
+      contextFiles: resolveContextFiles(referencedFiles, [checkout, cwd]),
+      headless,
+      agent,
+      terminal: headless ? 'headless' : getTerminalName()
+    };
+
+    const summary = {
+      terminal: session.terminal,
+      agent: agent.agent,
       repo: repoUrl || null,
       repoPath: cwd || null,
+      repoStatus,
+      ...(worktree ? { worktree: { path: worktree.path, branch: worktree.branch } } : {}),
+      ...(scope ? { scope: { path: scope.path, service: scope.service, source: scope.source } } : {}),
+      ...(candidates.length ? { candidates } : {}),
+      ...(session.deployed ? { deployed: session.deployed } : {}),
       prompt: prompt.substring(0, 200) + (prompt.length > 200 ? '...' : '')
-    });
+    };
+
+    if (CONFIRM_SPAWNS || url.searchParams.get('confirm') === '1') {
+      const job = createSpawnJob(jobMeta(session), { status: 'awaiting_confirmation', expiresInMs: PENDING_TTL_MS });
+      const entry = createPending({ ...session, jobId: job.id });
+      // Nothing opens until the page is confirmed; the submit checks for duplicates again
+      forget(key);
+
+      if ((req.headers.accept || '').includes('text/html')) {
+        sendHtml(res, 200, renderConfirmPage(entry));
+      } else {
+        sendJson(res, 200, {
+          status: 'awaiting_confirmation',
+          confirmUrl: `http://${req.headers.host}/dd/confirm/${entry.id}`,
+          ...jobLinks(req, job.id),
+          ...summary
+        });
+      }
+      return;
+    }
+
+    if (session.headless) {
+      const job = launchJob(session);
+      sendJson(res, 200, { status: 'started', ...jobLinks(req, job.id), ...summary });
+      return;
+    }
+
+    const job = createSpawnJob(jobMeta(session));
+    sendJson(res, 200, { status: 'spawning', ...jobLinks(req, job.id), ...summary });
+    launchSession({ ...session, jobId: job.id });
+  } catch (err) {
+    if (claimed) forget(claimed);
+    sendJson(res, 500, { error: err.message });
+  }
+}
+
+/**
+ * Point a pending session at another checkout (chosen on the confirmation page)
+ * @param {object} session
+ * @param {string} checkout - Checkout root the session should start in (or below, for a scope)
+ * @param {object} changes - Session fields that change with it ({ repoPath } or { worktree })
+ */
+async function retargetSession(session, checkout, changes) {
+  let cwd = checkout;
+  if (session.scopePath && fs.existsSync(path.join(checkout, session.scopePath))) {
+    cwd = path.join(checkout, session.scopePath);
+  }
+
+  const git = await getGitContext(checkout, { files: session.referencedFiles, cwd, deployed: session.deployedRef });
+  const prompt = wrapPrompt(session.providerPrompt, {
+    ...session.promptContext,
+    path: cwd,
+    branch: getCurrentBranch(cwd),
+    git
+  });
+  const contextFiles = resolveContextFiles(session.referencedFiles, [checkout, cwd]);
+  return { ...session, ...changes, deployed: git ? git.deployed : null, cwd, prompt, contextFiles };
+}
+
+/**
+ * History record for a session
+ */
+function historyRecord(session, outcome, error) {
+  return {
+    source: session.provider,
+    recommendationId: session.recommendationId,
+    repo: session.repoUrl,
+    repoPath: session.cwd,
+    terminal: session.terminal,
+    agent: session.agent.agent,
+    jobId: session.jobId,
+    prompt: session.prompt,
+    outcome,
+    error
+  };
+}
+
+/**
+ * What a terminal job records about its session
+ */
+function jobMeta(session) {
+  return {
+    source: session.provider,
+    recommendationId: session.recommendationId,
+    repo: session.repoUrl || null,
+    cwd: session.cwd || null,
+    terminal: session.terminal,
+    agent: session.agent.agent
+  };
+}
+
+/**
+ * Where a caller can follow a job: its record, and a stream of server-sent events.
+ * Both are signed, since EventSource can't send the token header.
+ */
+function jobLinks(req, id) {
+  const base = `http://${req.headers.host}/dd/jobs/${id}`;
+  return {
+    jobId: id,
+    jobUrl: signUrl(base, getToken(), { ttl: JOB_LINK_TTL_SECONDS }),
+    eventsUrl: signUrl(`${base}/events`, getToken(), { ttl: JOB_LINK_TTL_SECONDS })
+  };
+}
 
-    // Brief delay so the HTTP response reaches the UI before Terminal steals focus
-    setTimeout(() => {
-      spawnTerminal(prompt, cwd).catch(err => {
+/**
+ * Run a session as a headless job and record it in history
+ * @returns {{ id: string }} The started job (taking over session.jobId, if it has one)
+ */
+function launchJob(session) {
+  const job = startJob({
+    id: session.jobId,
+    prompt: session.prompt,
+    cwd: session.cwd,
+    agent: session.agent,
+    files: session.contextFiles,
+    meta: { source: session.provider, recommendationId: session.recommendationId, repo: session.repoUrl || null }
+  });
+
+  remember(session.dedupKey, {
+    recommendationId: session.recommendationId,
+    terminal: session.terminal,
+    jobId: job.id,
+    repo: session.repoUrl || null,
+    repoPath: session.cwd || null
+  });
+  recordSpawn(historyRecord({ ...session, jobId: job.id }, 'spawned'));
+
+  job.finished.then((result) => {
+    // Let a retry through
+    if (result.status !== 'succeeded') forget(session.dedupKey);
+  });
+  return job;
+}
+
+/**
+ * Spawn the terminal for a session, tracking it as session.jobId, and record the outcome in history
+ */
+function launchSession(session) {
+  remember(session.dedupKey, {
+    recommendationId: session.recommendationId,
+    terminal: session.terminal,
+    jobId: session.jobId,
+    repo: session.repoUrl || null,
+    repoPath: session.cwd || null
+  });
+
+  // Brief delay so the HTTP response reaches the UI before Terminal steals focus
+  setTimeout(() => {
+    updateSpawnJob(session.jobId, { status: 'spawning' });
+    spawnTerminal(session.prompt, session.cwd, session.agent, session.contextFiles)
+      .then(() => {
+        updateSpawnJob(session.jobId, { status: 'spawned' });
+        recordSpawn(historyRecord(session, 'spawned'));
+      })
+      .catch(err => {
         console.error('Failed to spawn terminal:', err.message);
+        updateSpawnJob(session.jobId, { status: 'failed', error: err.message });
+        // Let a retry through
+        forget(session.dedupKey);
+        recordSpawn(historyRecord(session, 'failed', err.message));
       });
-    }, 500);
+  }, 500);
+}
+
+/**
+ * Handle GET /dd/confirm/:id - show the confirmation page
+ */
+function handleConfirmPage(req, res, id) {
+  const entry = getPending(id);
+  if (!entry) {
+    sendHtml(res, 404, renderResultPage('Link expired', 'This confirmation link has expired or was already used.'));
+    return;
+  }
+  sendHtml(res, 200, renderConfirmPage(entry));
+}
+
+/**
+ * Handle POST /dd/confirm/:id - spawn (or discard) after the user clicked a button
+ */
+async function handleConfirmSubmit(req, res, id) {
+  // Only our own page may submit the form
+  const origin = req.headers.origin;
+  if (origin && origin !== `http://${req.headers.host}`) {
+    sendHtml(res, 403, renderResultPage('Forbidden', 'Confirmation must come from the claude-fix page.'));
+    return;
+  }
+
+  let form;
+  try {
+    form = await readForm(req);
   } catch (err) {
-    sendJson(res, 500, { error: err.message });
+    sendHtml(res, 400, renderResultPage('Bad request', err.message));
+    return;
+  }
+
+  let entry = takePending(id, form.get('nonce'));
+  if (!entry) {
+    sendHtml(res, 404, renderResultPage('Link expired', 'This confirmation link has expired or was already used.'));
+    return;
+  }
+
+  if (form.get('action') !== 'open') {
+    updateSpawnJob(entry.jobId, { status: 'cancelled' });
+    recordSpawn(historyRecord(entry, 'cancelled'));
+    sendHtml(res, 200, renderResultPage('Cancelled', 'Nothing was opened. You can close this tab.'));
+    return;
+  }
+
+  // Only checkouts offered on the page can be picked
+  const chosen = form.get('repoPath');
+  if (chosen && chosen !== entry.repoPath && entry.candidates.some(c => c.path === chosen)) {
+    entry = await retargetSession(entry, chosen, { repoPath: chosen });
+  }
+  // A pin that fails (e.g. the cache is locked) shouldn't cost the session: say so on the page
+  let note = '';
+  if (form.get('pin') === '1' && entry.repoUrl && entry.repoPath) {
+    try {
+      await pinRepo(entry.repoUrl, entry.repoPath);
+    } catch (err) {
+      note = ` The checkout was not pinned: ${err.message}`;
+    }
+  }
+
+  // Read the code as deployed: a worktree at that commit
+  if (form.get('deployed') === '1' && entry.deployed && entry.deployed.sha && !entry.worktree) {
+    try {
+      const worktree = await createWorktree(entry.repoPath, entry.recommendationId, entry.dedupKey, { base: entry.deployed.sha });
+      entry = await retargetSession(entry, worktree.path, { worktree });
+    } catch (err) {
+      updateSpawnJob(entry.jobId, { status: 'failed', error: `Failed to create worktree: ${err.message}` });
+      recordSpawn(historyRecord(entry, 'failed', err.message));
+      sendHtml(res, 500, renderResultPage('Failed to create worktree', err.message));
+      return;
+    }
+  }
+
+  const existing = findRecent(entry.dedupKey);
+  if (existing) {
+    updateSpawnJob(entry.jobId, { status: 'cancelled', error: `Already open in ${existing.terminal}` });
+    sendHtml(res, 200, renderResultPage('Already open', `This recommendation was opened in ${existing.terminal} at ${existing.openedAt}.${note}`));
+    return;
   }
+
+  if (entry.headless) {
+    let job;
+    try {
+      job = launchJob(entry);
+    } catch (err) {
+      updateSpawnJob(entry.jobId, { status: 'failed', error: err.message });
+      recordSpawn(historyRecord(entry, 'failed', err.message));
+      sendHtml(res, 500, renderResultPage('Failed to start headless job', err.message));
+      return;
+    }
+    sendHtml(res, 200, renderResultPage('Started headless job', `Job ${job.id} is running.${note} See the result with: claude-fix jobs show ${job.id}`));
+    return;
+  }
+
+  // The confirmation page may have moved the session to another checkout
+  updateSpawnJob(entry.jobId, { status: 'queued', cwd: entry.cwd || null });
+  sendHtml(res, 200, renderResultPage('Opening Claude', `Spawning ${entry.terminal}. You can close this tab.${note}`));
+  launchSession(entry);
+}
+
+/**
+ * Handle /dd/history endpoint
+ */
+function handleHistory(req, res, url) {
+  const filters = {};
+  for (const key of ['source', 'repo', 'recommendationId', 'outcome', 'since']) {
+    if (url.searchParams.get(key)) filters[key] = url.searchParams.get(key);
+  }
+  filters.limit = url.searchParams.get('limit') || 100;
+
+  sendJson(res, 200, { history: readHistory(filters) });
+}
+
+/**
+ * Handle /dd/jobs/:id endpoint
+ */
+function handleJob(req, res, id) {
+  const job = readJob(id);
+  if (!job) {
+    sendJson(res, 404, { error: `No such job: ${id}` });
+    return;
+  }
+  sendJson(res, 200, job);
+}
+
+/**
+ * Handle /dd/jobs/:id/events endpoint - server-sent events carrying the job record
+ * after every change, ending once the job has finished
+ */
+function handleJobEvents(req, res, id) {
+  const job = readJob(id);
+  if (!job) {
+    sendJson(res, 404, { error: `No such job: ${id}` });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  let unwatch = () => {};
+  let heartbeat = null;
+  const send = ({ stdout, stderr, ...record }) => {
+    if (res.writableEnded) return;
+    // Output is left to GET /dd/jobs/:id
+    res.write(`event: job\ndata: ${JSON.stringify(record)}\n\n`);
+    if (isFinished(record)) res.end();
+  };
+  res.on('close', () => {
+    unwatch();
+    clearInterval(heartbeat);
+  });
+
+  send(job);
+  if (isFinished(job)) return;
+  unwatch = watchJob(id, send);
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
 }
 
 /**
  * Handle /health endpoint
  */
 function handleHealth(req, res) {
+  const providers = {};
+  for (const provider of listProviders()) {
+    const configured = provider.isConfigured ? provider.isConfigured() : true;
+    providers[provider.name] = configured ? 'configured' : 'not configured';
+  }
+
   sendJson(res, 200, {
     status: 'ok',
     terminal: isTerminalAvailable() ? getTerminalName() : 'unavailable',
-    datadog: DD_API_KEY && DD_APP_KEY ? 'configured' : 'not configured',
+    datadog: providers.datadog,
+    providers,
+    repoIndex: getIndexStatus(),
+    agent: describeAgentOptions(),
+    agents: listAgents().map(a => a.name),
     platform: process.platform,
     pid: process.pid,
     uptime: process.uptime()
@@ -168,20 +617,47 @@ function handleHealth(req, res) {
 async function requestHandler(req, res) {
   const url = new URL(req.url, `http://${req.headers.host}`);
 
+  if (!applyCors(req, res)) {
+    sendJson(res, 403, { error: `Origin not allowed: ${req.headers.origin}` });
+    return;
+  }
+
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
-    });
+    res.writeHead(204);
     res.end();
     return;
   }
 
   // Route requests
-  if (url.pathname === '/dd/claude-fix' && req.method === 'GET') {
-    await handleFix(req, res, url);
+  const fixMatch = url.pathname.match(/^\/([\w-]+)\/claude-fix$/);
+  const provider = fixMatch && getProvider(fixMatch[1]);
+  const confirmMatch = url.pathname.match(/^\/dd\/confirm\/([0-9a-f]+)$/);
+  const jobMatch = req.method === 'GET' && url.pathname.match(/^\/dd\/jobs\/([\w-]+)$/);
+  const jobEventsMatch = req.method === 'GET' && url.pathname.match(/^\/dd\/jobs\/([\w-]+)\/events$/);
+
+  // Spawn routes, history and job results require the shared secret
+  const isHistory = url.pathname === '/dd/history' && req.method === 'GET';
+  if ((provider && req.method === 'GET') || isHistory || jobMatch || jobEventsMatch) {
+    const auth = verifyRequest(req, url, getToken());
+    if (!auth.ok) {
+      sendJson(res, auth.status, { error: auth.error });
+      return;
+    }
+  }
+
+  if (provider && req.method === 'GET') {
+    await handleFix(req, res, url, provider);
+  } else if (isHistory) {
+    handleHistory(req, res, url);
+  } else if (jobMatch) {
+    handleJob(req, res, jobMatch[1]);
+  } else if (jobEventsMatch) {
+    handleJobEvents(req, res, jobEventsMatch[1]);
+  } else if (confirmMatch && req.method === 'GET') {
+    handleConfirmPage(req, res, confirmMatch[1]);
+  } else if (confirmMatch && req.method === 'POST') {
+    await handleConfirmSubmit(req, res, confirmMatch[1]);
   } else if (url.pathname === '/dd/health' && req.method === 'GET') {
     handleHealth(req, res);
   } else {
@@ -193,7 +669,21 @@ async function requestHandler(req, res) {
  * Create and start the server
  */
 function createServer(port = DEFAULT_PORT) {
-  const server = http.createServer(requestHandler);
+  const providerOrigins = listProviders().flatMap(p => p.allowedOrigins || []);
+  allowedOrigins = getAllowedOrigins([
+    ...providerOrigins,
+    `http://127.0.0.1:${port}`,
+    `http://localhost:${port}`
+  ]);
+
+  // A handler that throws must cost one request, not the daemon
+  const server = http.createServer((req, res) => {
+    requestHandler(req, res).catch((err) => {
+      console.error(`Request failed: ${err.stack || err.message}`);
+      if (res.headersSent) res.end();
+      else sendJson(res, 500, { error: err.message });
+    });
+  });
 
   server.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
@@ -206,8 +696,22 @@ function createServer(port = DEFAULT_PORT) {
   server.listen(port, '127.0.0.1', () => {
     console.log(`claude-fix daemon listening on http://127.0.0.1:${port}`);
     console.log('Endpoints:');
-    console.log(`  GET /dd/claude-fix?data=  - Spawn Claude Code with Datadog context`);
+    for (const provider of listProviders()) {
+      const endpoint = `  GET /${provider.route}/claude-fix`.padEnd(28);
+      console.log(`${endpoint}- Spawn Claude Code with ${provider.label || provider.name} context`);
+    }
+    console.log(`  GET /dd/confirm/:id       - Confirmation page (when CLAUDE_FIX_CONFIRM is on)`);
+    console.log(`  GET /dd/history           - Past spawns (?source=&repo=&since=&limit=)`);
+    console.log(`  GET /dd/jobs/:id          - Status of a request (and output of a headless job)`);
+    console.log(`  GET /dd/jobs/:id/events   - Server-sent events as the job changes`);
     console.log(`  GET /dd/health            - Check daemon status`);
+    console.log(`Allowed origins: ${allowedOrigins.join(', ')}`);
+    if (!getToken()) {
+      console.log('Warning: no CLAUDE_FIX_TOKEN configured, spawn routes will reject every request');
+    }
+
+    // Index checkouts in the background; the server answers requests meanwhile
+    startIndexer();
   });
 
   return server;
@@ -0,0 +1,210 @@
+/**
+ * Service manager backends for running the daemon on login.
+ *
+ * launchd on macOS, systemd --user on Linux. Each backend renders its unit file
+ * from a template in the repo, installs it, and routes start/stop/status through
+ * the platform's own tooling.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const LABEL = 'com.jp.claude-fix';
+const PLIST_DEST = path.join(process.env.HOME, 'Library', 'LaunchAgents', `${LABEL}.plist`);
+const UNIT_DEST = path.join(
+  process.env.XDG_CONFIG_HOME || path.join(process.env.HOME, '.config'),
+  'systemd', 'user', 'claude-fix.service'
+);
+
+/**
+ * A path for display, with the home directory shortened to ~
+ * @param {string} file
+ * @returns {string}
+ */
+function displayPath(file) {
+  const home = process.env.HOME;
+  return file.startsWith(home + path.sep) ? `~${file.slice(home.length)}` : file;
+}
+
+/**
+ * Fill ${NODE_PATH}, ${SCRIPT_PATH} and ${PATH} placeholders in a unit template
+ * @param {string} template - Template contents
+ * @param {object} vars - { NODE_PATH, SCRIPT_PATH, PATH }
+ * @param {function} [escape] - (name, value) => value as written into the template
+ * @returns {string}
+ */
+function renderTemplate(template, vars, escape = (name, value) => value) {
+  return template.replace(/\$\{(\w+)\}/g, (match, name) => (name in vars ? escape(name, vars[name]) : match));
+}
+
+/**
+ * Escape a value for a plist <string>
+ */
+function escapePlist(name, value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for a double-quoted word in a systemd unit. % starts a
+ * specifier everywhere; $ is only expanded in ExecStart=, not Environment=.
+ */
+function escapeSystemd(name, value) {
+  const escaped = value.replace(/[\\"]/g, '\\$&').replace(/%/g, '%%');
+  return name === 'PATH' ? escaped : escaped.replace(/\$/g, '$$$$');
+}
+
+function run(command, stdio = 'pipe') {
+  return execSync(command, { stdio }).toString();
+}
+
+/**
+ * macOS LaunchAgent
+ */
+const launchd = {
+  name: 'launchd',
+  tool: 'launchctl',
+  templatePath: path.join(ROOT_DIR, 'launchd', `${LABEL}.plist`),
+  unitPath: PLIST_DEST,
+  unitDisplayPath: displayPath(PLIST_DEST),
+  unitKind: 'Plist',
+  escape: escapePlist,
+  loadHint: `launchctl bootstrap gui/$(id -u) ${PLIST_DEST}`,
+
+  /**
+   * Load the agent so it starts now and on every login
+   */
+  load() {
+    // Unload first in case already loaded
+    try {
+      run(`launchctl bootout gui/$(id -u) ${PLIST_DEST}`);
+    } catch {}
+    run(`launchctl bootstrap gui/$(id -u) ${PLIST_DEST}`, 'inherit');
+  },
+
+  unload() {
+    try {
+      run(`launchctl bootout gui/$(id -u) ${PLIST_DEST}`);
+    } catch {}
+  },
+
+  start() {
+    run(`launchctl start ${LABEL}`);
+  },
+
+  stop() {
+    run(`launchctl stop ${LABEL}`);
+  },
+
+  /**
+   * @returns {boolean} Whether launchd currently has the agent loaded
+   */
+  isActive() {
+    try {
+      run(`launchctl print gui/$(id -u)/${LABEL}`);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+/**
+ * systemd user service
+ */
+const systemd = {
+  name: 'systemd',
+  tool: 'systemctl --user',
+  templatePath: path.join(ROOT_DIR, 'systemd', 'claude-fix.service'),
+  unitPath: UNIT_DEST,
+  unitDisplayPath: displayPath(UNIT_DEST),
+  unitKind: 'Unit',
+  escape: escapeSystemd,
+  loadHint: 'systemctl --user daemon-reload && systemctl --user enable --now claude-fix.service',
+
+  /**
+   * Enable the unit at login and (re)start it now
+   */
+  load() {
+    run('systemctl --user daemon-reload');
+    run('systemctl --user enable claude-fix.service');
+    run('systemctl --user restart claude-fix.service', 'inherit');
+  },
+
+  unload() {
+    try {
+      run('systemctl --user disable --now claude-fix.service');
+    } catch {}
+    try {
+      run('systemctl --user daemon-reload');
+    } catch {}
+  },
+
+  start() {
+    run('systemctl --user start claude-fix.service');
+  },
+
+  stop() {
+    run('systemctl --user stop claude-fix.service');
+  },
+
+  /**
+   * @returns {boolean} Whether systemd reports the unit as active
+   */
+  isActive() {
+    try {
+      return run('systemctl --user is-active claude-fix.service').trim() === 'active';
+    } catch {
+      return false;
+    }
+  }
+};
+
+/**
+ * Shared operations, parameterised by backend
+ */
+const common = {
+  isInstalled() {
+    return fs.existsSync(this.unitPath);
+  },
+
+  /**
+   * Render the template and write the unit file
+   * @param {string} scriptPath - Absolute path to bin/claude-fix.js
+   */
+  writeUnit(scriptPath) {
+    const template = fs.readFileSync(this.templatePath, 'utf8');
+    const contents = renderTemplate(template, {
+      NODE_PATH: process.execPath,
+      SCRIPT_PATH: scriptPath,
+      PATH: process.env.PATH || ''
+    }, this.escape);
+
+    fs.mkdirSync(path.dirname(this.unitPath), { recursive: true });
+    fs.writeFileSync(this.unitPath, contents);
+  },
+
+  removeUnit() {
+    fs.unlinkSync(this.unitPath);
+  }
+};
+
+const BACKENDS = {
+  darwin: { ...common, ...launchd },
+  linux: { ...common, ...systemd }
+};
+
+/**
+ * Pick the service backend for this platform
+ * @param {string} [platform] - Defaults to process.platform
+ * @returns {object|null} Backend, or null if the platform has none
+ */
+function getServiceManager(platform = process.platform) {
+  return BACKENDS[platform] || null;
+}
+
+module.exports = {
+  getServiceManager,
+  renderTemplate
+};
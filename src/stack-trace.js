@@ -0,0 +1,146 @@
+/**
+ * Stack trace parsing for `claude-fix fix --stdin`
+ *
+ * Recognizes Node, Python, Java (and other JVM languages) and Go traces, and
+ * picks the top frame that lives inside the repo as the file/line to fix.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Frames in these directories are dependencies, not the user's code
+const THIRD_PARTY = /(^|[\\/])(node_modules|site-packages|dist-packages|vendor|\.venv|venv|go[\\/]pkg[\\/]mod)([\\/]|$)/;
+
+const SKIP_DIRS = new Set([
+  '.git', 'node_modules', 'dist', '__pycache__', 'vendor', '.venv', 'build', '.cache', 'target', 'out',
+]);
+
+const PATTERNS = {
+  // at fn (/abs/file.js:10:5) | at /abs/file.js:10:5 | at fn (file:///abs/file.mjs:10:5)
+  node: /^\s*at (?:(.+?) \()?(?:file:\/\/)?([^\s()]+?):(\d+):\d+\)?\s*$/,
+  // File "/abs/file.py", line 10, in fn
+  python: /^\s*File "(.+?)", line (\d+)(?:, in (.+))?/,
+  // at com.example.Foo.bar(Foo.java:42)
+  java: /^\s*at ([\w$.<>/]+)\(([\w$]+\.(?:java|kt|scala|groovy)):(\d+)\)/,
+  // \t/abs/file.go:42 +0x1d  |  foo_test.go:12: message
+  go: /^\s*((?:\/|[\w.-]+\/)?[\w./-]*\.go):(\d+)(?: \+0x[0-9a-f]+$|:|$)/,
+};
+
+/**
+ * Parse frames out of arbitrary text (test output, logs, raw traces)
+ * @param {string} text
+ * @returns {Array<{ file: string, line: number, language: string, fn?: string, className?: string }>}
+ *          Most recent call first
+ */
+function parseStackTrace(text) {
+  const frames = [];
+  const pythonFrames = [];
+
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/\r$/, '');
+    let m;
+
+    if ((m = line.match(PATTERNS.python))) {
+      pythonFrames.push({ file: m[1], line: Number(m[2]), language: 'python', fn: m[3] });
+    } else if ((m = line.match(PATTERNS.java))) {
+      frames.push({ file: m[2], line: Number(m[3]), language: 'java', className: m[1].replace(/\.[^.]+$/, '') });
+    } else if ((m = line.match(PATTERNS.node))) {
+      if (m[2].startsWith('node:') || m[2].startsWith('internal/')) continue;
+      frames.push({ file: m[2], line: Number(m[3]), language: 'node', fn: m[1] });
+    } else if ((m = line.match(PATTERNS.go))) {
+      frames.push({ file: m[1], line: Number(m[2]), language: 'go' });
+    }
+  }
+
+  // Python prints "most recent call last"
+  return [...pythonFrames.reverse(), ...frames];
+}
+
+/**
+ * Best guess at the error message in the text
+ * @param {string} text
+ * @returns {string|null}
+ */
+function extractErrorMessage(text) {
+  const candidates = text
+    .split('\n')
+    .map(l => l.trim())
+    .filter(l => /^(panic: .+|Exception in thread .+|(Caused by: )?[\w.$]*(Error|Exception)\b.*)$/.test(l))
+    .filter(l => !/^(at |File ")/.test(l));
+
+  if (candidates.length === 0) return null;
+
+  // Python puts the exception after the traceback, everyone else before it
+  return /Traceback \(most recent call last\)/.test(text)
+    ? candidates[candidates.length - 1]
+    : candidates[0];
+}
+
+/**
+ * Find a file by path suffix within the repo (JVM traces only carry the file name)
+ */
+function findBySuffix(repoRoot, suffix, depth = 0) {
+  if (depth > 12) return null;
+
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(repoRoot, ...suffix.dir), { withFileTypes: true });
+  } catch {
+    entries = null;
+  }
+  if (entries && entries.some(e => e.isFile() && e.name === suffix.name)) {
+    return path.join(...suffix.dir, suffix.name);
+  }
+
+  let children;
+  try {
+    children = fs.readdirSync(repoRoot, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+  for (const entry of children) {
+    if (!entry.isDirectory() || SKIP_DIRS.has(entry.name) || entry.name.startsWith('.')) continue;
+    const found = findBySuffix(path.join(repoRoot, entry.name), suffix, depth + 1);
+    if (found) return path.join(entry.name, found);
+  }
+  return null;
+}
+
+/**
+ * Map a frame to a repo-relative path, or null if it isn't in the repo
+ */
+function resolveFrameFile(frame, repoRoot) {
+  if (THIRD_PARTY.test(frame.file)) return null;
+
+  if (frame.language === 'java') {
+    // com.example.Foo → com/example/Foo.java somewhere under src/main/java etc.
+    const pkg = frame.className.split('.').slice(0, -1);
+    return findBySuffix(repoRoot, { dir: pkg, name: frame.file });
+  }
+
+  const abs = path.isAbsolute(frame.file) ? frame.file : path.join(repoRoot, frame.file);
+  const rel = path.relative(repoRoot, abs);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) return null;
+
+  return fs.existsSync(abs) ? rel : null;
+}
+
+/**
+ * Topmost frame whose file is part of the repo
+ * @param {Array} frames - From parseStackTrace()
+ * @param {string} repoRoot - Absolute path to the checkout
+ * @returns {{ file: string, line: number }|null} file is relative to repoRoot
+ */
+function findTopRepoFrame(frames, repoRoot) {
+  for (const frame of frames) {
+    const file = resolveFrameFile(frame, repoRoot);
+    if (file) return { file, line: frame.line };
+  }
+  return null;
+}
+
+module.exports = {
+  parseStackTrace,
+  extractErrorMessage,
+  findTopRepoFrame
+};
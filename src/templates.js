@@ -0,0 +1,148 @@
+/**
+ * User-editable prompt templates
+ *
+ * Templates live in ~/.claude-fix/templates/ and are picked per repo, then per
+ * provider, then globally, falling back to the built-in defaults:
+ *
+ *   templates/repos/<host>/<owner>/<repo>/<name>.md
+ *   templates/providers/<provider>/<name>.md
+ *   templates/<name>.md
+ *
+ * Syntax: {{var}} is replaced with the value (empty if unset),
+ * {{#var}}...{{/var}} is kept only when var is set, {{^var}}...{{/var}} only when it isn't.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(process.env.HOME, '.claude-fix', 'templates');
+
+/**
+ * Built-in templates
+ *   wrapper  - wraps a provider's prompt before it is sent to Claude
+ *   headless - the same for headless jobs, which get an answer instead of a conversation
+ *   fix      - prompt for `claude-fix fix`
+ */
+const DEFAULT_TEMPLATES = {
+  wrapper: `I received the following recommendation from {{source}}:
+
+---
+{{prompt}}
+---
+{{#scope}}
+Scope: this concerns \`{{scope}}\`{{#service}} (service {{service}}){{/service}} in the repo, which is where this session starts. Keep changes to files under it unless the fix clearly needs more.
+{{/scope}}{{#gitContext}}
+Repository state:
+{{gitContext}}
+{{/gitContext}}
+IMPORTANT: Do NOT take any action yet. Do NOT use any tools. Do NOT analyze or investigate anything. Simply acknowledge that you received this recommendation and ask me if I want to proceed. Wait for my explicit approval before doing anything.`,
+
+  headless: `I received the following recommendation from {{source}}:
+
+---
+{{prompt}}
+---
+{{#scope}}
+Scope: this concerns \`{{scope}}\`{{#service}} (service {{service}}){{/service}} in the repo, which is where this session starts.
+{{/scope}}{{#gitContext}}
+Repository state:
+{{gitContext}}
+{{/gitContext}}
+Investigate this recommendation in the repository and reply with: whether it still applies to this code, the root cause, and the change you would make (as a diff). Do NOT modify any files; this is a read-only analysis that will be reviewed later.`,
+
+  fix: `Fix this error{{#file}} in {{file}}{{#line}}:{{line}}{{/line}}{{/file}}{{#message}} - {{message}}{{/message}}{{#output}}
+
+Output:
+\`\`\`
+{{output}}
+\`\`\`{{/output}}{{#gitContext}}
+
+Repository state:
+{{gitContext}}{{/gitContext}}`
+};
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+/**
+ * Render a template string
+ * @param {string} template
+ * @param {object} vars
+ * @returns {string}
+ */
+function renderTemplate(template, vars) {
+  // Sections first (innermost first, so they can nest)
+  let out = template;
+  let previous;
+  do {
+    previous = out;
+    out = out.replace(/\{\{([#^])(\w+)\}\}((?:(?!\{\{[#^]\w+\}\})[\s\S])*?)\{\{\/\2\}\}/g, (match, kind, name, body) => {
+      const keep = kind === '#' ? isSet(vars[name]) : !isSet(vars[name]);
+      return keep ? body : '';
+    });
+  } while (out !== previous);
+
+  return out.replace(/\{\{(\w+)\}\}/g, (match, name) => (isSet(vars[name]) ? String(vars[name]) : ''));
+}
+
+/**
+ * Template files to try, most specific first
+ * @param {string} name - Template name ("wrapper", "headless", "fix")
+ * @param {object} [scope] - { provider, repo } where repo is a normalized URL (host/owner/repo)
+ * @returns {string[]}
+ */
+function templateCandidates(name, { provider, repo } = {}) {
+  const candidates = [];
+  // Guard against "../" in user-supplied repo URLs escaping the templates dir
+  if (repo && !repo.split('/').includes('..')) {
+    candidates.push(path.join(TEMPLATES_DIR, 'repos', ...repo.split('/'), `${name}.md`));
+  }
+  if (provider && /^[\w-]+$/.test(provider)) {
+    candidates.push(path.join(TEMPLATES_DIR, 'providers', provider, `${name}.md`));
+  }
+  candidates.push(path.join(TEMPLATES_DIR, `${name}.md`));
+  return candidates;
+}
+
+/**
+ * Load the most specific template for a scope
+ * @param {string} name - Template name ("wrapper", "headless", "fix")
+ * @param {object} [scope] - { provider, repo }
+ * @returns {{ template: string, source: string }} source is the file path, or "built-in"
+ */
+function loadTemplate(name, scope) {
+  for (const file of templateCandidates(name, scope)) {
+    try {
+      return { template: fs.readFileSync(file, 'utf8').replace(/\n$/, ''), source: file };
+    } catch {}
+  }
+  return { template: DEFAULT_TEMPLATES[name], source: 'built-in' };
+}
+
+/**
+ * Write the built-in templates to TEMPLATES_DIR as a starting point (existing files are kept)
+ * @returns {string[]} Files written
+ */
+function initTemplates() {
+  fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
+
+  const written = [];
+  for (const [name, template] of Object.entries(DEFAULT_TEMPLATES)) {
+    const file = path.join(TEMPLATES_DIR, `${name}.md`);
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, template + '\n');
+      written.push(file);
+    }
+  }
+  return written;
+}
+
+module.exports = {
+  renderTemplate,
+  loadTemplate,
+  templateCandidates,
+  initTemplates,
+  DEFAULT_TEMPLATES,
+  TEMPLATES_DIR
+};
@@ -1,40 +1,134 @@
 /**
- * Terminal spawning for macOS with multiple terminal support
+ * Terminal spawning for macOS and Linux with multiple terminal support
  */
 
-const { exec } = require('child_process');
+const { execFile, spawn } = require('child_process');
 const fs = require('fs');
 const { writeFileSync, unlinkSync } = fs;
-const { join } = require('path');
+const { join, delimiter } = require('path');
 const { tmpdir } = require('os');
+const { resolveAgentOptions } = require('./agent-options');
+const { buildCommand } = require('./agents');
+const { writeLaunchSpec, removeLaunchSpec } = require('./launch-spec');
 
 const CONFIG_FILE = join(process.env.HOME, '.claude-fix', 'config.json');
 
-function getConfigTerminal() {
+const RUNNER = join(__dirname, 'runner.js');
+
+function loadConfig() {
   try {
-    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')).CLAUDE_FIX_TERMINAL;
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
   } catch {}
+  return {};
+}
+
+const config = loadConfig();
+
+/**
+ * Executables looked up on $PATH for terminals that are not macOS .app bundles
+ */
+const TERMINAL_BINARIES = {
+  GnomeTerminal: 'gnome-terminal',
+  Konsole: 'konsole',
+  XTerm: 'xterm',
+  Kitty: 'kitty',
+  Alacritty: 'alacritty',
+  WezTerm: 'wezterm',
+  Tmux: 'tmux',
+  Screen: 'screen'
+};
+
+/**
+ * macOS app bundles for terminals launched via `open -a`
+ */
+const MACOS_APPS = {
+  iTerm: '/Applications/iTerm.app',
+  Kitty: '/Applications/kitty.app',
+  Alacritty: '/Applications/Alacritty.app',
+  WezTerm: '/Applications/WezTerm.app'
+};
+
+/**
+ * Terminals offered per platform, in auto-detection order
+ */
+const PLATFORM_TERMINALS = {
+  darwin: ['Terminal', 'iTerm', 'Kitty', 'Alacritty', 'WezTerm', 'Tmux', 'Screen'],
+  linux: ['GnomeTerminal', 'Konsole', 'Kitty', 'Alacritty', 'WezTerm', 'XTerm', 'Tmux', 'Screen']
+};
+
+/**
+ * Default terminal when none is configured: Terminal.app on macOS, else the first one found on $PATH
+ */
+function detectTerminal() {
+  if (process.platform === 'darwin') {
+    return 'Terminal';
+  }
+  return getAvailableTerminals()[0] || 'XTerm';
+}
+
+// Existing tmux/screen session to open new windows in (defaults to the most recent one)
+const MUX_SESSION = process.env.CLAUDE_FIX_MUX_SESSION || config.CLAUDE_FIX_MUX_SESSION || '';
+
+const TERMINAL = process.env.CLAUDE_FIX_TERMINAL || config.CLAUDE_FIX_TERMINAL || detectTerminal();
+
+/**
+ * Find an executable on $PATH
+ * @param {string} name - Binary name
+ * @returns {string|null} Absolute path, or null if not found
+ */
+function findExecutable(name) {
+  for (const dir of (process.env.PATH || '').split(delimiter)) {
+    if (!dir) continue;
+    const candidate = join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch {}
+  }
   return null;
 }
 
-const TERMINAL = process.env.CLAUDE_FIX_TERMINAL || getConfigTerminal() || 'Terminal';
+/**
+ * Single-quote a string for the shell
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Start a terminal emulator directly and detach from it.
+ * The callback fires once the process has started (or failed to), not when the window closes.
+ */
+function spawnDetached(binary, args, callback) {
+  let done = false;
+  const finish = (err) => {
+    if (done) return;
+    done = true;
+    callback(err);
+  };
+
+  const child = spawn(binary, args, { detached: true, stdio: 'ignore' });
+  child.on('error', finish);
+  child.on('spawn', () => {
+    child.unref();
+    finish(null);
+  });
+}
 
 /**
  * Terminal launcher implementations
- * Each launcher opens a terminal and runs the given command
+ * Each launcher opens a terminal running argv; no shell parses it except where noted
  */
 const launchers = {
   /**
    * macOS Terminal.app via .command file (avoids AppleScript two-window bug)
    */
-  Terminal: (command, cwd, callback) => {
-    const cdPart = cwd ? `cd '${cwd.replace(/'/g, "'\\''")}' && ` : '';
-    const fullCommand = `${cdPart}${command}`;
-
+  Terminal: (argv, callback) => {
+    // Only the runner and spec paths go in the script, never the prompt
     const scriptPath = join(tmpdir(), `claude-fix-${Date.now()}.command`);
-    writeFileSync(scriptPath, `#!/bin/bash\n${fullCommand}\n`, { mode: 0o755 });
+    writeFileSync(scriptPath, `#!/bin/bash\nexec ${argv.map(shellQuote).join(' ')}\n`, { mode: 0o700 });
 
-    exec(`open "${scriptPath}"`, { stdio: 'pipe' }, (err) => {
+    execFile('open', [scriptPath], { stdio: 'pipe' }, (err) => {
       // Clean up the temp file after a short delay
       setTimeout(() => { try { unlinkSync(scriptPath); } catch {} }, 5000);
       callback(err);
@@ -42,74 +136,134 @@ const launchers = {
   },
 
   /**
-   * iTerm2 via AppleScript
+   * iTerm2 via AppleScript (iTerm splits the command string into arguments itself)
    */
-  iTerm: (command, cwd, callback) => {
-    const cdPart = cwd ? `cd '${cwd.replace(/'/g, "'\\''")}' && ` : '';
-    const fullCommand = `${cdPart}${command}`;
+  iTerm: (argv, callback) => {
+    const command = argv.map(shellQuote).join(' ');
 
     const appleScript = `
 tell application "iTerm"
     activate
-    create window with default profile command "${fullCommand.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"
+    create window with default profile command "${command.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"
 end tell
 `;
-    exec(`osascript -e '${appleScript.replace(/'/g, "'\\''")}'`, { stdio: 'pipe' }, callback);
+    execFile('osascript', ['-e', appleScript], { stdio: 'pipe' }, callback);
+  },
+
+  /**
+   * Kitty terminal via open command (macOS) or run directly (Linux)
+   */
+  Kitty: (argv, callback) => {
+    if (process.platform === 'darwin') {
+      execFile('open', ['-a', 'kitty', '--args', ...argv], { stdio: 'pipe' }, callback);
+      return;
+    }
+    spawnDetached('kitty', argv, callback);
+  },
+
+  /**
+   * Alacritty via open command (macOS) or run directly (Linux)
+   */
+  Alacritty: (argv, callback) => {
+    if (process.platform === 'darwin') {
+      execFile('open', ['-a', 'Alacritty', '--args', '-e', ...argv], { stdio: 'pipe' }, callback);
+      return;
+    }
+    spawnDetached('alacritty', ['-e', ...argv], callback);
   },
 
   /**
-   * Kitty terminal via open command
+   * WezTerm via open command (macOS) or run directly (Linux)
    */
-  Kitty: (command, cwd, callback) => {
-    const cdPart = cwd ? `cd '${cwd.replace(/'/g, "'\\''")}' && ` : '';
-    const fullCommand = `${cdPart}${command}`;
+  WezTerm: (argv, callback) => {
+    if (process.platform === 'darwin') {
+      execFile('open', ['-a', 'WezTerm', '--args', 'start', '--', ...argv], { stdio: 'pipe' }, callback);
+      return;
+    }
+    spawnDetached('wezterm', ['start', '--', ...argv], callback);
+  },
 
-    exec(`open -a kitty --args bash -c "${fullCommand.replace(/"/g, '\\"')}; exec bash"`, { stdio: 'pipe' }, callback);
+  /**
+   * GNOME Terminal (Linux)
+   */
+  GnomeTerminal: (argv, callback) => {
+    spawnDetached('gnome-terminal', ['--', ...argv], callback);
   },
 
   /**
-   * Alacritty via open command
+   * Konsole (Linux)
    */
-  Alacritty: (command, cwd, callback) => {
-    const cdPart = cwd ? `cd '${cwd.replace(/'/g, "'\\''")}' && ` : '';
-    const fullCommand = `${cdPart}${command}`;
+  Konsole: (argv, callback) => {
+    spawnDetached('konsole', ['-e', ...argv], callback);
+  },
 
-    exec(`open -a Alacritty --args -e bash -c "${fullCommand.replace(/"/g, '\\"')}; exec bash"`, { stdio: 'pipe' }, callback);
+  /**
+   * xterm (Linux)
+   */
+  XTerm: (argv, callback) => {
+    spawnDetached('xterm', ['-e', ...argv], callback);
   },
 
   /**
-   * WezTerm via open command
+   * New window in an existing tmux session (works headless, e.g. over SSH)
    */
-  WezTerm: (command, cwd, callback) => {
-    const cdPart = cwd ? `cd '${cwd.replace(/'/g, "'\\''")}' && ` : '';
-    const fullCommand = `${cdPart}${command}`;
+  Tmux: (argv, callback) => {
+    const args = ['new-window', '-n', 'claude-fix'];
+    if (MUX_SESSION) args.push('-t', `${MUX_SESSION}:`);
+    // Several arguments after the options: tmux runs them without a shell
+    args.push(...argv);
 
-    exec(`open -a WezTerm --args start -- bash -c "${fullCommand.replace(/"/g, '\\"')}; exec bash"`, { stdio: 'pipe' }, callback);
+    execFile('tmux', args, { stdio: 'pipe' }, (err, stdout, stderr) => {
+      callback(err && stderr ? new Error(stderr.trim()) : err);
+    });
+  },
+
+  /**
+   * New window in an existing GNU screen session
+   */
+  Screen: (argv, callback) => {
+    const args = [];
+    if (MUX_SESSION) args.push('-S', MUX_SESSION);
+    args.push('-X', 'screen', '-t', 'claude-fix', ...argv);
+
+    execFile('screen', args, { stdio: 'pipe' }, (err, stdout, stderr) => {
+      callback(err && stderr ? new Error(stderr.trim()) : err);
+    });
   }
 };
 
 /**
- * Opens a new terminal window with interactive claude session
- * @param {string} prompt - The prompt to send to claude
+ * Opens a new terminal window with an interactive agent session
+ *
+ * The terminal runs src/runner.js on a private launch spec holding the command
+ * and prompt, so neither goes through a shell command line.
+ * @param {string} prompt - The prompt to send to the agent
  * @param {string} cwd - Working directory for the command
+ * @param {object} [agent] - From resolveAgentOptions(); defaults to the global options
+ * @param {string[]} [files] - Context files for the agent, from resolveContextFiles()
  * @returns {Promise<void>}
  */
-function spawnTerminal(prompt, cwd) {
+function spawnTerminal(prompt, cwd, agent = resolveAgentOptions(), files = []) {
   return new Promise((resolve, reject) => {
-    // Base64 encode the prompt to avoid escaping issues
-    const encodedPrompt = Buffer.from(prompt).toString('base64');
-
-    // Build the command - starts interactive session with initial prompt
-    const command = `sleep 0.5 && claude "$(echo '${encodedPrompt}' | base64 -d)"`;
-
     const launcher = launchers[TERMINAL];
     if (!launcher) {
       reject(new Error(`Unsupported terminal: ${TERMINAL}. Supported: ${Object.keys(launchers).join(', ')}`));
       return;
     }
 
-    launcher(command, cwd, (err) => {
+    let specFile;
+    try {
+      const built = buildCommand(agent, prompt, { cwd, files });
+      // Short delay before the agent starts so the new window has settled; shell left open afterwards
+      specFile = writeLaunchSpec({ bin: built.bin, args: built.args, prompt: built.prompt, cwd, delayMs: 500, shell: true });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    launcher([process.execPath, RUNNER, specFile], (err) => {
       if (err) {
+        removeLaunchSpec(specFile);
         reject(new Error(`Failed to spawn terminal: ${err.message}`));
       } else {
         resolve();
@@ -127,42 +281,56 @@ function getTerminalName() {
 }
 
 /**
- * Checks if the configured terminal is available
+ * Checks if a terminal can be launched on this machine
+ * @param {string} name - Launcher name (e.g. "iTerm", "GnomeTerminal")
  * @returns {boolean}
  */
-function isTerminalAvailable() {
-  if (process.platform !== 'darwin') {
+function isTerminalInstalled(name) {
+  const supported = PLATFORM_TERMINALS[process.platform] || [];
+  if (!supported.includes(name)) {
     return false;
   }
 
   // Terminal.app is always available on macOS
-  if (TERMINAL === 'Terminal') {
+  if (name === 'Terminal') {
     return true;
   }
 
-  // Check if the app exists
-  const appPaths = {
-    iTerm: '/Applications/iTerm.app',
-    Kitty: '/Applications/kitty.app',
-    Alacritty: '/Applications/Alacritty.app',
-    WezTerm: '/Applications/WezTerm.app'
-  };
-
-  const appPath = appPaths[TERMINAL];
-  if (!appPath) {
-    return false;
+  // On macOS, GUI terminals are launched from their app bundle
+  if (process.platform === 'darwin' && MACOS_APPS[name]) {
+    try {
+      fs.accessSync(MACOS_APPS[name]);
+      return true;
+    } catch {
+      return false;
+    }
   }
 
-  try {
-    fs.accessSync(appPath);
-    return true;
-  } catch {
-    return false;
-  }
+  return !!findExecutable(TERMINAL_BINARIES[name]);
+}
+
+/**
+ * Lists the terminals that are installed on this machine, in preference order
+ * @returns {string[]}
+ */
+function getAvailableTerminals() {
+  return (PLATFORM_TERMINALS[process.platform] || []).filter(isTerminalInstalled);
+}
+
+/**
+ * Checks if the configured terminal is available
+ * @returns {boolean}
+ */
+function isTerminalAvailable() {
+  return isTerminalInstalled(TERMINAL);
 }
 
 module.exports = {
   spawnTerminal,
   getTerminalName,
-  isTerminalAvailable
+  isTerminalAvailable,
+  isTerminalInstalled,
+  getAvailableTerminals,
+  findExecutable,
+  launchers
 };
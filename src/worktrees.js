@@ -0,0 +1,267 @@
+/**
+ * Per-recommendation git worktrees
+ *
+ * Instead of running Claude in the user's main checkout (often mid-change on
+ * another branch), the daemon can add a worktree on a fresh branch named after
+ * the recommendation and open the session there:
+ *
+ *   <WORKTREE_ROOT>/<repo>-<hash>/<id>   on branch   claude-fix/<id>
+ *
+ * where <hash> is taken from the main checkout's path, so two checkouts with
+ * the same directory name don't share (or reuse) each other's worktrees.
+ * Enabled with CLAUDE_FIX_WORKTREE, or per request with worktree=1. With
+ * worktree=deployed the worktree starts at the deployed commit instead, as
+ * <id>-<sha> on branch claude-fix/<id>-<sha>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+const CONFIG_FILE = path.join(process.env.HOME, '.claude-fix', 'config.json');
+const DEFAULT_WORKTREE_ROOT = path.join(process.env.HOME, '.claude-fix', 'worktrees');
+
+const BRANCH_PREFIX = 'claude-fix/';
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    }
+  } catch {}
+  return {};
+}
+
+function getWorktreeRoot() {
+  const root = process.env.CLAUDE_FIX_WORKTREE_ROOT || loadConfig().CLAUDE_FIX_WORKTREE_ROOT || DEFAULT_WORKTREE_ROOT;
+  return root.replace(/^~/, process.env.HOME);
+}
+
+/**
+ * Whether a request should get its own worktree
+ * @param {URLSearchParams} [params] - worktree=1 (or deployed) / worktree=0 override the config
+ * @returns {boolean}
+ */
+function isWorktreeEnabled(params) {
+  const param = params ? params.get('worktree') : null;
+  if (param === '1' || param === 'true' || param === 'deployed') return true;
+  if (param === '0' || param === 'false') return false;
+
+  const raw = process.env.CLAUDE_FIX_WORKTREE ?? loadConfig().CLAUDE_FIX_WORKTREE;
+  return raw === true || raw === 'true';
+}
+
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['-C', cwd, ...args], { timeout: 60000 }, (err, stdout, stderr) => {
+      if (err) {
+        reject(new Error((stderr || err.message).trim()));
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+/**
+ * Directory- and branch-safe name for a recommendation id
+ * @param {string|null} itemId
+ * @param {string} [fallback] - Hashed when there is no id (e.g. the dedup key)
+ * @returns {string}
+ */
+function worktreeSlug(itemId, fallback) {
+  const slug = String(itemId || '')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^[.-]+|[.-]+$/g, '')
+    .replace(/\.{2,}/g, '.')
+    .replace(/\.lock$/, '')
+    .slice(0, 64);
+
+  if (slug) return slug;
+  return crypto.createHash('sha256').update(fallback || String(Date.now())).digest('hex').slice(0, 12);
+}
+
+/**
+ * Branch new worktrees start from: origin's default branch when known, else HEAD
+ */
+async function baseRef(repoPath) {
+  try {
+    return await git(['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD'], repoPath);
+  } catch {
+    return 'HEAD';
+  }
+}
+
+async function branchExists(repoPath, branch) {
+  try {
+    await git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], repoPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Directory holding a checkout's worktrees: its name plus a hash of its path
+ */
+function repoWorktreeDir(repoPath) {
+  let real = path.resolve(repoPath);
+  try {
+    real = fs.realpathSync(real);
+  } catch {}
+  const hash = crypto.createHash('sha256').update(real).digest('hex').slice(0, 8);
+  return path.join(getWorktreeRoot(), `${path.basename(real)}-${hash}`);
+}
+
+async function commonDir(dir) {
+  return fs.realpathSync(path.resolve(dir, await git(['rev-parse', '--git-common-dir'], dir)));
+}
+
+/**
+ * Create (or reuse) the worktree for a recommendation
+ * @param {string} repoPath - Resolved main checkout
+ * @param {string|null} itemId - Recommendation id
+ * @param {string} [fallback] - Stable key used when there is no id
+ * @param {object} [options]
+ * @param {string} [options.base] - Commit to start from instead of the default branch
+ * @returns {Promise<{ path: string, branch: string, created: boolean }>}
+ */
+async function createWorktree(repoPath, itemId, fallback, { base } = {}) {
+  // A worktree at a specific commit never reuses one started elsewhere
+  const slug = base
+    ? `${worktreeSlug(itemId, fallback)}-${base.slice(0, 12)}`
+    : worktreeSlug(itemId, fallback);
+  const branch = BRANCH_PREFIX + slug;
+  const dest = path.join(repoWorktreeDir(repoPath), slug);
+
+  // Same recommendation opened again: keep working where the last session left off,
+  // as long as the worktree still belongs to this checkout
+  if (fs.existsSync(path.join(dest, '.git'))) {
+    let owner = null;
+    try {
+      owner = await commonDir(dest);
+    } catch {}
+    if (owner !== await commonDir(repoPath)) {
+      throw new Error(`${dest} is not a worktree of ${repoPath}; move it out of the way to start over`);
+    }
+    console.log(`[worktrees] Reusing ${dest}`);
+    return { path: dest, branch, created: false };
+  }
+
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+
+  if (await branchExists(repoPath, branch)) {
+    await git(['worktree', 'add', dest, branch], repoPath);
+  } else {
+    await git(['worktree', 'add', '-b', branch, dest, base || await baseRef(repoPath)], repoPath);
+  }
+
+  console.log(`[worktrees] Created ${dest} (${branch})`);
+  return { path: dest, branch, created: true };
+}
+
+/**
+ * Worktrees created by claude-fix, oldest first
+ * @returns {Promise<Array<{ path: string, repo: string, branch: string|null, mainPath: string|null, createdAt: Date, dirty: number }>>}
+ */
+async function listWorktrees() {
+  const root = getWorktreeRoot();
+  const results = [];
+
+  let repos;
+  try {
+    repos = fs.readdirSync(root, { withFileTypes: true }).filter(e => e.isDirectory());
+  } catch {
+    return [];
+  }
+
+  for (const repo of repos) {
+    for (const entry of fs.readdirSync(path.join(root, repo.name), { withFileTypes: true })) {
+      const dir = path.join(root, repo.name, entry.name);
+      const gitFile = path.join(dir, '.git');
+      if (!entry.isDirectory() || !fs.existsSync(gitFile)) continue;
+
+      let branch = null;
+      let mainPath = null;
+      let dirty = 0;
+      try {
+        branch = await git(['rev-parse', '--abbrev-ref', 'HEAD'], dir);
+        mainPath = path.dirname(path.resolve(dir, await git(['rev-parse', '--git-common-dir'], dir)));
+        const status = await git(['status', '--porcelain'], dir);
+        dirty = status ? status.split('\n').length : 0;
+      } catch {}
+
+      results.push({
+        path: dir,
+        repo: repo.name,
+        branch,
+        mainPath,
+        // git writes the .git file once, when the worktree is added
+        createdAt: fs.statSync(gitFile).mtime,
+        dirty
+      });
+    }
+  }
+
+  return results.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Remove a worktree and, when it has been merged, its branch
+ * @param {object} worktree - From listWorktrees()
+ * @param {object} [options] - { force: remove even with uncommitted changes }
+ */
+async function removeWorktree(worktree, { force = false } = {}) {
+  if (!worktree.mainPath) {
+    // Main checkout is gone; nothing left for git to track
+    fs.rmSync(worktree.path, { recursive: true, force: true });
+    return;
+  }
+
+  await git(['worktree', 'remove', ...(force ? ['--force'] : []), worktree.path], worktree.mainPath);
+
+  if (worktree.branch && worktree.branch.startsWith(BRANCH_PREFIX)) {
+    try {
+      // -d (not -D): unmerged work stays reachable
+      await git(['branch', '-d', worktree.branch], worktree.mainPath);
+    } catch {}
+  }
+}
+
+/**
+ * Remove worktrees created before a cutoff
+ * @param {object} [options] - { before: Date, force: boolean }
+ * @returns {Promise<{ removed: object[], skipped: Array<{ worktree: object, reason: string }> }>}
+ */
+async function pruneWorktrees({ before = null, force = false } = {}) {
+  const removed = [];
+  const skipped = [];
+
+  for (const worktree of await listWorktrees()) {
+    if (before && worktree.createdAt >= before) continue;
+
+    if (worktree.dirty && !force) {
+      skipped.push({ worktree, reason: `${worktree.dirty} uncommitted change(s)` });
+      continue;
+    }
+
+    try {
+      await removeWorktree(worktree, { force });
+      removed.push(worktree);
+    } catch (err) {
+      skipped.push({ worktree, reason: err.message });
+    }
+  }
+
+  return { removed, skipped };
+}
+
+module.exports = {
+  isWorktreeEnabled,
+  createWorktree,
+  listWorktrees,
+  pruneWorktrees,
+  worktreeSlug,
+  getWorktreeRoot
+};
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// The module reads ~/.claude-fix/config.json, so point HOME at a scratch dir first
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-options-test-'));
+const realHome = process.env.HOME;
+process.env.HOME = home;
+
+const { resolveAgentOptions, agentArgs, describeAgentOptions } = require('../src/agent-options');
+
+function writeConfig(config) {
+  fs.writeFileSync(path.join(home, '.claude-fix', 'config.json'), JSON.stringify(config));
+}
+
+before(() => {
+  fs.mkdirSync(path.join(home, '.claude-fix'));
+});
+
+after(() => {
+  process.env.HOME = realHome;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+describe('resolveAgentOptions', () => {
+  beforeEach(() => writeConfig({}));
+
+  it('defaults to plain claude', () => {
+    const options = resolveAgentOptions();
+    assert.equal(options.agent, 'claude');
+    assert.equal(options.bin, null);
+    assert.equal(options.model, null);
+    assert.deepEqual(options.allowedTools, []);
+    assert.deepEqual(agentArgs(options), []);
+  });
+
+  it('reads global options and splits tool lists', () => {
+    writeConfig({
+      CLAUDE_BIN: '~/bin/claude',
+      CLAUDE_MODEL: 'sonnet',
+      CLAUDE_ALLOWED_TOOLS: 'Read, Grep',
+      CLAUDE_DISALLOWED_TOOLS: ['Bash(rm:*)']
+    });
+
+    const options = resolveAgentOptions();
+    assert.equal(options.bin, path.join(home, 'bin', 'claude'));
+    assert.equal(options.model, 'sonnet');
+    assert.deepEqual(options.allowedTools, ['Read', 'Grep']);
+    assert.deepEqual(options.disallowedTools, ['Bash(rm:*)']);
+  });
+
+  it('lets the request pick the agent', () => {
+    writeConfig({ AGENT: 'codex', CLAUDE_OVERRIDES: { repos: { 'github.com/org/*': { AGENT: 'aider' } } } });
+
+    assert.equal(resolveAgentOptions().agent, 'codex');
+    assert.equal(resolveAgentOptions({ repo: 'github.com/org/api' }).agent, 'aider');
+    assert.equal(resolveAgentOptions({ repo: 'github.com/org/api', agent: 'gemini' }).agent, 'gemini');
+  });
+
+  it('applies provider, then org, then repo overrides', () => {
+    writeConfig({
+      CLAUDE_MODEL: 'sonnet',
+      CLAUDE_PERMISSION_MODE: 'acceptEdits',
+      CLAUDE_OVERRIDES: {
+        providers: { datadog: { CLAUDE_MODEL: 'opus', CLAUDE_PERMISSION_MODE: 'default' } },
+        repos: {
+          'github.com/org/api': { CLAUDE_PERMISSION_MODE: 'bypassPermissions' },
+          'github.com/org/*': { CLAUDE_PERMISSION_MODE: 'plan', CLAUDE_MCP_CONFIG: '/etc/mcp.json' }
+        }
+      }
+    });
+
+    const api = resolveAgentOptions({ provider: 'datadog', repo: 'github.com/org/api' });
+    assert.equal(api.model, 'opus');
+    assert.equal(api.permissionMode, 'bypassPermissions');
+    assert.equal(api.mcpConfig, '/etc/mcp.json');
+
+    const web = resolveAgentOptions({ provider: 'datadog', repo: 'github.com/org/web' });
+    assert.equal(web.permissionMode, 'plan');
+
+    const other = resolveAgentOptions({ provider: 'sentry', repo: 'github.com/organization/web' });
+    assert.equal(other.model, 'sonnet');
+    assert.equal(other.permissionMode, 'acceptEdits');
+    assert.equal(other.mcpConfig, null);
+  });
+});
+
+describe('agentArgs', () => {
+  it('puts the variadic flags last', () => {
+    const args = agentArgs({
+      bin: 'claude',
+      model: 'opus',
+      permissionMode: 'plan',
+      allowedTools: ['Read', 'Bash(git log:*)'],
+      disallowedTools: ['Write'],
+      mcpConfig: '/etc/mcp.json',
+      appendSystemPrompt: 'Be brief.'
+    });
+
+    assert.deepEqual(args, [
+      '--model', 'opus',
+      '--permission-mode', 'plan',
+      '--append-system-prompt', 'Be brief.',
+      '--allowedTools', 'Read,Bash(git log:*)',
+      '--disallowedTools', 'Write',
+      '--mcp-config', '/etc/mcp.json'
+    ]);
+  });
+});
+
+describe('describeAgentOptions', () => {
+  it('hides the system prompt and lists overrides', () => {
+    writeConfig({
+      CLAUDE_APPEND_SYSTEM_PROMPT: 'secret instructions',
+      CLAUDE_OVERRIDES: { repos: { 'github.com/org/*': { CLAUDE_MODEL: 'opus' } } }
+    });
+
+    const described = describeAgentOptions();
+    assert.equal(described.appendSystemPrompt, true);
+    assert.deepEqual(described.overrides, { providers: [], repos: ['github.com/org/*'] });
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { buildCommand, fillPrompt, usesPromptFile, takesPrompt, resolveContextFiles, unenforcedOptions, getAgent, listAgents, PROMPT, PROMPT_FILE, PROMPT_MENTION, PROMPT_DIR } = require('../src/agents');
+
+const defaults = {
+  agent: 'claude',
+  bin: null,
+  model: null,
+  permissionMode: null,
+  allowedTools: [],
+  disallowedTools: [],
+  mcpConfig: null,
+  appendSystemPrompt: null
+};
+
+let tmpRoot;
+let outsideFile;
+
+before(() => {
+  tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-test-'));
+  fs.mkdirSync(path.join(tmpRoot, 'src'));
+  fs.writeFileSync(path.join(tmpRoot, 'src', 'app.js'), '');
+  // Stands in for ~/.ssh/id_rsa and the like
+  outsideFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'agents-test-outside-')), 'secret');
+  fs.writeFileSync(outsideFile, '');
+});
+
+after(() => {
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+  fs.rmSync(path.dirname(outsideFile), { recursive: true, force: true });
+});
+
+describe('registry', () => {
+  it('ships claude, aider, codex and gemini', () => {
+    assert.deepEqual(listAgents().map(agent => agent.name), ['claude', 'aider', 'codex', 'gemini']);
+    assert.equal(getAgent('vim'), null);
+  });
+});
+
+describe('buildCommand', () => {
+  it('mentions the prompt file in the first argument to claude, options after it', () => {
+    const built = buildCommand({ ...defaults, model: 'opus' }, 'Fix it');
+    assert.equal(built.bin, 'claude');
+    assert.deepEqual(fillPrompt(built.args, built.prompt, '/run/p.md'), ['Follow the instructions in @/run/p.md', '--model', 'opus']);
+    assert.equal(usesPromptFile(built.args), true);
+  });
+
+  it('mentions the prompt file to gemini and lets it read that directory', () => {
+    const built = buildCommand({ ...defaults, agent: 'gemini' }, 'Fix it');
+    assert.deepEqual(built.args, ['--include-directories', PROMPT_DIR, '--prompt-interactive', PROMPT_MENTION]);
+    assert.deepEqual(fillPrompt(built.args, built.prompt, '/run/p.md').slice(0, 2), ['--include-directories', '/run']);
+    assert.equal(usesPromptFile(built.args), true);
+  });
+
+  it('puts the prompt ahead of the variadic flags so they cannot swallow it', () => {
+    const built = buildCommand({
+      ...defaults, allowedTools: ['Read', 'Grep'], disallowedTools: ['Bash'], mcpConfig: '/etc/mcp.json'
+    }, 'Fix it');
+    const args = fillPrompt(built.args, built.prompt, '/run/p.md');
+
+    assert.equal(args[0], 'Follow the instructions in @/run/p.md');
+    // Each variadic flag has exactly one value, and nothing but another flag follows it
+    assert.deepEqual(args.slice(1), ['--allowedTools', 'Read,Grep', '--disallowedTools', 'Bash', '--mcp-config', '/etc/mcp.json']);
+  });
+
+  it('feeds headless claude on stdin', () => {
+    const built = buildCommand(defaults, 'Fix it', { headless: true });
+    assert.deepEqual(built.args, ['-p']);
+    assert.equal(built.stdin, true);
+  });
+
+  it('only uses CLAUDE_BIN for claude', () => {
+    assert.equal(buildCommand({ ...defaults, bin: '/opt/claude' }, 'x').bin, '/opt/claude');
+    assert.equal(buildCommand({ ...defaults, agent: 'gemini', bin: '/opt/claude' }, 'x').bin, 'gemini');
+  });
+
+  it('lists context files as @mentions relative to cwd', () => {
+    const file = path.join(tmpRoot, 'src', 'app.js');
+    const built = buildCommand(defaults, 'Fix it', { cwd: tmpRoot, files: [file] });
+    assert.equal(built.prompt, 'Fix it\n\nContext files:\n- @src/app.js\n');
+  });
+
+  it('adds context files to the aider chat as arguments', () => {
+    const file = path.join(tmpRoot, 'src', 'app.js');
+    const built = buildCommand({ ...defaults, agent: 'aider' }, 'Fix it', { cwd: tmpRoot, files: [file] });
+    assert.equal(built.prompt, 'Fix it');
+    assert.deepEqual(built.args, ['--no-auto-commits', file]);
+    assert.equal(takesPrompt(built.args), false);
+
+    const headless = buildCommand({ ...defaults, agent: 'aider' }, 'Fix it', { headless: true }).args;
+    assert.ok(headless.includes('--dry-run'));
+    assert.ok(headless.includes(PROMPT_FILE));
+  });
+
+  it('passes the working directory to codex', () => {
+    const built = buildCommand({ ...defaults, agent: 'codex' }, 'Fix it', { cwd: tmpRoot });
+    assert.deepEqual(built.args, ['--cd', tmpRoot, PROMPT]);
+
+    const headless = buildCommand({ ...defaults, agent: 'codex' }, 'Fix it', { cwd: tmpRoot, headless: true });
+    assert.deepEqual(headless.args, ['exec', '--cd', tmpRoot, '--sandbox', 'read-only', '-']);
+    assert.equal(headless.stdin, true);
+  });
+
+  it('rejects unknown agents', () => {
+    assert.throws(() => buildCommand({ ...defaults, agent: 'vim' }, 'x'), /Unknown agent: vim/);
+  });
+});
+
+describe('unenforcedOptions', () => {
+  const restricted = { ...defaults, permissionMode: 'plan', disallowedTools: ['Bash'] };
+
+  it('lets claude apply every permission option', () => {
+    assert.deepEqual(unenforcedOptions(restricted), []);
+  });
+
+  it('names the options another agent would ignore', () => {
+    assert.deepEqual(unenforcedOptions({ ...restricted, agent: 'aider' }), ['CLAUDE_PERMISSION_MODE', 'CLAUDE_DISALLOWED_TOOLS']);
+    assert.deepEqual(unenforcedOptions({ ...defaults, agent: 'codex', allowedTools: ['Read'] }), ['CLAUDE_ALLOWED_TOOLS']);
+  });
+
+  it('ignores options that restrict nothing', () => {
+    assert.deepEqual(unenforcedOptions({ ...defaults, agent: 'gemini' }), []);
+    assert.deepEqual(unenforcedOptions({ ...defaults, agent: 'gemini', permissionMode: 'bypassPermissions' }), []);
+  });
+});
+
+describe('resolveContextFiles', () => {
+  it('keeps files that exist in any of the directories', () => {
+    const files = resolveContextFiles(['src/app.js', 'app.js', 'src/missing.js', null, 'src'], [path.join(tmpRoot, 'nope'), tmpRoot, path.join(tmpRoot, 'src')]);
+    assert.deepEqual(files, [path.join(tmpRoot, 'src', 'app.js')]);
+  });
+
+  it('keeps absolute paths only when they are inside one of the directories', () => {
+    const inside = path.join(tmpRoot, 'src', 'app.js');
+    assert.deepEqual(resolveContextFiles([inside], [tmpRoot]), [inside]);
+    assert.deepEqual(resolveContextFiles([inside], [path.join(tmpRoot, 'other')]), []);
+    assert.deepEqual(resolveContextFiles([outsideFile], [tmpRoot]), []);
+  });
+
+  it('drops paths that climb out of the directories', () => {
+    const src = path.join(tmpRoot, 'src');
+    const climb = path.relative(src, outsideFile);
+    assert.ok(climb.startsWith('..'));
+    assert.deepEqual(resolveContextFiles([climb, 'src/../../x'], [src, tmpRoot]), []);
+    // Staying inside through .. is fine
+    assert.deepEqual(resolveContextFiles(['../src/app.js'], [src]), [path.join(tmpRoot, 'src', 'app.js')]);
+  });
+
+  it('drops symlinks that point outside the directories', () => {
+    const link = path.join(tmpRoot, 'src', 'linked.js');
+    fs.symlinkSync(outsideFile, link);
+    try {
+      assert.deepEqual(resolveContextFiles(['src/linked.js'], [tmpRoot]), []);
+    } finally {
+      fs.unlinkSync(link);
+    }
+  });
+});
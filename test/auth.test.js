@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateToken, signUrl, verifyRequest, getAllowedOrigins } = require('../src/auth');
+
+const TOKEN = 'a'.repeat(64);
+
+/** Minimal stand-in for an IncomingMessage + parsed URL */
+function request(path, headers = {}) {
+  return [{ headers }, new URL(path, 'http://127.0.0.1:8991')];
+}
+
+// ---------------------------------------------------------------------------
+// generateToken
+// ---------------------------------------------------------------------------
+
+describe('generateToken', () => {
+  it('returns 64 hex chars', () => {
+    assert.match(generateToken(), /^[0-9a-f]{64}$/);
+  });
+
+  it('returns a different token each time', () => {
+    assert.notEqual(generateToken(), generateToken());
+  });
+});
+
+// ---------------------------------------------------------------------------
+// verifyRequest
+// ---------------------------------------------------------------------------
+
+describe('verifyRequest', () => {
+  it('accepts the token header', () => {
+    const [req, url] = request('/dd/claude-fix?data=x', { 'x-claude-fix-token': TOKEN });
+    assert.deepEqual(verifyRequest(req, url, TOKEN), { ok: true });
+  });
+
+  it('rejects a wrong token header with 403', () => {
+    const [req, url] = request('/dd/claude-fix?data=x', { 'x-claude-fix-token': 'nope' });
+    assert.equal(verifyRequest(req, url, TOKEN).status, 403);
+  });
+
+  it('rejects unauthenticated requests with 401', () => {
+    const [req, url] = request('/dd/claude-fix?data=x');
+    assert.equal(verifyRequest(req, url, TOKEN).status, 401);
+  });
+
+  it('rejects everything when no token is configured', () => {
+    const [req, url] = request('/dd/claude-fix?data=x', { 'x-claude-fix-token': '' });
+    assert.equal(verifyRequest(req, url, '').status, 401);
+  });
+
+  it('accepts a signed URL', () => {
+    const [req, url] = request(signUrl('/dd/claude-fix?data=x&repo=github.com/a/b', TOKEN));
+    assert.deepEqual(verifyRequest(req, url, TOKEN), { ok: true });
+  });
+
+  it('accepts signed URLs regardless of parameter order', () => {
+    const signed = new URL(signUrl('/dd/claude-fix?data=x&repo=r', TOKEN), 'http://x');
+    const reordered = `/dd/claude-fix?sig=${signed.searchParams.get('sig')}&repo=r&data=x`;
+    const [req, url] = request(reordered);
+    assert.deepEqual(verifyRequest(req, url, TOKEN), { ok: true });
+  });
+
+  it('rejects a signed URL whose parameters were changed', () => {
+    const tampered = signUrl('/dd/claude-fix?data=x', TOKEN).replace('data=x', 'data=y');
+    const [req, url] = request(tampered);
+    assert.equal(verifyRequest(req, url, TOKEN).status, 403);
+  });
+
+  it('rejects a URL signed with another token', () => {
+    const [req, url] = request(signUrl('/dd/claude-fix?data=x', 'b'.repeat(64)));
+    assert.equal(verifyRequest(req, url, TOKEN).status, 403);
+  });
+
+  it('rejects expired signatures', () => {
+    const [req, url] = request(signUrl('/dd/claude-fix?data=x', TOKEN, { ttl: -10 }));
+    assert.deepEqual(verifyRequest(req, url, TOKEN), { ok: false, status: 403, error: 'Signature expired' });
+  });
+
+  it('keeps absolute URLs absolute when signing', () => {
+    assert.match(signUrl('http://localhost:8991/dd/claude-fix?data=x', TOKEN), /^http:\/\/localhost:8991\/dd\/claude-fix\?data=x&sig=/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getAllowedOrigins
+// ---------------------------------------------------------------------------
+
+describe('getAllowedOrigins', () => {
+  it('normalizes trailing slashes', () => {
+    const saved = process.env.ALLOWED_ORIGINS;
+    process.env.ALLOWED_ORIGINS = 'https://a.example/, https://b.example';
+    try {
+      assert.deepEqual(getAllowedOrigins(['https://default.example']), ['https://a.example', 'https://b.example']);
+    } finally {
+      if (saved === undefined) delete process.env.ALLOWED_ORIGINS;
+      else process.env.ALLOWED_ORIGINS = saved;
+    }
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const { rankCandidates, describeCheckout } = require('../src/candidates');
+
+let tmpRoot;
+let main;
+let dirty;
+let feature;
+
+function git(cwd, ...args) {
+  return execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], {
+    cwd, stdio: ['pipe', 'pipe', 'pipe'],
+  }).toString().trim();
+}
+
+/** A clone of `origin`, so origin/HEAD points at main */
+function cloneOf(origin, name) {
+  const dir = path.join(tmpRoot, name);
+  git(tmpRoot, 'clone', '-q', origin, dir);
+  return dir;
+}
+
+before(() => {
+  tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'candidates-test-'));
+  const origin = path.join(tmpRoot, 'origin');
+  fs.mkdirSync(origin);
+  git(origin, 'init', '-q', '-b', 'main');
+  fs.writeFileSync(path.join(origin, 'README.md'), 'x\n');
+  git(origin, 'add', '.');
+  git(origin, 'commit', '-q', '-m', 'init');
+
+  main = cloneOf(origin, 'main-clone');
+  dirty = cloneOf(origin, 'dirty-clone');
+  fs.writeFileSync(path.join(dirty, 'README.md'), 'changed\n');
+  feature = cloneOf(origin, 'feature-clone');
+  git(feature, 'checkout', '-q', '-b', 'feature/x');
+});
+
+after(() => {
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+});
+
+describe('describeCheckout', () => {
+  it('reports branch, default branch and uncommitted changes', async () => {
+    const info = await describeCheckout(dirty);
+    assert.equal(info.branch, 'main');
+    assert.equal(info.defaultBranch, 'main');
+    assert.equal(info.onDefaultBranch, true);
+    assert.equal(info.dirty, 1);
+    assert.ok(info.lastActive);
+  });
+
+  it('marks checkouts on another branch', async () => {
+    const info = await describeCheckout(feature);
+    assert.equal(info.branch, 'feature/x');
+    assert.equal(info.onDefaultBranch, false);
+    assert.equal(info.dirty, 0);
+  });
+});
+
+describe('rankCandidates', () => {
+  it('prefers clean checkouts on the default branch', async () => {
+    const ranked = await rankCandidates([dirty, feature, main], ['clean', 'default-branch']);
+    assert.deepEqual(ranked.map(c => c.path), [main, feature, dirty]);
+  });
+
+  it('follows the configured order of criteria', async () => {
+    const ranked = await rankCandidates([feature, dirty, main], ['default-branch', 'clean']);
+    assert.deepEqual(ranked.map(c => c.path), [main, dirty, feature]);
+  });
+
+  it('ranks checkouts whose status fails last', async () => {
+    const broken = path.join(tmpRoot, 'not-a-repo');
+    fs.mkdirSync(broken);
+    const ranked = await rankCandidates([broken, main], ['clean']);
+    assert.equal(ranked[0].path, main);
+    assert.equal(ranked[1].dirty, Infinity);
+  });
+});
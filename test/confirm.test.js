@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PENDING_TTL_MS, createPending, getPending, takePending, renderConfirmPage } = require('../src/confirm');
+
+function session(overrides = {}) {
+  return {
+    provider: 'datadog',
+    label: 'Datadog',
+    repoUrl: 'github.com/org/api',
+    cwd: '/src/api',
+    prompt: 'Fix it',
+    terminal: 'Terminal',
+    agent: { agent: 'claude' },
+    ...overrides
+  };
+}
+
+describe('takePending', () => {
+  it('rejects a wrong or missing nonce and keeps the entry', () => {
+    const entry = createPending(session());
+    assert.equal(takePending(entry.id, 'f'.repeat(entry.nonce.length)), null);
+    assert.equal(takePending(entry.id, 'short'), null);
+    assert.equal(takePending(entry.id, null), null);
+    assert.equal(getPending(entry.id).id, entry.id);
+  });
+
+  it('hands an entry out only once', () => {
+    const entry = createPending(session());
+    assert.equal(takePending(entry.id, entry.nonce).prompt, 'Fix it');
+    assert.equal(takePending(entry.id, entry.nonce), null);
+    assert.equal(getPending(entry.id), null);
+  });
+
+  it('expires entries after PENDING_TTL_MS', (t) => {
+    const entry = createPending(session());
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + PENDING_TTL_MS + 1);
+    assert.equal(takePending(entry.id, entry.nonce), null);
+  });
+});
+
+describe('renderConfirmPage', () => {
+  it('escapes the prompt and the repo', () => {
+    const entry = createPending(session({
+      repoUrl: 'github.com/org/"><script>alert(1)</script>',
+      prompt: '</pre><img src=x onerror=alert(1)> & more'
+    }));
+    const html = renderConfirmPage(entry);
+
+    assert.ok(!html.includes('<script>'));
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('github.com/org/&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(html.includes('&lt;/pre&gt;&lt;img src=x onerror=alert(1)&gt; &amp; more'));
+    assert.ok(html.includes(`name="nonce" value="${entry.nonce}"`));
+  });
+});
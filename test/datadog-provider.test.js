@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// ---------------------------------------------------------------------------
+// Local mock of the recommendations API — DD_BASE_URL must be set before the
+// provider module is loaded, since it reads its config at require time.
+// ---------------------------------------------------------------------------
+
+let server;
+let lastRequest;
+let nextResponse;
+let datadog;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      lastRequest = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) };
+      res.writeHead(nextResponse.status, { 'Content-Type': 'application/vnd.api+json' });
+      res.end(nextResponse.body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.DD_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.DD_API_KEY = 'test-api-key';
+  process.env.DD_APP_KEY = 'test-app-key';
+  datadog = require('../src/providers/datadog');
+});
+
+after(() => {
+  server.close();
+});
+
+// ---------------------------------------------------------------------------
+// resolveSite / getBaseUrl
+// ---------------------------------------------------------------------------
+
+describe('resolveSite', () => {
+  it('defaults to US1', () => {
+    assert.equal(datadog.resolveSite(''), 'datadoghq.com');
+  });
+
+  it('maps region codes case-insensitively', () => {
+    assert.equal(datadog.resolveSite('eu1'), 'datadoghq.eu');
+    assert.equal(datadog.resolveSite('US5'), 'us5.datadoghq.com');
+    assert.equal(datadog.resolveSite('ap1'), 'ap1.datadoghq.com');
+    assert.equal(datadog.resolveSite('gov'), 'ddog-gov.com');
+  });
+
+  it('accepts site domains and app URLs', () => {
+    assert.equal(datadog.resolveSite('us3.datadoghq.com'), 'us3.datadoghq.com');
+    assert.equal(datadog.resolveSite('https://app.datadoghq.eu/'), 'datadoghq.eu');
+  });
+
+  it('returns null for unknown sites', () => {
+    assert.equal(datadog.resolveSite('example.com'), null);
+  });
+});
+
+describe('getBaseUrl', () => {
+  it('derives the API host from the site', () => {
+    assert.equal(datadog.getBaseUrl({ site: 'EU1' }), 'https://api.datadoghq.eu');
+  });
+
+  it('prefers an explicit base URL', () => {
+    assert.equal(datadog.getBaseUrl({ site: 'EU1', baseUrl: 'http://localhost:1234/' }), 'http://localhost:1234');
+  });
+
+  it('throws on unknown sites', () => {
+    assert.throws(() => datadog.getBaseUrl({ site: 'nope' }), /Unknown DD_SITE/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// fetchDatadogPrompt against the mock server
+// ---------------------------------------------------------------------------
+
+describe('fetchDatadogPrompt', () => {
+  it('posts a JSON:API request with the encoded data and keys', async () => {
+    nextResponse = { status: 200, body: JSON.stringify({ data: { attributes: { prompt: 'Fix the N+1 query' } } }) };
+
+    const body = await datadog.fetchDatadogPrompt('eyJpZCI6InJlYy0xIn0');
+
+    assert.equal(lastRequest.method, 'POST');
+    assert.equal(lastRequest.url, '/api/unstable/recommendations/prompt');
+    assert.equal(lastRequest.headers['dd-api-key'], 'test-api-key');
+    assert.equal(lastRequest.headers['dd-application-key'], 'test-app-key');
+    assert.equal(lastRequest.body.data.attributes.data, 'eyJpZCI6InJlYy0xIn0');
+    assert.equal(datadog.transform(body), 'Fix the N+1 query');
+  });
+
+  it('rejects on non-200 responses', async () => {
+    nextResponse = { status: 403, body: '{"errors":["Forbidden"]}' };
+
+    await assert.rejects(datadog.fetchDatadogPrompt('x'), /Datadog API returned 403/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// extractPrompt
+// ---------------------------------------------------------------------------
+
+describe('extractPrompt', () => {
+  it('falls back to a top-level prompt field', () => {
+    assert.equal(datadog.extractPrompt('{"prompt":"p"}'), 'p');
+  });
+
+  it('returns non-JSON bodies as-is', () => {
+    assert.equal(datadog.extractPrompt('plain text'), 'plain text');
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dedupKey, findRecent, remember, forget } = require('../src/dedup');
+
+let savedWindow;
+
+beforeEach(() => {
+  savedWindow = process.env.CLAUDE_FIX_DEDUP_WINDOW;
+  delete process.env.CLAUDE_FIX_DEDUP_WINDOW;
+});
+
+afterEach(() => {
+  if (savedWindow === undefined) delete process.env.CLAUDE_FIX_DEDUP_WINDOW;
+  else process.env.CLAUDE_FIX_DEDUP_WINDOW = savedWindow;
+});
+
+describe('dedupKey', () => {
+  it('matches the same recommendation whatever the repo URL form', () => {
+    assert.equal(
+      dedupKey('datadog', 'rec-1', 'git@github.com:Org/Repo.git'),
+      dedupKey('datadog', 'rec-1', 'https://github.com/org/repo')
+    );
+    assert.notEqual(dedupKey('datadog', 'rec-1', null), dedupKey('datadog', 'rec-2', null));
+    assert.notEqual(dedupKey('datadog', 'rec-1', null), dedupKey('sentry', 'rec-1', null));
+  });
+
+  it('falls back to the request parameters, ignoring ones that do not change the item', () => {
+    const a = dedupKey('custom', null, null, new URLSearchParams('b=2&a=1&sig=x&exp=1&force=1&headless=1&agent=aider'));
+    const b = dedupKey('custom', null, null, new URLSearchParams('a=1&b=2'));
+    assert.equal(a, b);
+    assert.notEqual(a, dedupKey('custom', null, null, new URLSearchParams('a=1&b=3')));
+  });
+});
+
+describe('findRecent / remember / forget', () => {
+  it('reports a remembered session until it is forgotten', () => {
+    const key = dedupKey('datadog', 'rec-remember', null);
+    assert.equal(findRecent(key), null);
+
+    remember(key, { terminal: 'Tmux', repoPath: '/src/app' });
+    const found = findRecent(key);
+    assert.equal(found.terminal, 'Tmux');
+    assert.ok(found.openedAt);
+
+    forget(key);
+    assert.equal(findRecent(key), null);
+  });
+
+  it('lets a later remember() replace a pending claim', () => {
+    const key = dedupKey('datadog', 'rec-pending', null);
+    remember(key, { pending: true });
+    assert.equal(findRecent(key).pending, true);
+
+    remember(key, { terminal: 'Tmux' });
+    assert.equal(findRecent(key).pending, undefined);
+    forget(key);
+  });
+
+  it('honours CLAUDE_FIX_DEDUP_WINDOW', async () => {
+    const key = dedupKey('datadog', 'rec-window', null);
+
+    process.env.CLAUDE_FIX_DEDUP_WINDOW = '0';
+    remember(key, {});
+    assert.equal(findRecent(key), null);
+
+    process.env.CLAUDE_FIX_DEDUP_WINDOW = '0.05';
+    remember(key, {});
+    assert.ok(findRecent(key));
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.equal(findRecent(key), null);
+  });
+});
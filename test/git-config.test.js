@@ -0,0 +1,256 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const {
+  parseGitConfig,
+  resolveGitDir,
+  getRemoteUrls,
+  rewriteUrl,
+} = require('../src/git-config');
+
+// ---------------------------------------------------------------------------
+// Helpers — isolate from the user's own git config
+// ---------------------------------------------------------------------------
+
+let tmpRoot;
+let globalConfig;
+const savedEnv = {};
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, stdio: ['pipe', 'pipe', 'pipe'] }).toString().trim();
+}
+
+function createRepo(name, remotes = {}) {
+  const dir = path.join(tmpRoot, name);
+  fs.mkdirSync(dir, { recursive: true });
+  git(dir, 'init', '-q', '-b', 'main');
+  for (const [remote, url] of Object.entries(remotes)) {
+    git(dir, 'remote', 'add', remote, url);
+  }
+  return dir;
+}
+
+/** What git itself reports, for comparison */
+function gitRemotes(dir) {
+  const urls = new Set();
+  for (const line of git(dir, 'remote', '-v').split('\n')) {
+    const parts = line.split(/\s+/);
+    if (parts[1]) urls.add(parts[1]);
+  }
+  return [...urls];
+}
+
+before(() => {
+  tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'git-config-test-'));
+  globalConfig = path.join(tmpRoot, 'gitconfig');
+  fs.writeFileSync(globalConfig, '');
+
+  for (const key of ['GIT_CONFIG_GLOBAL', 'GIT_CONFIG_NOSYSTEM']) savedEnv[key] = process.env[key];
+  process.env.GIT_CONFIG_GLOBAL = globalConfig;
+  process.env.GIT_CONFIG_NOSYSTEM = '1';
+});
+
+after(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+});
+
+// ---------------------------------------------------------------------------
+// parseGitConfig
+// ---------------------------------------------------------------------------
+
+describe('parseGitConfig', () => {
+  it('parses sections, subsections and keys', () => {
+    const entries = parseGitConfig('[core]\n\tbare = false\n[remote "Origin"]\n\turl = git@github.com:a/b.git\n');
+    assert.deepEqual(entries, [
+      { section: 'core', subsection: null, key: 'bare', value: 'false' },
+      { section: 'remote', subsection: 'Origin', key: 'url', value: 'git@github.com:a/b.git' },
+    ]);
+  });
+
+  it('lowercases section and key names but not subsections', () => {
+    const [entry] = parseGitConfig('[Remote "UpStream"]\n  URL = x\n');
+    assert.equal(entry.section, 'remote');
+    assert.equal(entry.subsection, 'UpStream');
+    assert.equal(entry.key, 'url');
+  });
+
+  it('handles quotes, escapes, comments and continuations', () => {
+    const entries = parseGitConfig([
+      '# comment',
+      '[a]',
+      '  quoted = "x ; y # z"  ; trailing comment',
+      '  escaped = a\\"b\\\\c\\td',
+      '  spaced =   inner  space   ',
+      '  long = one \\',
+      'two',
+      '  flag',
+    ].join('\n'));
+
+    const values = Object.fromEntries(entries.map(e => [e.key, e.value]));
+    assert.equal(values.quoted, 'x ; y # z');
+    assert.equal(values.escaped, 'a"b\\c\td');
+    assert.equal(values.spaced, 'inner  space');
+    assert.equal(values.long, 'one two');
+    assert.equal(values.flag, true);
+  });
+
+  it('supports the deprecated [section.subsection] form', () => {
+    const [entry] = parseGitConfig('[remote.Origin]\nurl = x\n');
+    assert.equal(entry.subsection, 'origin');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// resolveGitDir
+// ---------------------------------------------------------------------------
+
+describe('resolveGitDir', () => {
+  it('returns null outside a checkout', () => {
+    assert.equal(resolveGitDir(tmpRoot), null);
+  });
+
+  it('follows a worktree .git file to its commondir', () => {
+    const main = createRepo('wt-main');
+    git(main, '-c', 'user.name=t', '-c', 'user.email=t@t', 'commit', '-q', '--allow-empty', '-m', 'init');
+    const worktree = path.join(tmpRoot, 'wt-linked');
+    git(main, 'worktree', 'add', '-q', worktree);
+
+    const dirs = resolveGitDir(worktree);
+    assert.equal(fs.realpathSync(dirs.commonDir), fs.realpathSync(path.join(main, '.git')));
+    assert.notEqual(dirs.gitDir, dirs.commonDir);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getRemoteUrls
+// ---------------------------------------------------------------------------
+
+describe('getRemoteUrls', () => {
+  it('matches git remote -v', () => {
+    const dir = createRepo('plain', {
+      upstream: 'git@github.com:Org/plain.git',
+      origin: 'https://github.com/me/plain.git',
+    });
+    git(dir, 'remote', 'set-url', '--push', 'origin', 'git@github.com:me/plain.git');
+
+    assert.deepEqual(getRemoteUrls(dir), gitRemotes(dir));
+  });
+
+  it('works for directories with quotes in the name', () => {
+    const dir = createRepo("it's-a-repo", { origin: 'git@github.com:Org/quoted.git' });
+    assert.deepEqual(getRemoteUrls(dir), ['git@github.com:Org/quoted.git']);
+  });
+
+  it('returns an empty list outside a checkout', () => {
+    assert.deepEqual(getRemoteUrls(tmpRoot), []);
+    assert.deepEqual(getRemoteUrls('/tmp/does-not-exist-xyz'), []);
+  });
+
+  it('reads remotes of a linked worktree from the main repo', () => {
+    assert.deepEqual(getRemoteUrls(path.join(tmpRoot, 'wt-linked')), []);
+    git(path.join(tmpRoot, 'wt-main'), 'remote', 'add', 'origin', 'git@github.com:Org/wt.git');
+    assert.deepEqual(getRemoteUrls(path.join(tmpRoot, 'wt-linked')), ['git@github.com:Org/wt.git']);
+  });
+
+  it('applies insteadOf and pushInsteadOf from the global config', () => {
+    fs.writeFileSync(globalConfig, [
+      '[url "git@github.com:"]',
+      '  insteadOf = gh:',
+      '[url "git@github.com:Org/"]',
+      '  insteadOf = gh:Org/',
+      '[url "ssh://push.example.com/"]',
+      '  pushInsteadOf = https://example.com/',
+    ].join('\n'));
+    try {
+      const dir = createRepo('rewrites', { origin: 'gh:Org/rewrites.git', other: 'https://example.com/x.git' });
+      const urls = getRemoteUrls(dir);
+
+      assert.deepEqual(urls, gitRemotes(dir));
+      assert.ok(urls.includes('git@github.com:Org/rewrites.git'));
+      assert.ok(urls.includes('ssh://push.example.com/x.git'));
+    } finally {
+      fs.writeFileSync(globalConfig, '');
+    }
+  });
+
+  it('follows include.path and matching includeIf sections', () => {
+    const work = path.join(tmpRoot, 'work');
+    fs.mkdirSync(work);
+    fs.writeFileSync(path.join(tmpRoot, 'rewrite.inc'), '[url "git@work.example.com:"]\n  insteadOf = work:\n');
+    fs.writeFileSync(path.join(tmpRoot, 'branch.inc'), '[url "git@branch.example.com:"]\n  insteadOf = br:\n');
+    fs.writeFileSync(globalConfig, [
+      `[includeIf "gitdir:${work}/"]`,
+      '  path = rewrite.inc',
+      '[includeIf "onbranch:feature/"]',
+      `  path = ${path.join(tmpRoot, 'branch.inc')}`,
+    ].join('\n'));
+    try {
+      const inside = createRepo('work/svc', { origin: 'work:org/svc.git', b: 'br:org/svc.git' });
+      const outside = createRepo('home-svc', { origin: 'work:org/svc.git' });
+
+      assert.deepEqual(getRemoteUrls(inside), ['br:org/svc.git', 'git@work.example.com:org/svc.git']);
+      assert.deepEqual(getRemoteUrls(outside), ['work:org/svc.git']);
+
+      git(inside, 'checkout', '-q', '-b', 'feature/x');
+      assert.deepEqual(getRemoteUrls(inside), gitRemotes(inside));
+      assert.ok(getRemoteUrls(inside).includes('git@branch.example.com:org/svc.git'));
+    } finally {
+      fs.writeFileSync(globalConfig, '');
+    }
+  });
+
+  it('re-reads per repo when an included file has the includeIf', () => {
+    const team = path.join(tmpRoot, 'team');
+    fs.mkdirSync(team);
+    fs.writeFileSync(path.join(tmpRoot, 'team-rewrite.inc'), '[url "git@team.example.com:"]\n  insteadOf = team:\n');
+    fs.writeFileSync(path.join(tmpRoot, 'conditional.inc'), `[includeIf "gitdir:${team}/"]\n  path = team-rewrite.inc\n`);
+    fs.writeFileSync(globalConfig, '[include]\n  path = conditional.inc\n');
+    try {
+      const outside = createRepo('solo-svc', { origin: 'team:org/svc.git' });
+      const inside = createRepo('team/svc', { origin: 'team:org/svc.git' });
+
+      assert.deepEqual(getRemoteUrls(outside), ['team:org/svc.git']);
+      assert.deepEqual(getRemoteUrls(inside), ['git@team.example.com:org/svc.git']);
+    } finally {
+      fs.writeFileSync(globalConfig, '');
+    }
+  });
+
+  it('notices changes to an included file', () => {
+    const included = path.join(tmpRoot, 'changing.inc');
+    fs.writeFileSync(included, '[url "git@old.example.com:"]\n  insteadOf = co:\n');
+    fs.writeFileSync(globalConfig, '[include]\n  path = changing.inc\n');
+    try {
+      const dir = createRepo('changing', { origin: 'co:org/svc.git' });
+      assert.deepEqual(getRemoteUrls(dir), ['git@old.example.com:org/svc.git']);
+
+      // Only the included file changes, not the global config
+      fs.writeFileSync(included, '[url "git@new.example.com:"]\n  insteadOf = co:\n');
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(included, later, later);
+      assert.deepEqual(getRemoteUrls(dir), ['git@new.example.com:org/svc.git']);
+    } finally {
+      fs.writeFileSync(globalConfig, '');
+    }
+  });
+});
+
+describe('rewriteUrl', () => {
+  it('prefers the longest matching prefix', () => {
+    const rewrites = [
+      { prefix: 'gh:', base: 'https://github.com/' },
+      { prefix: 'gh:Org/', base: 'git@github.com:Org/' },
+    ];
+    assert.equal(rewriteUrl('gh:Org/a', rewrites), 'git@github.com:Org/a');
+    assert.equal(rewriteUrl('gh:me/a', rewrites), 'https://github.com/me/a');
+    assert.equal(rewriteUrl('other:a', rewrites), 'other:a');
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const { getGitContext, resolveCommit, findReferencedFiles } = require('../src/git-context');
+
+let tmpRoot;
+let origin;
+let clone;
+
+function git(cwd, ...args) {
+  return execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], {
+    cwd, stdio: ['pipe', 'pipe', 'pipe'],
+  }).toString().trim();
+}
+
+function commit(dir, file, message) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), message + '\n');
+  git(dir, 'add', '.');
+  git(dir, 'commit', '-q', '-m', message);
+}
+
+before(() => {
+  tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'git-context-test-'));
+  origin = path.join(tmpRoot, 'origin');
+  fs.mkdirSync(origin);
+  git(origin, 'init', '-q', '-b', 'main');
+  commit(origin, 'src/app.js', 'init');
+
+  clone = path.join(tmpRoot, 'clone');
+  git(tmpRoot, 'clone', '-q', origin, clone);
+
+  // Two commits the clone fetches but doesn't merge, one it has locally
+  commit(origin, 'src/new.js', 'upstream one');
+  commit(origin, 'src/new2.js', 'upstream two');
+  git(clone, 'fetch', '-q');
+  commit(clone, 'src/local.js', 'local work');
+});
+
+after(() => {
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+});
+
+describe('getGitContext', () => {
+  it('reports branch, HEAD and distance from the upstream', async () => {
+    const context = await getGitContext(clone);
+    assert.equal(context.branch, 'main');
+    assert.equal(context.defaultBranch, 'main');
+    assert.equal(context.head.subject, 'local work');
+    assert.match(context.head.sha, /^[0-9a-f]{7,}$/);
+    assert.equal(context.upstream, 'origin/main');
+    assert.equal(context.behind, 2);
+    assert.equal(context.ahead, 1);
+    assert.ok(context.fetchedAt);
+    assert.equal(context.dirty, 0);
+  });
+
+  it('counts uncommitted files', async () => {
+    fs.writeFileSync(path.join(clone, 'scratch.txt'), 'x');
+    try {
+      assert.equal((await getGitContext(clone)).dirty, 1);
+    } finally {
+      fs.unlinkSync(path.join(clone, 'scratch.txt'));
+    }
+  });
+
+  it('compares feature branches without an upstream against the default branch', async () => {
+    git(clone, 'checkout', '-q', '-b', 'feature/x');
+    try {
+      const context = await getGitContext(clone);
+      assert.equal(context.branch, 'feature/x');
+      assert.equal(context.upstream, 'origin/main');
+      assert.equal(context.behind, 2);
+    } finally {
+      git(clone, 'checkout', '-q', 'main');
+    }
+  });
+
+  it('checks whether referenced files exist, also relative to the start directory', async () => {
+    const context = await getGitContext(clone, {
+      files: ['src/app.js', 'src/new.js', 'local.js', null],
+      cwd: path.join(clone, 'src'),
+    });
+    assert.deepEqual(context.files, [
+      { path: 'src/app.js', exists: true },
+      { path: 'src/new.js', exists: false },
+      { path: 'local.js', exists: true },
+    ]);
+  });
+
+  it('returns null outside a checkout', async () => {
+    assert.equal(await getGitContext(tmpRoot), null);
+  });
+});
+
+describe('deployed version', () => {
+  let deployed;
+
+  before(() => {
+    deployed = git(clone, 'rev-parse', 'HEAD~1');
+    git(clone, 'tag', 'v1.4.2', deployed);
+  });
+
+  it('resolves SHAs, tags and versions with a hash in them', async () => {
+    assert.equal(await resolveCommit(clone, deployed), deployed);
+    assert.equal(await resolveCommit(clone, deployed.slice(0, 8)), deployed);
+    assert.equal(await resolveCommit(clone, 'v1.4.2'), deployed);
+    assert.equal(await resolveCommit(clone, '1.4.2'), deployed);
+    assert.equal(await resolveCommit(clone, `9.9.9-g${deployed.slice(0, 7)}`), deployed);
+    assert.equal(await resolveCommit(clone, 'no-such-version'), null);
+  });
+
+  it('never passes option-like values to git', async () => {
+    assert.equal(await resolveCommit(clone, '--output=/tmp/x'), null);
+    assert.equal(await resolveCommit(clone, 'HEAD..main'), null);
+  });
+
+  it('compares HEAD with the deployed commit', async () => {
+    const { deployed: older } = await getGitContext(clone, { deployed: 'v1.4.2' });
+    assert.deepEqual(older, { ref: 'v1.4.2', sha: deployed, matchesHead: false, ahead: 1, behind: 0 });
+
+    const { deployed: head } = await getGitContext(clone, { deployed: git(clone, 'rev-parse', 'HEAD') });
+    assert.equal(head.matchesHead, true);
+
+    const { deployed: missing } = await getGitContext(clone, { deployed: '2.0.0' });
+    assert.equal(missing.sha, null);
+  });
+});
+
+describe('findReferencedFiles', () => {
+  it('picks relative paths out of recommendation text', () => {
+    const text = 'N+1 query in `app/models/user.rb:42` called from ./lib/db/pool.py (see src/app.js, src/app.js).';
+    assert.deepEqual(findReferencedFiles(text), ['app/models/user.rb', 'lib/db/pool.py', 'src/app.js']);
+  });
+
+  it('ignores URLs and bare file names', () => {
+    assert.deepEqual(findReferencedFiles('See https://example.com/docs/page.html or README.md'), []);
+  });
+});
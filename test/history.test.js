@@ -0,0 +1,120 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const {
+  recordSpawn,
+  readHistory,
+  hashPrompt,
+  parseSince,
+  HISTORY_FILE,
+} = require('../src/history');
+
+// Back up / restore the real history so tests don't clobber it
+let historyBackup = null;
+
+before(() => {
+  if (fs.existsSync(HISTORY_FILE)) {
+    historyBackup = fs.readFileSync(HISTORY_FILE, 'utf8');
+  }
+});
+
+after(() => {
+  if (historyBackup !== null) {
+    fs.writeFileSync(HISTORY_FILE, historyBackup);
+  } else if (fs.existsSync(HISTORY_FILE)) {
+    fs.unlinkSync(HISTORY_FILE);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// hashPrompt / parseSince
+// ---------------------------------------------------------------------------
+
+describe('hashPrompt', () => {
+  it('is stable and short', () => {
+    assert.equal(hashPrompt('hello'), hashPrompt('hello'));
+    assert.equal(hashPrompt('hello').length, 16);
+    assert.notEqual(hashPrompt('hello'), hashPrompt('hello!'));
+  });
+});
+
+describe('parseSince', () => {
+  it('parses durations', () => {
+    const sevenDays = Date.now() - parseSince('7d').getTime();
+    assert.ok(Math.abs(sevenDays - 7 * 86400e3) < 1000);
+  });
+
+  it('parses dates', () => {
+    assert.equal(parseSince('2024-01-02').toISOString(), '2024-01-02T00:00:00.000Z');
+  });
+
+  it('returns null for garbage', () => {
+    assert.equal(parseSince('soon'), null);
+    assert.equal(parseSince(undefined), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// recordSpawn + readHistory
+// ---------------------------------------------------------------------------
+
+describe('history store', () => {
+  beforeEach(() => {
+    if (fs.existsSync(HISTORY_FILE)) fs.unlinkSync(HISTORY_FILE);
+  });
+
+  it('stores records without the prompt text', () => {
+    recordSpawn({
+      source: 'datadog',
+      recommendationId: 'rec-1',
+      repo: 'github.com/org/repo',
+      repoPath: '/src/repo',
+      terminal: 'Tmux',
+      prompt: 'secret-ish prompt',
+      outcome: 'spawned',
+    });
+
+    const [entry] = readHistory();
+    assert.equal(entry.recommendationId, 'rec-1');
+    assert.equal(entry.promptHash, hashPrompt('secret-ish prompt'));
+    assert.equal(entry.prompt, undefined);
+    assert.ok(!fs.readFileSync(HISTORY_FILE, 'utf8').includes('secret-ish'));
+  });
+
+  it('returns newest first and honours limit', () => {
+    recordSpawn({ source: 'datadog', recommendationId: 'a', outcome: 'spawned' });
+    recordSpawn({ source: 'datadog', recommendationId: 'b', outcome: 'spawned' });
+    recordSpawn({ source: 'datadog', recommendationId: 'c', outcome: 'spawned' });
+
+    assert.deepEqual(readHistory({ limit: 2 }).map(e => e.recommendationId), ['c', 'b']);
+  });
+
+  it('filters by source, outcome and repo substring', () => {
+    recordSpawn({ source: 'datadog', repo: 'github.com/org/web-ui', outcome: 'spawned' });
+    recordSpawn({ source: 'cli', repoPath: '/home/me/api', outcome: 'failed', error: 'boom' });
+
+    assert.equal(readHistory({ source: 'cli' }).length, 1);
+    assert.equal(readHistory({ outcome: 'failed' })[0].error, 'boom');
+    assert.equal(readHistory({ repo: 'WEB-UI' }).length, 1);
+    assert.equal(readHistory({ repo: '/home/me' }).length, 1);
+  });
+
+  it('filters by since', () => {
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify({ timestamp: '2020-01-01T00:00:00.000Z', outcome: 'spawned' }) + '\n');
+    recordSpawn({ source: 'datadog', outcome: 'spawned' });
+
+    assert.equal(readHistory({ since: '1d' }).length, 1);
+  });
+
+  it('skips corrupt lines', () => {
+    fs.writeFileSync(HISTORY_FILE, '{not json\n');
+    recordSpawn({ source: 'datadog', outcome: 'spawned' });
+
+    assert.equal(readHistory().length, 1);
+  });
+
+  it('returns empty array when there is no history', () => {
+    assert.deepEqual(readHistory(), []);
+  });
+});
@@ -0,0 +1,217 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  isHeadless, startJob, readJob, listJobs, createSpawnJob, updateSpawnJob, watchJob, isFinished
+} = require('../src/jobs');
+
+let tmpRoot;
+const savedEnv = {};
+
+/** A fake `claude` that echoes its arguments and stdin */
+const STUB = `#!/bin/sh
+echo "args: $*"
+echo "cwd: $(pwd)"
+echo "stdin: $(cat)"
+echo "warning from stub" >&2
+[ -n "$STUB_TRAP" ] && trap '' TERM
+[ -n "$STUB_SLEEP" ] && sleep "$STUB_SLEEP"
+exit "\${STUB_EXIT:-0}"
+`;
+
+before(() => {
+  tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+  const bin = path.join(tmpRoot, 'bin');
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(bin, 'claude'), STUB, { mode: 0o755 });
+
+  for (const key of ['PATH', 'CLAUDE_FIX_JOBS_DIR', 'CLAUDE_FIX_JOB_TIMEOUT', 'CLAUDE_FIX_HEADLESS', 'STUB_EXIT', 'STUB_SLEEP', 'STUB_TRAP', 'CLAUDE_FIX_JOB_KILL_GRACE', 'CLAUDE_FIX_JOB_RETENTION_DAYS']) {
+    savedEnv[key] = process.env[key];
+  }
+  process.env.PATH = `${bin}${path.delimiter}${process.env.PATH}`;
+  process.env.CLAUDE_FIX_JOBS_DIR = path.join(tmpRoot, 'jobs');
+});
+
+after(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+});
+
+describe('isHeadless', () => {
+  it('honours the headless request parameter, then CLAUDE_FIX_HEADLESS', () => {
+    assert.equal(isHeadless(new URLSearchParams('headless=1')), true);
+    process.env.CLAUDE_FIX_HEADLESS = 'true';
+    assert.equal(isHeadless(new URLSearchParams('headless=0')), false);
+    assert.equal(isHeadless(new URLSearchParams()), true);
+    delete process.env.CLAUDE_FIX_HEADLESS;
+  });
+});
+
+describe('startJob', () => {
+  it('runs claude -p in the directory with the prompt on stdin', async () => {
+    const job = startJob({ prompt: 'why is it slow?', cwd: tmpRoot, meta: { source: 'datadog', recommendationId: 'rec-1' } });
+    assert.equal(readJob(job.id).status, 'running');
+
+    const result = await job.finished;
+    assert.equal(result.status, 'succeeded');
+    assert.equal(result.exitCode, 0);
+
+    const stored = readJob(job.id);
+    assert.equal(stored.recommendationId, 'rec-1');
+    assert.equal(stored.cwd, tmpRoot);
+    assert.match(stored.stdout, /^args: -p\n/);
+    assert.match(stored.stdout, new RegExp(`cwd: ${fs.realpathSync(tmpRoot)}\n`));
+    assert.match(stored.stdout, /stdin: why is it slow\?\n/);
+    assert.equal(stored.stderr, 'warning from stub\n');
+    assert.equal(fs.statSync(path.join(job.dir, 'stdout.log')).mode & 0o777, 0o600);
+  });
+
+  it('records a non-zero exit status', async () => {
+    process.env.STUB_EXIT = '3';
+    try {
+      const result = await startJob({ prompt: 'x', cwd: tmpRoot }).finished;
+      assert.equal(result.status, 'failed');
+      assert.equal(result.exitCode, 3);
+    } finally {
+      delete process.env.STUB_EXIT;
+    }
+  });
+
+  it('fails when claude cannot be started', async () => {
+    const result = await startJob({ prompt: 'x', cwd: path.join(tmpRoot, 'missing') }).finished;
+    assert.equal(result.status, 'failed');
+    assert.match(result.error, /ENOENT/);
+  });
+
+  it('kills jobs that run past CLAUDE_FIX_JOB_TIMEOUT', async () => {
+    process.env.CLAUDE_FIX_JOB_TIMEOUT = '0.2';
+    process.env.STUB_SLEEP = '5';
+    try {
+      const result = await startJob({ prompt: 'x', cwd: tmpRoot }).finished;
+      assert.equal(result.status, 'timed_out');
+      assert.equal(result.signal, 'SIGTERM');
+    } finally {
+      delete process.env.CLAUDE_FIX_JOB_TIMEOUT;
+      delete process.env.STUB_SLEEP;
+    }
+  });
+});
+
+describe('readJob / listJobs', () => {
+  it('rejects ids that are not job ids', () => {
+    assert.equal(readJob('../../etc'), null);
+    assert.equal(readJob('0000000000000000'), null);
+  });
+
+  it('lists jobs without their output, newest first', () => {
+    const jobs = listJobs();
+    assert.equal(jobs.length, 4);
+    assert.equal(jobs[jobs.length - 1].recommendationId, 'rec-1');
+    assert.equal(jobs[0].stdout, undefined);
+  });
+});
+
+describe('terminal jobs', () => {
+  it('goes from queued through spawning to spawned, emitting each change', () => {
+    const job = createSpawnJob({ source: 'datadog', terminal: 'Tmux', agent: 'claude' });
+    assert.equal(job.kind, 'terminal');
+    assert.equal(readJob(job.id).status, 'queued');
+
+    const seen = [];
+    const unwatch = watchJob(job.id, record => seen.push(record.status));
+    updateSpawnJob(job.id, { status: 'spawning' });
+    updateSpawnJob(job.id, { status: 'spawned' });
+    unwatch();
+
+    assert.deepEqual(seen, ['spawning', 'spawned']);
+    const final = readJob(job.id);
+    assert.ok(isFinished(final));
+    assert.ok(final.finishedAt);
+
+    // Final statuses stick
+    assert.equal(updateSpawnJob(job.id, { status: 'failed' }), null);
+    assert.equal(readJob(job.id).status, 'spawned');
+  });
+
+  it('keeps the launch error', () => {
+    const job = createSpawnJob();
+    updateSpawnJob(job.id, { status: 'failed', error: 'spawn xterm ENOENT' });
+    assert.equal(readJob(job.id).error, 'spawn xterm ENOENT');
+  });
+
+  it('expires jobs nobody confirmed', async () => {
+    const job = createSpawnJob({}, { status: 'awaiting_confirmation', expiresInMs: 20 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(readJob(job.id).status, 'expired');
+  });
+
+  it('hands a confirmed job over to a headless run under the same id', async () => {
+    const job = createSpawnJob({}, { status: 'awaiting_confirmation' });
+    const seen = [];
+    const unwatch = watchJob(job.id, record => seen.push(record.status));
+
+    const started = startJob({ id: job.id, prompt: 'x', cwd: tmpRoot });
+    assert.equal(started.id, job.id);
+    assert.equal(readJob(job.id).kind, 'headless');
+
+    await started.finished;
+    unwatch();
+    assert.equal(seen[0], 'running');
+    assert.equal(seen[seen.length - 1], 'succeeded');
+  });
+});
+
+describe('job cleanup', () => {
+  it('kills a job that ignores SIGTERM once the grace period is over', async () => {
+    process.env.CLAUDE_FIX_JOB_TIMEOUT = '0.2';
+    process.env.CLAUDE_FIX_JOB_KILL_GRACE = '0.3';
+    process.env.STUB_SLEEP = '2';
+    process.env.STUB_TRAP = '1';
+    try {
+      const result = await startJob({ prompt: 'x', cwd: tmpRoot }).finished;
+      assert.equal(result.status, 'timed_out');
+      assert.equal(result.signal, 'SIGKILL');
+    } finally {
+      for (const key of ['CLAUDE_FIX_JOB_TIMEOUT', 'CLAUDE_FIX_JOB_KILL_GRACE', 'STUB_SLEEP', 'STUB_TRAP']) delete process.env[key];
+    }
+  });
+
+  it('falls back to the default kill grace for an invalid value, with a warning', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    process.env.CLAUDE_FIX_JOB_TIMEOUT = '0.2';
+    process.env.CLAUDE_FIX_JOB_KILL_GRACE = 'abc';
+    process.env.STUB_SLEEP = '1';
+    process.env.STUB_TRAP = '1';
+    try {
+      // Read as 0, the job would be killed right after SIGTERM
+      const result = await startJob({ prompt: 'x', cwd: tmpRoot }).finished;
+      assert.equal(result.status, 'timed_out');
+      assert.equal(result.signal, null);
+    } finally {
+      for (const key of ['CLAUDE_FIX_JOB_TIMEOUT', 'CLAUDE_FIX_JOB_KILL_GRACE', 'STUB_SLEEP', 'STUB_TRAP']) delete process.env[key];
+    }
+    assert.ok(errors.mock.calls.some(call => /Invalid CLAUDE_FIX_JOB_KILL_GRACE: "abc", using the default \(10\)/.test(call.arguments[0])));
+  });
+
+  it('removes the directories of jobs past CLAUDE_FIX_JOB_RETENTION_DAYS when a job starts', async () => {
+    const old = await startJob({ prompt: 'x', cwd: tmpRoot }).finished;
+    const recent = await startJob({ prompt: 'x', cwd: tmpRoot }).finished;
+    const file = path.join(process.env.CLAUDE_FIX_JOBS_DIR, old.id, 'job.json');
+    fs.writeFileSync(file, JSON.stringify({ ...old, finishedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString() }));
+
+    process.env.CLAUDE_FIX_JOB_RETENTION_DAYS = '2';
+    try {
+      await startJob({ prompt: 'x', cwd: tmpRoot }).finished;
+    } finally {
+      delete process.env.CLAUDE_FIX_JOB_RETENTION_DAYS;
+    }
+    assert.equal(readJob(old.id), null);
+    assert.equal(readJob(recent.id).status, 'succeeded');
+  });
+});
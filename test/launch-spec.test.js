@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Specs go to $XDG_RUNTIME_DIR/claude-fix, so point it at a scratch dir first
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'launch-spec-test-'));
+const realRuntimeDir = process.env.XDG_RUNTIME_DIR;
+process.env.XDG_RUNTIME_DIR = tmpRoot;
+
+const { getRuntimeDir, writeLaunchSpec, consumeLaunchSpec } = require('../src/launch-spec');
+const { run } = require('../src/runner');
+const { PROMPT, PROMPT_FILE, PROMPT_MENTION, PROMPT_DIR } = require('../src/agents');
+
+// Agent stand-in: records its arguments (and the prompt file's contents) as JSON
+const RECORD = `
+const fs = require('fs');
+const args = process.argv.slice(1);
+const file = args[args.indexOf('--file') + 1];
+fs.writeFileSync(process.env.RECORD_TO, JSON.stringify({ args, cwd: process.cwd(), fromFile: fs.readFileSync(file, 'utf8') }));
+`;
+
+// Same for an agent that is handed "Follow the instructions in @<file>"
+const MENTION_RECORD = `
+const fs = require('fs');
+const args = process.argv.slice(1);
+const file = args[1].replace(/^Follow the instructions in @/, '');
+fs.writeFileSync(process.env.RECORD_TO, JSON.stringify({ args, fromFile: fs.readFileSync(file, 'utf8') }));
+`;
+
+let record;
+
+before(() => {
+  record = path.join(tmpRoot, 'record.json');
+  process.env.RECORD_TO = record;
+});
+
+after(() => {
+  if (realRuntimeDir === undefined) delete process.env.XDG_RUNTIME_DIR;
+  else process.env.XDG_RUNTIME_DIR = realRuntimeDir;
+  delete process.env.RECORD_TO;
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+});
+
+describe('launch specs', () => {
+  it('keeps specs private and reads them once', () => {
+    const file = writeLaunchSpec({ bin: 'claude', args: [PROMPT, '--model', 'opus', PROMPT_FILE, PROMPT_MENTION, PROMPT_DIR], prompt: 'secret' });
+
+    assert.equal(path.dirname(file), getRuntimeDir());
+    assert.equal(fs.statSync(getRuntimeDir()).mode & 0o777, 0o700);
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+    const spec = consumeLaunchSpec(file);
+    assert.deepEqual(spec.args, [PROMPT, '--model', 'opus', PROMPT_FILE, PROMPT_MENTION, PROMPT_DIR]);
+    assert.equal(spec.prompt, 'secret');
+    assert.equal(fs.existsSync(file), false);
+    assert.throws(() => consumeLaunchSpec(file), /ENOENT/);
+  });
+
+  it('refuses files others can read', () => {
+    const file = path.join(tmpRoot, 'open.json');
+    fs.writeFileSync(file, JSON.stringify({ bin: 'claude', args: [] }), { mode: 0o644 });
+    fs.chmodSync(file, 0o644);
+
+    assert.throws(() => consumeLaunchSpec(file), /not a private file/);
+    assert.equal(fs.existsSync(file), true);
+  });
+});
+
+describe('runner', () => {
+  it('runs the agent with the prompt and removes the prompt file afterwards', async () => {
+    const cwd = fs.mkdtempSync(path.join(tmpRoot, 'cwd-'));
+    const file = writeLaunchSpec({
+      bin: process.execPath,
+      args: ['-e', RECORD, '--', PROMPT, '--file', PROMPT_FILE],
+      prompt: "it's \"quoted\" $(not run)",
+      cwd
+    });
+
+    assert.equal(await run(file), 0);
+    assert.equal(fs.existsSync(file), false);
+
+    const { args, cwd: ranIn, fromFile } = JSON.parse(fs.readFileSync(record, 'utf8'));
+    assert.equal(args[0], "it's \"quoted\" $(not run)");
+    assert.equal(fromFile, args[0]);
+    assert.equal(fs.realpathSync(ranIn), fs.realpathSync(cwd));
+    assert.equal(fs.existsSync(args[2]), false);
+  });
+
+  it('keeps the prompt out of argv for an agent that reads @mentions', async () => {
+    const file = writeLaunchSpec({
+      bin: process.execPath,
+      args: ['-e', MENTION_RECORD, '--', PROMPT_DIR, PROMPT_MENTION],
+      prompt: 'a long and private prompt'
+    });
+    assert.equal(await run(file), 0);
+
+    const { args, fromFile } = JSON.parse(fs.readFileSync(record, 'utf8'));
+    assert.ok(!args.some(arg => arg.includes('private prompt')));
+    assert.equal(fromFile, 'a long and private prompt');
+    assert.match(args[1], /^Follow the instructions in @/);
+    assert.equal(args[0], getRuntimeDir());
+    assert.equal(fs.readdirSync(getRuntimeDir()).filter(name => name.endsWith('.md')).length, 0);
+  });
+
+  it('prints the prompt for an agent that takes none', async () => {
+    const file = writeLaunchSpec({ bin: process.execPath, args: ['-e', ''], prompt: 'Fix the bug\n' });
+    const write = process.stdout.write;
+    let printed = '';
+    process.stdout.write = (chunk, ...rest) => {
+      printed += chunk;
+      return write.call(process.stdout, chunk, ...rest);
+    };
+    try {
+      assert.equal(await run(file), 0);
+    } finally {
+      process.stdout.write = write;
+    }
+    assert.match(printed, /^Fix the bug\n\n--- claude-fix: paste the prompt above/);
+  });
+
+  it('reports an agent that cannot start', async () => {
+    const file = writeLaunchSpec({ bin: path.join(tmpRoot, 'no-such-agent'), args: [PROMPT], prompt: 'x' });
+    assert.equal(await run(file), 127);
+  });
+});
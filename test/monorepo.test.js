@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { resolveScope, parseServiceDefinition } = require('../src/monorepo');
+
+let repo;
+
+function write(rel, content = '') {
+  const file = path.join(repo, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+before(() => {
+  repo = fs.mkdtempSync(path.join(os.tmpdir(), 'monorepo-test-'));
+
+  write('.claude-fix.json', JSON.stringify({ services: { 'Web-API': 'services/api' } }));
+  write('services/api/package.json', '{}');
+  write('services/api/src/db.js');
+  write('services/billing/service.datadog.yaml', 'schema-version: v2.2\ndd-service: billing-worker\nteam: payments\n');
+  write('services/search/service.datadog.yaml', [
+    'apiVersion: v3',
+    'kind: service',
+    'metadata:',
+    '  name: search-api',
+    '  owner: search',
+  ].join('\n'));
+  write('tools/reporter/main.go');
+  write('.github/CODEOWNERS', '# owners\n*.md @docs\n/tools/reporter/ @infra\n');
+  write('README.md');
+});
+
+after(() => {
+  fs.rmSync(repo, { recursive: true, force: true });
+});
+
+describe('resolveScope', () => {
+  it('returns null without hints', async () => {
+    assert.equal(await resolveScope(repo, {}), null);
+  });
+
+  it('uses an explicit directory', async () => {
+    assert.deepEqual(await resolveScope(repo, { path: '/services/api/' }), {
+      path: 'services/api', service: null, file: null, source: 'path',
+    });
+  });
+
+  it('uses the directory of an explicit file and passes the file on', async () => {
+    const scope = await resolveScope(repo, { path: 'services/api/src/db.js' });
+    assert.equal(scope.path, 'services/api/src');
+    assert.equal(scope.file, 'services/api/src/db.js');
+  });
+
+  it('ignores paths outside the repo', async () => {
+    assert.equal(await resolveScope(repo, { path: '../../etc' }), null);
+    assert.equal(await resolveScope(repo, { path: 'no/such/dir' }), null);
+  });
+
+  it('maps services via .claude-fix.json (case-insensitive)', async () => {
+    const scope = await resolveScope(repo, { service: 'web-api' });
+    assert.equal(scope.path, 'services/api');
+    assert.equal(scope.source, 'mapping');
+  });
+
+  it('finds services by service.datadog.yaml', async () => {
+    const v2 = await resolveScope(repo, { service: 'billing-worker' });
+    assert.equal(v2.path, 'services/billing');
+    assert.equal(v2.source, 'service.datadog.yaml');
+
+    const v3 = await resolveScope(repo, { service: 'search-api' });
+    assert.equal(v3.path, 'services/search');
+  });
+
+  it('falls back to CODEOWNERS directories named after the service', async () => {
+    const scope = await resolveScope(repo, { service: 'reporter' });
+    assert.equal(scope.path, 'tools/reporter');
+    assert.equal(scope.source, 'codeowners');
+  });
+
+  it('scopes to the package containing a file', async () => {
+    const scope = await resolveScope(repo, { file: 'services/api/src/db.js' });
+    assert.equal(scope.path, 'services/api');
+    assert.equal(scope.source, 'file');
+
+    // Files at the root aren't in any package
+    assert.equal(await resolveScope(repo, { file: 'README.md' }), null);
+  });
+
+  it('prefers an explicit path over the service', async () => {
+    const scope = await resolveScope(repo, { path: 'tools/reporter', service: 'web-api' });
+    assert.equal(scope.path, 'tools/reporter');
+    assert.equal(scope.service, 'web-api');
+  });
+});
+
+describe('parseServiceDefinition', () => {
+  it('reads quoted dd-service values', () => {
+    assert.equal(parseServiceDefinition('dd-service: "shop"  # main\n'), 'shop');
+  });
+
+  it('returns null when there is no service name', () => {
+    assert.equal(parseServiceDefinition('team: x\n'), null);
+  });
+});
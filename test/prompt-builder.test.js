@@ -0,0 +1,156 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { buildPrompt, wrapPrompt } = require('../src/prompt-builder');
+const { renderTemplate, loadTemplate, TEMPLATES_DIR } = require('../src/templates');
+
+// Test templates are written under a host that can't collide with real ones
+const TEST_HOST = 'templates-test.invalid';
+const TEST_PROVIDER = 'templates-test-provider';
+
+after(() => {
+  fs.rmSync(path.join(TEMPLATES_DIR, 'repos', TEST_HOST), { recursive: true, force: true });
+  fs.rmSync(path.join(TEMPLATES_DIR, 'providers', TEST_PROVIDER), { recursive: true, force: true });
+
+  // Remove parent dirs the tests created, but only if nothing else lives there
+  for (const dir of ['repos', 'providers', '']) {
+    try { fs.rmdirSync(path.join(TEMPLATES_DIR, dir)); } catch {}
+  }
+});
+
+function writeTemplate(relPath, contents) {
+  const file = path.join(TEMPLATES_DIR, relPath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+}
+
+// ---------------------------------------------------------------------------
+// renderTemplate
+// ---------------------------------------------------------------------------
+
+describe('renderTemplate', () => {
+  it('replaces placeholders', () => {
+    assert.equal(renderTemplate('{{repo}} on {{branch}}', { repo: 'a/b', branch: 'main' }), 'a/b on main');
+  });
+
+  it('renders unset placeholders as empty', () => {
+    assert.equal(renderTemplate('[{{file}}]', {}), '[]');
+  });
+
+  it('keeps {{#var}} sections only when set', () => {
+    assert.equal(renderTemplate('a{{#file}} in {{file}}{{/file}}', { file: 'x.js' }), 'a in x.js');
+    assert.equal(renderTemplate('a{{#file}} in {{file}}{{/file}}', {}), 'a');
+  });
+
+  it('keeps {{^var}} sections only when unset', () => {
+    assert.equal(renderTemplate('{{^path}}no repo{{/path}}', {}), 'no repo');
+    assert.equal(renderTemplate('{{^path}}no repo{{/path}}', { path: '/x' }), '');
+  });
+
+  it('supports nested sections', () => {
+    const template = '{{#file}}{{file}}{{#line}}:{{line}}{{/line}}{{/file}}';
+    assert.equal(renderTemplate(template, { file: 'a.js', line: 3 }), 'a.js:3');
+    assert.equal(renderTemplate(template, { file: 'a.js' }), 'a.js');
+    assert.equal(renderTemplate(template, { line: 3 }), '');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Built-in templates
+// ---------------------------------------------------------------------------
+
+describe('buildPrompt', () => {
+  it('builds a message-only prompt', () => {
+    assert.equal(buildPrompt({ message: 'boom' }), 'Fix this error - boom');
+  });
+
+  it('includes file and line', () => {
+    assert.equal(buildPrompt({ message: 'boom', file: 'src/a.js', line: 12 }), 'Fix this error in src/a.js:12 - boom');
+  });
+});
+
+describe('wrapPrompt', () => {
+  it('wraps the provider prompt with the source and approval gate', () => {
+    const prompt = wrapPrompt('Fix the N+1', { source: 'Datadog APM', provider: 'datadog' });
+    assert.match(prompt, /^I received the following recommendation from Datadog APM:\n\n---\nFix the N\+1\n---/);
+    assert.match(prompt, /Wait for my explicit approval/);
+    assert.doesNotMatch(prompt, /Repository state/);
+  });
+
+  it('adds the repository state when git context is given', () => {
+    const prompt = wrapPrompt('Fix the N+1', {
+      source: 'Datadog APM',
+      provider: 'datadog',
+      git: {
+        branch: 'feature/x',
+        defaultBranch: 'main',
+        head: { sha: 'abc1234', subject: 'Add cache' },
+        dirty: 2,
+        upstream: 'origin/main',
+        behind: 12,
+        ahead: 0,
+        fetchedAt: null,
+        files: [{ path: 'src/a.js', exists: true }, { path: 'src/b.js', exists: false }],
+      },
+    });
+    assert.match(prompt, /\n---\n\nRepository state:\n- Branch: feature\/x \(default branch: main\)\n/);
+    assert.match(prompt, /- HEAD: abc1234 Add cache\n/);
+    assert.match(prompt, /- Uncommitted changes: 2 files\n/);
+    assert.match(prompt, /- Remote: 12 commits behind origin\/main\n/);
+    assert.match(prompt, /- Referenced files: src\/a\.js \(exists\), src\/b\.js \(not found in this checkout\)\n\nIMPORTANT/);
+  });
+
+  it('words both counts the same when the branch has diverged', () => {
+    const git = {
+      branch: 'feature/x', defaultBranch: 'main', head: null, dirty: null, files: [],
+      upstream: 'origin/main', behind: 2, ahead: 1, fetchedAt: null,
+    };
+    const prompt = wrapPrompt('Fix it', { source: 'Datadog', provider: 'datadog', git });
+    assert.match(prompt, /- Remote: 2 commits behind and 1 commit ahead of origin\/main\n/);
+
+    git.ahead = 3;
+    assert.match(wrapPrompt('Fix it', { source: 'Datadog', provider: 'datadog', git }), /- Remote: 2 commits behind and 3 commits ahead of origin\/main\n/);
+  });
+
+  it('warns when HEAD is not the deployed commit', () => {
+    const git = {
+      branch: 'main', defaultBranch: 'main', head: null, dirty: null, upstream: null, files: [],
+      deployed: { ref: 'v1.4.2', sha: 'abcdef0123456789', matchesHead: false, ahead: 3, behind: 0 },
+    };
+    const prompt = wrapPrompt('Fix it', { source: 'Datadog', provider: 'datadog', git });
+    assert.match(prompt, /- Deployed version: v1\.4\.2 \(abcdef012345\)\. WARNING: HEAD is not the deployed code \(HEAD is 3 commits ahead of it\)/);
+    assert.match(prompt, /git show abcdef012345:<path>/);
+
+    git.deployed = { ref: 'abcdef0', sha: 'abcdef0123456789', matchesHead: true, ahead: 0, behind: 0 };
+    assert.match(wrapPrompt('Fix it', { source: 'Datadog', provider: 'datadog', git }), /- Deployed version: abcdef012345, which is HEAD\n/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Template selection
+// ---------------------------------------------------------------------------
+
+describe('loadTemplate', () => {
+  it('falls back to the built-in template', () => {
+    assert.equal(loadTemplate('wrapper', { repo: `${TEST_HOST}/none/none` }).source, 'built-in');
+  });
+
+  it('prefers a provider template over the built-in', () => {
+    writeTemplate(`providers/${TEST_PROVIDER}/wrapper.md`, 'provider: {{prompt}}\n');
+    assert.equal(wrapPrompt('p', { provider: TEST_PROVIDER }), 'provider: p');
+  });
+
+  it('prefers a repo template over a provider template', () => {
+    writeTemplate(`repos/${TEST_HOST}/org/repo/wrapper.md`, 'repo {{repo}} on {{branch}}: {{prompt}}');
+    assert.equal(
+      wrapPrompt('p', { provider: TEST_PROVIDER, repo: `${TEST_HOST}/org/repo`, branch: 'main' }),
+      `repo ${TEST_HOST}/org/repo on main: p`,
+    );
+  });
+
+  it('ignores repo URLs that would escape the templates dir', () => {
+    assert.equal(loadTemplate('wrapper', { repo: '../../etc' }).source, 'built-in');
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Custom providers are loaded from ~/.claude-fix/config.json at require time
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-test-'));
+const realHome = process.env.HOME;
+process.env.HOME = home;
+
+const modules = {
+  'good.js': "module.exports = { name: 'good', route: 'good', fetch: async () => 'text' };",
+  'throws.js': "throw new Error('broken on load');",
+  'no-fetch.js': "module.exports = { name: 'nofetch', route: 'nofetch' };",
+  'takes-dd.js': "module.exports = { name: 'impostor', route: 'dd', fetch: async () => '' };"
+};
+fs.mkdirSync(path.join(home, '.claude-fix'));
+for (const [file, source] of Object.entries(modules)) {
+  fs.writeFileSync(path.join(home, file), source);
+}
+fs.writeFileSync(path.join(home, '.claude-fix', 'config.json'), JSON.stringify({
+  CLAUDE_FIX_PROVIDERS: ['~/throws.js', '~/missing.js', '~/no-fetch.js', '~/takes-dd.js', '~/good.js']
+}));
+
+const { registerProvider, getProvider, listProviders } = require('../src/providers');
+
+after(() => {
+  process.env.HOME = realHome;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+describe('registerProvider', () => {
+  it('rejects providers without a name, route or fetch()', () => {
+    assert.throws(() => registerProvider(null), /must have a name, a route and a fetch/);
+    assert.throws(() => registerProvider({ route: 'x', fetch() {} }), /must have a name/);
+    assert.throws(() => registerProvider({ name: 'x', fetch() {} }), /must have a name/);
+    assert.throws(() => registerProvider({ name: 'x', route: 'x', fetch: 'nope' }), /fetch\(\) function/);
+    assert.equal(getProvider('x'), null);
+  });
+
+  it('rejects routes that are not a single path segment', () => {
+    assert.throws(() => registerProvider({ name: 'x', route: 'a/b', fetch() {} }), /Invalid provider route: a\/b/);
+    assert.throws(() => registerProvider({ name: 'x', route: '../x', fetch() {} }), /Invalid provider route/);
+  });
+
+  it('refuses a route that is already taken', () => {
+    registerProvider({ name: 'first', route: 'dup', fetch() {} });
+    assert.throws(() => registerProvider({ name: 'second', route: 'dup', fetch() {} }), /Route already registered: \/dup\/claude-fix/);
+    assert.equal(getProvider('dup').name, 'first');
+  });
+});
+
+describe('CLAUDE_FIX_PROVIDERS', () => {
+  it('loads the modules that work and skips the ones that fail', () => {
+    assert.equal(getProvider('good').name, 'good');
+    assert.equal(getProvider('nofetch'), null);
+    // A custom module can't take over a built-in route
+    assert.equal(getProvider('dd').name, 'datadog');
+  });
+
+  it('keeps the built-in providers registered', () => {
+    const names = listProviders().map(p => p.name);
+    assert.ok(names.includes('datadog'));
+    assert.ok(!names.includes('impostor'));
+  });
+});
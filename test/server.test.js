@@ -0,0 +1,213 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+// The daemon keeps its state under ~/.claude-fix: point HOME at a scratch dir first
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+const savedEnv = {};
+for (const key of ['HOME', 'CLAUDE_FIX_TOKEN', 'CLAUDE_FIX_TERMINAL', 'XDG_RUNTIME_DIR', 'CLAUDE_FIX_JOBS_DIR']) {
+  savedEnv[key] = process.env[key];
+}
+process.env.HOME = home;
+process.env.CLAUDE_FIX_TOKEN = 'test-token';
+// Not installed here, so spawns fail fast instead of opening windows
+process.env.CLAUDE_FIX_TERMINAL = 'XTerm';
+delete process.env.XDG_RUNTIME_DIR;
+delete process.env.CLAUDE_FIX_JOBS_DIR;
+
+const { createServer } = require('../src/server');
+const { registerProvider, getProvider } = require('../src/providers');
+const { stopIndexer, pinRepo, resolveRepoCandidates, getIndexStatus } = require('../src/repo-resolver');
+const { execFileSync } = require('child_process');
+
+let server;
+let port;
+
+// Slow provider: the window in which a double click used to get through
+registerProvider({
+  name: 'slow',
+  route: 'slow',
+  label: 'Slow <Test>',
+  getItemId: params => params.get('id'),
+  fetch: params => new Promise((resolve, reject) => setTimeout(() => {
+    if (params.get('fail') === '1') reject(new Error('upstream down'));
+    else resolve(params.get('text') || 'Fix it');
+  }, 200))
+});
+
+function request(method, pathname, { headers = {}, body = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+const auth = { 'x-claude-fix-token': 'test-token' };
+
+/** Park a request on the confirmation page: its id and the nonce the form posts back */
+async function park(query) {
+  const res = await request('GET', `/slow/claude-fix?confirm=1&${query}`, { headers: auth });
+  const id = JSON.parse(res.body).confirmUrl.split('/').pop();
+  const page = await request('GET', `/dd/confirm/${id}`);
+  return { id, nonce: page.body.match(/name="nonce" value="([0-9a-f]+)"/)[1] };
+}
+
+function submit(id, form, headers = {}) {
+  return request('POST', `/dd/confirm/${id}`, {
+    headers: { 'content-type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(form).toString()
+  });
+}
+
+before(async () => {
+  server = createServer(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  stopIndexer();
+  await new Promise(resolve => server.close(resolve));
+  // Let the failed spawns finish before HOME goes away
+  await new Promise(resolve => setTimeout(resolve, 700));
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+describe('duplicate requests', () => {
+  it('reports a second click that arrives while the first is still being prepared', async () => {
+    const [first, second] = await Promise.all([
+      request('GET', '/slow/claude-fix?id=double', { headers: auth }),
+      new Promise(resolve => setTimeout(resolve, 50)).then(() => request('GET', '/slow/claude-fix?id=double', { headers: auth }))
+    ]);
+
+    assert.equal(JSON.parse(first.body).status, 'spawning');
+    const repeat = JSON.parse(second.body);
+    assert.equal(repeat.status, 'already_open');
+    assert.equal(repeat.pending, true);
+  });
+
+  it('releases the key when the request fails', async () => {
+    const failed = await request('GET', '/slow/claude-fix?id=bad&fail=1', { headers: auth });
+    assert.equal(failed.status, 500);
+
+    const retry = await request('GET', '/slow/claude-fix?id=bad', { headers: auth });
+    assert.equal(JSON.parse(retry.body).status, 'spawning');
+  });
+});
+
+describe('agent choice', () => {
+  before(() => {
+    fs.mkdirSync(path.join(home, '.claude-fix'), { recursive: true });
+    fs.writeFileSync(path.join(home, '.claude-fix', 'config.json'), JSON.stringify({
+      CLAUDE_OVERRIDES: { repos: { 'github.com/org/*': { CLAUDE_PERMISSION_MODE: 'plan' } } }
+    }));
+  });
+
+  after(() => {
+    fs.rmSync(path.join(home, '.claude-fix', 'config.json'), { force: true });
+  });
+
+  it("refuses an agent that can't apply the repo's permission mode", async () => {
+    const res = await request('GET', '/slow/claude-fix?id=policy&agent=aider&repo=github.com/org/api', { headers: auth });
+    assert.equal(res.status, 400);
+    assert.match(JSON.parse(res.body).error, /aider can't apply CLAUDE_PERMISSION_MODE/);
+  });
+});
+
+describe('confirmation', () => {
+  it('only takes the form from its own page', async () => {
+    const { id, nonce } = await park('id=origin');
+
+    // Allowed to call the API, but not to confirm on the user's behalf
+    const providerOrigin = getProvider('dd').allowedOrigins[0];
+    const forged = await submit(id, { nonce, action: 'open' }, { origin: providerOrigin });
+    assert.equal(forged.status, 403);
+    assert.match(forged.body, /Confirmation must come from the claude-fix page/);
+
+    const foreign = await submit(id, { nonce, action: 'open' }, { origin: 'https://evil.example' });
+    assert.equal(foreign.status, 403);
+
+    // Neither used up the link
+    const own = await submit(id, { nonce, action: 'cancel' });
+    assert.equal(own.status, 200);
+    assert.match(own.body, /Cancelled/);
+  });
+
+  it('refuses a wrong nonce and a second submit', async () => {
+    const { id, nonce } = await park('id=nonce');
+
+    const wrong = await submit(id, { nonce: 'f'.repeat(nonce.length), action: 'cancel' });
+    assert.equal(wrong.status, 404);
+
+    assert.equal((await submit(id, { nonce, action: 'cancel' })).status, 200);
+    const again = await submit(id, { nonce, action: 'cancel' });
+    assert.equal(again.status, 404);
+    assert.match(again.body, /expired or was already used/);
+  });
+
+  it('reports a headless job that fails to start instead of crashing', async () => {
+    const { id, nonce } = await park('id=broken&headless=1');
+
+    // A file where the jobs directory should be: startJob throws
+    const blocker = path.join(home, 'not-a-dir');
+    fs.writeFileSync(blocker, '');
+    process.env.CLAUDE_FIX_JOBS_DIR = blocker;
+    let res;
+    try {
+      res = await submit(id, { nonce, action: 'open' });
+    } finally {
+      delete process.env.CLAUDE_FIX_JOBS_DIR;
+    }
+    assert.equal(res.status, 500);
+    assert.match(res.body, /Failed to start headless job/);
+
+    const health = await request('GET', '/dd/health');
+    assert.equal(health.status, 200);
+  });
+
+  it('still opens the session when the checkout cannot be pinned', async () => {
+    const checkout = fs.mkdtempSync(path.join(home, 'checkout-'));
+    await pinRepo('github.com/org/pinned', checkout);
+    const { id, nonce } = await park('id=pin&repo=github.com/org/pinned');
+
+    // Someone else holds the cache lock until pinning times out
+    const lock = path.join(home, '.claude-fix', 'repo-cache.json.lock');
+    fs.writeFileSync(lock, `${process.pid} held-by-test`);
+    let res;
+    try {
+      res = await submit(id, { nonce, action: 'open', pin: '1' });
+    } finally {
+      fs.rmSync(lock, { force: true });
+    }
+    assert.equal(res.status, 200);
+    assert.match(res.body, /Spawning XTerm\. You can close this tab\. The checkout was not pinned: Timed out waiting for/);
+  });
+});
+
+describe('repo index', () => {
+  it('re-indexes once for a checkout cloned after the last build', async () => {
+    while (!getIndexStatus().builtAt) await new Promise(resolve => setTimeout(resolve, 20));
+
+    // Under the default search path (~/dd), after the index was built
+    const checkout = path.join(home, 'dd', 'late-clone');
+    fs.mkdirSync(checkout, { recursive: true });
+    execFileSync('git', ['init', '-q'], { cwd: checkout });
+    execFileSync('git', ['remote', 'add', 'origin', 'git@github.com:Org/late-clone.git'], { cwd: checkout });
+
+    const { path: found } = await resolveRepoCandidates('github.com/org/late-clone');
+    assert.equal(found, checkout);
+  });
+});
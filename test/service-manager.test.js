@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { getServiceManager, renderTemplate } = require('../src/service-manager');
+
+// ---------------------------------------------------------------------------
+// renderTemplate
+// ---------------------------------------------------------------------------
+
+describe('renderTemplate', () => {
+  it('fills known placeholders', () => {
+    assert.equal(
+      renderTemplate('${NODE_PATH} ${SCRIPT_PATH} serve', { NODE_PATH: '/usr/bin/node', SCRIPT_PATH: '/x/claude-fix.js' }),
+      '/usr/bin/node /x/claude-fix.js serve',
+    );
+  });
+
+  it('leaves unknown placeholders untouched', () => {
+    assert.equal(renderTemplate('${HOME}/x', {}), '${HOME}/x');
+  });
+
+  it('passes each value through the escape function', () => {
+    assert.equal(renderTemplate('${A} ${B}', { A: 'a', B: 'b' }, (name, value) => `${name}=${value}`), 'A=a B=b');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getServiceManager
+// ---------------------------------------------------------------------------
+
+describe('getServiceManager', () => {
+  it('uses launchd on macOS', () => {
+    assert.equal(getServiceManager('darwin').name, 'launchd');
+  });
+
+  it('uses systemd on Linux', () => {
+    const service = getServiceManager('linux');
+    assert.equal(service.name, 'systemd');
+    assert.match(service.unitPath, /systemd\/user\/claude-fix\.service$/);
+  });
+
+  it('returns null for unsupported platforms', () => {
+    assert.equal(getServiceManager('win32'), null);
+  });
+
+  it('ships a template for every backend', () => {
+    for (const platform of ['darwin', 'linux']) {
+      assert.ok(fs.existsSync(getServiceManager(platform).templatePath));
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// systemd unit
+// ---------------------------------------------------------------------------
+
+describe('systemd unit', () => {
+  /** Load the module afresh: the unit location is read from the environment at require time */
+  function loadWith(env) {
+    const saved = {};
+    for (const key of Object.keys(env)) {
+      saved[key] = process.env[key];
+      if (env[key] === undefined) delete process.env[key];
+      else process.env[key] = env[key];
+    }
+    delete require.cache[require.resolve('../src/service-manager')];
+    try {
+      return require('../src/service-manager').getServiceManager('linux');
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  }
+
+  it('shows where the unit really goes under $XDG_CONFIG_HOME', () => {
+    const home = '/home/someone';
+    assert.equal(loadWith({ HOME: home, XDG_CONFIG_HOME: undefined }).unitDisplayPath, '~/.config/systemd/user/claude-fix.service');
+    assert.equal(loadWith({ HOME: home, XDG_CONFIG_HOME: `${home}/cfg` }).unitDisplayPath, '~/cfg/systemd/user/claude-fix.service');
+    assert.equal(loadWith({ HOME: home, XDG_CONFIG_HOME: '/etc/xdg-someone' }).unitDisplayPath, '/etc/xdg-someone/systemd/user/claude-fix.service');
+  });
+
+  it('quotes PATH and the ExecStart paths', () => {
+    const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'service-manager-test-'));
+    const service = loadWith({ XDG_CONFIG_HOME: tmpRoot });
+    const realPath = process.env.PATH;
+    process.env.PATH = '/opt/a "b"/bin:/opt/c\\d:/opt/100%/bin:/opt/$HOME/bin';
+    try {
+      service.writeUnit('/opt/my $tools/100%/claude-fix.js');
+      const unit = fs.readFileSync(service.unitPath, 'utf8');
+
+      assert.ok(unit.includes('Environment="PATH=/opt/a \\"b\\"/bin:/opt/c\\\\d:/opt/100%%/bin:/opt/$HOME/bin"\n'));
+      assert.ok(unit.includes('"/opt/my $$tools/100%%/claude-fix.js" serve\n'));
+    } finally {
+      process.env.PATH = realPath;
+      fs.rmSync(tmpRoot, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { parseStackTrace, extractErrorMessage, findTopRepoFrame } = require('../src/stack-trace');
+
+// ---------------------------------------------------------------------------
+// Helpers — a throwaway repo with a few source files
+// ---------------------------------------------------------------------------
+
+let repo;
+
+function touch(relPath) {
+  const file = path.join(repo, relPath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '');
+}
+
+before(() => {
+  repo = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-trace-test-'));
+  touch('src/server.js');
+  touch('app/views.py');
+  touch('service/src/main/java/com/example/orders/OrderService.java');
+  touch('internal/handler.go');
+  touch('node_modules/express/lib/router.js');
+});
+
+after(() => {
+  fs.rmSync(repo, { recursive: true, force: true });
+});
+
+// ---------------------------------------------------------------------------
+// Node
+// ---------------------------------------------------------------------------
+
+describe('Node traces', () => {
+  const trace = () => `TypeError: Cannot read properties of undefined (reading 'id')
+    at getUser (${repo}/node_modules/express/lib/router.js:12:3)
+    at handle (${repo}/src/server.js:42:17)
+    at node:internal/process/task_queues:95:5`;
+
+  it('parses frames and skips node internals', () => {
+    const frames = parseStackTrace(trace());
+    assert.equal(frames.length, 2);
+    assert.deepEqual(frames[1], { file: `${repo}/src/server.js`, line: 42, language: 'node', fn: 'handle' });
+  });
+
+  it('picks the top in-repo frame, skipping node_modules', () => {
+    assert.deepEqual(findTopRepoFrame(parseStackTrace(trace()), repo), { file: 'src/server.js', line: 42 });
+  });
+
+  it('extracts the error message', () => {
+    assert.equal(extractErrorMessage(trace()), "TypeError: Cannot read properties of undefined (reading 'id')");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Python
+// ---------------------------------------------------------------------------
+
+describe('Python traces', () => {
+  const trace = () => `Traceback (most recent call last):
+  File "/usr/lib/python3.11/site-packages/django/core/handlers.py", line 55, in inner
+    response = get_response(request)
+  File "${repo}/app/views.py", line 18, in order_detail
+    return render(order.total / 0)
+ZeroDivisionError: division by zero`;
+
+  it('orders frames most recent first', () => {
+    const frames = parseStackTrace(trace());
+    assert.equal(frames[0].file, `${repo}/app/views.py`);
+    assert.equal(frames[0].fn, 'order_detail');
+  });
+
+  it('picks the top in-repo frame', () => {
+    assert.deepEqual(findTopRepoFrame(parseStackTrace(trace()), repo), { file: 'app/views.py', line: 18 });
+  });
+
+  it('extracts the exception after the traceback', () => {
+    assert.equal(extractErrorMessage(trace()), 'ZeroDivisionError: division by zero');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Java
+// ---------------------------------------------------------------------------
+
+describe('Java traces', () => {
+  const trace = `Exception in thread "main" java.lang.NullPointerException: order is null
+\tat java.base/java.util.Objects.requireNonNull(Objects.java:233)
+\tat com.example.orders.OrderService.place(OrderService.java:87)
+\tat com.example.orders.Main.main(Main.java:12)`;
+
+  it('parses class and file', () => {
+    const frames = parseStackTrace(trace);
+    assert.equal(frames[1].className, 'com.example.orders.OrderService');
+    assert.equal(frames[1].file, 'OrderService.java');
+  });
+
+  it('finds the file by package path', () => {
+    assert.deepEqual(findTopRepoFrame(parseStackTrace(trace), repo), {
+      file: 'service/src/main/java/com/example/orders/OrderService.java',
+      line: 87,
+    });
+  });
+
+  it('extracts the exception line', () => {
+    assert.equal(extractErrorMessage(trace), 'Exception in thread "main" java.lang.NullPointerException: order is null');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Go
+// ---------------------------------------------------------------------------
+
+describe('Go traces', () => {
+  const trace = () => `panic: runtime error: invalid memory address or nil pointer dereference
+goroutine 1 [running]:
+main.(*Handler).ServeHTTP(0x0, {0x0, 0x0})
+\t${repo}/internal/handler.go:31 +0x1d
+main.main()
+\t${repo}/main.go:9 +0x25`;
+
+  it('picks the top in-repo frame', () => {
+    assert.deepEqual(findTopRepoFrame(parseStackTrace(trace()), repo), { file: 'internal/handler.go', line: 31 });
+  });
+
+  it('parses go test failures with relative paths', () => {
+    const frames = parseStackTrace('--- FAIL: TestHandler (0.00s)\n    internal/handler.go:14: expected 200, got 500');
+    assert.deepEqual(findTopRepoFrame(frames, repo), { file: 'internal/handler.go', line: 14 });
+  });
+
+  it('extracts the panic', () => {
+    assert.equal(extractErrorMessage(trace()), 'panic: runtime error: invalid memory address or nil pointer dereference');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// No match
+// ---------------------------------------------------------------------------
+
+describe('text without an in-repo frame', () => {
+  it('returns null', () => {
+    assert.equal(findTopRepoFrame(parseStackTrace('all good\n'), repo), null);
+    assert.equal(extractErrorMessage('all good\n'), null);
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const childProcess = require('child_process');
+const EventEmitter = require('events');
+
+// terminal.js reads its config, terminal and mux session at require time
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'terminal-test-'));
+const savedEnv = {};
+for (const key of ['HOME', 'PATH', 'XDG_RUNTIME_DIR', 'CLAUDE_FIX_TERMINAL', 'CLAUDE_FIX_MUX_SESSION']) {
+  savedEnv[key] = process.env[key];
+}
+process.env.HOME = tmpRoot;
+process.env.XDG_RUNTIME_DIR = tmpRoot;
+process.env.CLAUDE_FIX_TERMINAL = 'Tmux';
+process.env.CLAUDE_FIX_MUX_SESSION = 'work';
+
+// Launchers hold on to spawn/execFile: stub them while the module loads
+const calls = [];
+let failWith = null;
+const realSpawn = childProcess.spawn;
+const realExecFile = childProcess.execFile;
+childProcess.spawn = (bin, args, options) => {
+  calls.push({ via: 'spawn', bin, args, options });
+  const child = new EventEmitter();
+  child.unref = () => {};
+  process.nextTick(() => (failWith ? child.emit('error', failWith) : child.emit('spawn')));
+  return child;
+};
+childProcess.execFile = (bin, args, options, callback) => {
+  calls.push({ via: 'execFile', bin, args });
+  process.nextTick(() => callback(failWith, '', failWith ? 'no server running' : ''));
+};
+
+const {
+  spawnTerminal, findExecutable, isTerminalInstalled, getAvailableTerminals, launchers
+} = require('../src/terminal');
+
+childProcess.spawn = realSpawn;
+childProcess.execFile = realExecFile;
+
+const RUNNER = path.join(__dirname, '..', 'src', 'runner.js');
+const argv = [process.execPath, RUNNER, '/run/spec.json'];
+
+function launch(name) {
+  return new Promise((resolve, reject) => {
+    launchers[name](argv, err => (err ? reject(err) : resolve(calls[calls.length - 1])));
+  });
+}
+
+function withPlatform(platform, fn) {
+  const descriptor = Object.getOwnPropertyDescriptor(process, 'platform');
+  Object.defineProperty(process, 'platform', { value: platform });
+  try {
+    return fn();
+  } finally {
+    Object.defineProperty(process, 'platform', descriptor);
+  }
+}
+
+let bin;
+
+before(() => {
+  bin = path.join(tmpRoot, 'bin');
+  fs.mkdirSync(bin);
+  for (const name of ['xterm', 'tmux', 'my-tool']) {
+    fs.writeFileSync(path.join(bin, name), '#!/bin/sh\n', { mode: 0o755 });
+  }
+  fs.writeFileSync(path.join(bin, 'not-executable'), '', { mode: 0o644 });
+  process.env.PATH = ['', path.join(tmpRoot, 'missing'), bin].join(path.delimiter);
+});
+
+after(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  calls.length = 0;
+  failWith = null;
+});
+
+describe('findExecutable', () => {
+  it('finds executables on $PATH, skipping empty and missing entries', () => {
+    assert.equal(findExecutable('my-tool'), path.join(bin, 'my-tool'));
+  });
+
+  it('ignores files that are not executable, and missing ones', () => {
+    assert.equal(findExecutable('not-executable'), null);
+    assert.equal(findExecutable('no-such-tool'), null);
+  });
+});
+
+describe('isTerminalInstalled / getAvailableTerminals', () => {
+  it('offers Linux terminals found on $PATH, in preference order', () => {
+    withPlatform('linux', () => {
+      assert.deepEqual(getAvailableTerminals(), ['XTerm', 'Tmux']);
+      assert.equal(isTerminalInstalled('Konsole'), false);
+      // macOS-only, whatever is installed
+      assert.equal(isTerminalInstalled('Terminal'), false);
+      assert.equal(isTerminalInstalled('iTerm'), false);
+    });
+  });
+
+  it('always offers Terminal.app on macOS, but not Linux-only terminals', () => {
+    withPlatform('darwin', () => {
+      assert.equal(isTerminalInstalled('Terminal'), true);
+      assert.equal(isTerminalInstalled('Tmux'), true);
+      assert.equal(isTerminalInstalled('XTerm'), false);
+    });
+  });
+
+  it('offers nothing on other platforms', () => {
+    withPlatform('win32', () => {
+      assert.deepEqual(getAvailableTerminals(), []);
+    });
+  });
+});
+
+describe('launchers', () => {
+  it('start Linux terminals with the argv as separate arguments, detached', async () => {
+    const expected = {
+      XTerm: ['xterm', ['-e', ...argv]],
+      Konsole: ['konsole', ['-e', ...argv]],
+      GnomeTerminal: ['gnome-terminal', ['--', ...argv]]
+    };
+    await withPlatform('linux', async () => {
+      for (const [name, [binary, args]] of Object.entries(expected)) {
+        const call = await launch(name);
+        assert.equal(call.via, 'spawn');
+        assert.equal(call.bin, binary);
+        assert.deepEqual(call.args, args);
+        assert.equal(call.options.detached, true);
+      }
+      assert.deepEqual((await launch('Kitty')).args, argv);
+      assert.deepEqual((await launch('Alacritty')).args, ['-e', ...argv]);
+      assert.deepEqual((await launch('WezTerm')).args, ['start', '--', ...argv]);
+    });
+  });
+
+  it('open a window in the configured tmux or screen session', async () => {
+    const tmux = await launch('Tmux');
+    assert.equal(tmux.bin, 'tmux');
+    assert.deepEqual(tmux.args, ['new-window', '-n', 'claude-fix', '-t', 'work:', ...argv]);
+
+    const screen = await launch('Screen');
+    assert.equal(screen.bin, 'screen');
+    assert.deepEqual(screen.args, ['-S', 'work', '-X', 'screen', '-t', 'claude-fix', ...argv]);
+  });
+
+  it('report what the multiplexer printed when it fails', async () => {
+    failWith = new Error('Command failed: tmux');
+    await assert.rejects(launch('Tmux'), /no server running/);
+  });
+});
+
+describe('spawnTerminal', () => {
+  it('hands the runner a private launch spec instead of the prompt', async () => {
+    await spawnTerminal('Fix the "bug" $(rm -rf /)', tmpRoot);
+
+    const [call] = calls;
+    const specFile = call.args[call.args.length - 1];
+    assert.deepEqual(call.args.slice(0, -1), ['new-window', '-n', 'claude-fix', '-t', 'work:', process.execPath, RUNNER]);
+    assert.ok(!call.args.some(arg => arg.includes('Fix the')));
+    assert.equal(fs.statSync(specFile).mode & 0o777, 0o600);
+    fs.unlinkSync(specFile);
+  });
+
+  it('removes the spec when the terminal fails to open', async () => {
+    failWith = new Error('Command failed: tmux');
+    await assert.rejects(spawnTerminal('x', tmpRoot), /Failed to spawn terminal: no server running/);
+
+    const specFile = calls[0].args[calls[0].args.length - 1];
+    assert.equal(fs.existsSync(specFile), false);
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+const {
+  isWorktreeEnabled,
+  createWorktree,
+  listWorktrees,
+  pruneWorktrees,
+  worktreeSlug,
+} = require('../src/worktrees');
+
+let tmpRoot;
+let repoDir;
+
+before(() => {
+  tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'worktrees-test-'));
+  process.env.CLAUDE_FIX_WORKTREE_ROOT = path.join(tmpRoot, 'worktrees');
+
+  repoDir = path.join(tmpRoot, 'my-service');
+  fs.mkdirSync(repoDir);
+  execSync('git init -q -b main && git -c user.name=t -c user.email=t@t commit -q --allow-empty -m init', { cwd: repoDir });
+  // The user's checkout is on some other branch
+  execSync('git checkout -q -b wip', { cwd: repoDir });
+});
+
+after(() => {
+  delete process.env.CLAUDE_FIX_WORKTREE_ROOT;
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+});
+
+function branchOf(dir) {
+  return execSync('git rev-parse --abbrev-ref HEAD', { cwd: dir }).toString().trim();
+}
+
+describe('worktreeSlug', () => {
+  it('keeps simple ids', () => {
+    assert.equal(worktreeSlug('rec-123'), 'rec-123');
+  });
+
+  it('makes ids safe for paths and branch names', () => {
+    assert.equal(worktreeSlug('../a b/..c.lock'), 'a-b-.c');
+  });
+
+  it('hashes the fallback when there is no id', () => {
+    assert.match(worktreeSlug(null, 'key'), /^[0-9a-f]{12}$/);
+    assert.equal(worktreeSlug(null, 'key'), worktreeSlug('', 'key'));
+  });
+});
+
+describe('isWorktreeEnabled', () => {
+  it('honours the worktree request parameter', () => {
+    assert.equal(isWorktreeEnabled(new URLSearchParams('worktree=1')), true);
+    assert.equal(isWorktreeEnabled(new URLSearchParams('worktree=0')), false);
+    assert.equal(isWorktreeEnabled(new URLSearchParams('worktree=deployed')), true);
+  });
+
+  it('falls back to CLAUDE_FIX_WORKTREE', () => {
+    process.env.CLAUDE_FIX_WORKTREE = 'true';
+    try {
+      assert.equal(isWorktreeEnabled(new URLSearchParams()), true);
+    } finally {
+      delete process.env.CLAUDE_FIX_WORKTREE;
+    }
+  });
+});
+
+describe('createWorktree', () => {
+  it('adds a worktree on claude-fix/<id> without touching the main checkout', async () => {
+    const worktree = await createWorktree(repoDir, 'rec-1');
+
+    assert.match(worktree.path, /\/worktrees\/my-service-[0-9a-f]{8}\/rec-1$/);
+    assert.equal(worktree.branch, 'claude-fix/rec-1');
+    assert.equal(worktree.created, true);
+    assert.equal(branchOf(worktree.path), 'claude-fix/rec-1');
+    assert.equal(branchOf(repoDir), 'wip');
+  });
+
+  it('reuses the worktree for the same recommendation', async () => {
+    const first = await createWorktree(repoDir, 'rec-1');
+    const again = await createWorktree(repoDir, 'rec-1');
+    assert.equal(again.created, false);
+    assert.equal(again.path, first.path);
+  });
+
+  it('starts from a given commit, named after it', async () => {
+    execSync('git -c user.name=t -c user.email=t@t commit -q --allow-empty -m later', { cwd: repoDir });
+    const deployed = execSync('git rev-parse HEAD~1', { cwd: repoDir }).toString().trim();
+
+    const worktree = await createWorktree(repoDir, 'rec-1', null, { base: deployed });
+    try {
+      assert.equal(worktree.branch, `claude-fix/rec-1-${deployed.slice(0, 12)}`);
+      assert.equal(worktree.created, true);
+      assert.equal(execSync('git rev-parse HEAD', { cwd: worktree.path }).toString().trim(), deployed);
+    } finally {
+      execSync(`git worktree remove --force '${worktree.path}' && git branch -q -D '${worktree.branch}'`, { cwd: repoDir });
+    }
+  });
+
+  it('rejects when the path is not a git repo', async () => {
+    const plain = path.join(tmpRoot, 'plain');
+    fs.mkdirSync(plain);
+    await assert.rejects(createWorktree(plain, 'rec-x'));
+  });
+});
+
+describe('listWorktrees / pruneWorktrees', () => {
+  it('lists worktrees with their branch and main checkout', async () => {
+    await createWorktree(repoDir, 'rec-2');
+    const list = await listWorktrees();
+
+    assert.deepEqual(list.map(w => w.branch).sort(), ['claude-fix/rec-1', 'claude-fix/rec-2']);
+    assert.equal(list[0].mainPath, fs.realpathSync(repoDir));
+    assert.equal(list[0].dirty, 0);
+  });
+
+  it('keeps worktrees newer than the cutoff', async () => {
+    const { removed } = await pruneWorktrees({ before: new Date(Date.now() - 3600e3) });
+    assert.equal(removed.length, 0);
+    assert.equal((await listWorktrees()).length, 2);
+  });
+
+  it('skips dirty worktrees unless forced', async () => {
+    const dirty = (await listWorktrees()).find(w => w.branch === 'claude-fix/rec-2');
+    fs.writeFileSync(path.join(dirty.path, 'notes.txt'), 'wip');
+
+    const first = await pruneWorktrees();
+    assert.deepEqual(first.removed.map(w => w.branch), ['claude-fix/rec-1']);
+    assert.deepEqual(first.skipped.map(s => s.worktree.branch), ['claude-fix/rec-2']);
+
+    const second = await pruneWorktrees({ force: true });
+    assert.deepEqual(second.removed.map(w => w.branch), ['claude-fix/rec-2']);
+    assert.deepEqual(await listWorktrees(), []);
+
+    // Branches without new commits count as merged, so they are deleted too
+    const branches = execSync('git branch --list "claude-fix/*"', { cwd: repoDir }).toString().trim();
+    assert.equal(branches, '');
+  });
+});
+
+describe('checkouts with the same name', () => {
+  function initRepo(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    execSync('git init -q -b main && git -c user.name=t -c user.email=t@t commit -q --allow-empty -m init', { cwd: dir });
+  }
+
+  it('get their own worktrees', async () => {
+    const other = path.join(tmpRoot, 'elsewhere', 'my-service');
+    initRepo(other);
+
+    const mine = await createWorktree(repoDir, 'rec-same');
+    const theirs = await createWorktree(other, 'rec-same');
+    assert.notEqual(theirs.path, mine.path);
+    assert.equal(theirs.created, true);
+    assert.equal(fs.realpathSync(path.dirname(execSync('git rev-parse --path-format=absolute --git-common-dir', { cwd: theirs.path }).toString().trim())), fs.realpathSync(other));
+  });
+
+  it('refuse to reuse a worktree left by a checkout that was replaced', async () => {
+    const replaced = path.join(tmpRoot, 'replaced', 'my-service');
+    initRepo(replaced);
+    const worktree = await createWorktree(replaced, 'rec-old');
+
+    fs.rmSync(replaced, { recursive: true, force: true });
+    initRepo(replaced);
+    await assert.rejects(createWorktree(replaced, 'rec-old'), /is not a worktree of/);
+    assert.ok(fs.existsSync(worktree.path));
+  });
+});